@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import { mockReq, mockRes } from "./helpers/http";
+
+// Every admin, registration and Rekognition maintenance route must refuse
+// anonymous callers.
+// The only exceptions are the routes that establish or end a session.
+const API_DIR = path.join(__dirname, "..", "pages", "api");
+const PUBLIC_ADMIN_ROUTES = [
+  "admin/login.js",
+  "admin/login/two-factor.js",
+  "admin/logout.js",
+  "admin/refresh.js",
+  "admin/password-reset/request.js",
+  "admin/password-reset/confirm.js",
+];
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+function listRoutes(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listRoutes(full) : entry.name.endsWith(".js") ? [full] : [];
+  });
+}
+
+const guarded = [
+  ...listRoutes(path.join(API_DIR, "admin")),
+  path.join(API_DIR, "register.js"),
+  path.join(API_DIR, "index-face.js"),
+  path.join(API_DIR, "create-collection.js"),
+]
+  .map((file) => path.relative(API_DIR, file).split(path.sep).join("/"))
+  .filter((route) => !PUBLIC_ADMIN_ROUTES.includes(route));
+
+beforeAll(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+test("finds the admin routes", () => {
+  expect(guarded.length).toBeGreaterThan(30);
+});
+
+describe.each(guarded)("/api/%s", (route) => {
+  test.each(METHODS)("%s without a bearer token is 401", async (method) => {
+    const { default: handler } = await import(`../pages/api/${route}`);
+    const res = mockRes();
+    await handler(mockReq({ method }), res);
+    expect(res.statusCode).toBe(401);
+  });
+});
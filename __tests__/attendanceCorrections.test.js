@@ -0,0 +1,82 @@
+import Attendance from "../models/Attendance";
+import { recordPunch } from "../lib/attendancePunch";
+import { editSession, voidSession, addManualSession, saveCorrection } from "../lib/attendanceCorrections";
+import { useMemoryMongo } from "./helpers/memoryMongo";
+
+useMemoryMongo({ models: [Attendance] });
+
+const DATE = "2026-10-19";
+const TZ = "Asia/Kolkata";
+const context = { reason: "Camera missed the scan", adminId: null, timezone: TZ };
+
+function scan(at) {
+  return recordPunch({ userId: "S1", date: DATE, name: "Asha", role: "student", at, display: "", timezone: TZ });
+}
+
+async function loadForEdit() {
+  const record = await Attendance.findOne({ userId: "S1", date: DATE });
+  return { record, before: record.toObject() };
+}
+
+test("a correction is stored with the derived fields recomputed", async () => {
+  await scan(new Date("2026-10-19T03:30:00Z")); // 09:00 IST
+  await scan(new Date("2026-10-19T11:30:00Z")); // 17:00 IST
+
+  const { record, before } = await loadForEdit();
+  editSession(record, 0, { punchOut: "16:00" }, context);
+  const saved = await saveCorrection(record, before);
+
+  expect(saved.sessions[0].punchOutAt.toISOString()).toBe("2026-10-19T10:30:00.000Z");
+  expect(saved.sessions[0].original.punchOutAt.toISOString()).toBe("2026-10-19T11:30:00.000Z");
+  expect(saved.durationSeconds).toBe(7 * 60 * 60);
+  expect(saved.corrected).toBe(true);
+});
+
+test("a scan landing while an admin edits is kept and the edit is refused", async () => {
+  await scan(new Date("2026-10-19T03:30:00Z"));
+  const { record, before } = await loadForEdit();
+
+  // The person punches out while the admin has the day open
+  await scan(new Date("2026-10-19T11:30:00Z"));
+
+  editSession(record, 0, { punchIn: "08:45" }, context);
+  await expect(saveCorrection(record, before)).rejects.toMatchObject({ status: 409 });
+
+  const stored = await Attendance.findById(record._id).lean();
+  expect(stored.sessions).toHaveLength(1);
+  expect(stored.sessions[0].punchOutAt.toISOString()).toBe("2026-10-19T11:30:00.000Z");
+  expect(stored.corrected).toBe(false);
+});
+
+test("a void racing a new punch-in is refused", async () => {
+  await scan(new Date("2026-10-19T03:30:00Z"));
+  await scan(new Date("2026-10-19T06:30:00Z"));
+  const { record, before } = await loadForEdit();
+
+  await scan(new Date("2026-10-19T07:30:00Z")); // back from lunch
+
+  voidSession(record, 0, context);
+  await expect(saveCorrection(record, before)).rejects.toMatchObject({ status: 409 });
+  expect((await Attendance.findById(record._id).lean()).sessions).toHaveLength(2);
+});
+
+test("a manual entry on an empty day loses cleanly to a scan creating the record", async () => {
+  const record = new Attendance({ userId: "S1", name: "Asha", role: "student", date: DATE });
+  await scan(new Date("2026-10-19T03:30:00Z"));
+
+  addManualSession(record, { punchIn: "09:00", punchOut: "12:00" }, context);
+  await expect(saveCorrection(record, null)).rejects.toMatchObject({ status: 409 });
+  expect(await Attendance.countDocuments({ userId: "S1", date: DATE })).toBe(1);
+});
+
+test("voiding the only session closes the day", async () => {
+  await scan(new Date("2026-10-19T03:30:00Z"));
+  const { record, before } = await loadForEdit();
+
+  voidSession(record, 0, context);
+  const saved = await saveCorrection(record, before);
+
+  expect(saved.sessions).toHaveLength(0);
+  expect(saved.status).toBe("punched-out");
+  expect(await Attendance.countDocuments({ status: "punched-in" })).toBe(0);
+});
@@ -0,0 +1,75 @@
+import Attendance from "../models/Attendance";
+import { recordPunch } from "../lib/attendancePunch";
+import { useMemoryMongo } from "./helpers/memoryMongo";
+
+useMemoryMongo({ models: [Attendance] });
+
+const DATE = "2026-10-19";
+const TZ = "Asia/Kolkata";
+
+function scan(userId, at, { minRepeatSeconds = 0 } = {}) {
+  return recordPunch({
+    userId,
+    date: DATE,
+    name: "Asha",
+    role: "student",
+    at,
+    display: "09:00:00 AM",
+    minRepeatSeconds,
+    timezone: TZ,
+  });
+}
+
+function settle(promises) {
+  return Promise.allSettled(promises).then((results) => {
+    for (const r of results) {
+      // Losing every retry is the only acceptable failure
+      if (r.status === "rejected") expect(r.reason.status).toBe(409);
+    }
+    return results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  });
+}
+
+test("the unique index refuses a second record for the same person and day", async () => {
+  await Attendance.create({ userId: "S1", name: "Asha", role: "student", date: DATE });
+  await expect(Attendance.create({ userId: "S1", name: "Asha", role: "student", date: DATE })).rejects.toMatchObject({
+    code: 11000,
+  });
+});
+
+test("simultaneous first scans create one record with one open session", async () => {
+  const at = new Date("2026-10-19T03:30:00Z");
+  const outcomes = await settle(Array.from({ length: 10 }, () => scan("S1", at, { minRepeatSeconds: 60 })));
+
+  expect(outcomes.filter((o) => o.action === "punched-in")).toHaveLength(1);
+  expect(outcomes.filter((o) => o.action !== "punched-in").every((o) => o.action === "too-soon")).toBe(true);
+
+  const records = await Attendance.find({ userId: "S1", date: DATE }).lean();
+  expect(records).toHaveLength(1);
+  expect(records[0].sessions).toHaveLength(1);
+  expect(records[0].sessions[0].punchOutAt).toBeNull();
+});
+
+test("every reported transition is stored exactly once under concurrent scans", async () => {
+  const base = new Date("2026-10-19T03:30:00Z").getTime();
+  const outcomes = await settle(Array.from({ length: 12 }, (_, i) => scan("S2", new Date(base + i * 60000))));
+
+  const ins = outcomes.filter((o) => o.action === "punched-in").length;
+  const outs = outcomes.filter((o) => o.action === "punched-out").length;
+
+  const records = await Attendance.find({ userId: "S2", date: DATE }).lean();
+  expect(records).toHaveLength(1);
+  const { sessions } = records[0];
+  expect(sessions).toHaveLength(ins);
+  expect(sessions.filter((s) => s.punchOutAt)).toHaveLength(outs);
+  // In and out alternate, so at most the last session is still open
+  expect(sessions.slice(0, -1).every((s) => s.punchOutAt)).toBe(true);
+});
+
+test("different people scanning at once each get their own record", async () => {
+  const at = new Date("2026-10-19T03:30:00Z");
+  const outcomes = await settle(["S3", "S4", "S5"].map((userId) => scan(userId, at)));
+
+  expect(outcomes.map((o) => o.action)).toEqual(["punched-in", "punched-in", "punched-in"]);
+  expect(await Attendance.countDocuments({ date: DATE })).toBe(3);
+});
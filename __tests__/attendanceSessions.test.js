@@ -0,0 +1,53 @@
+import Attendance from "../models/Attendance";
+import { summarizeSessions } from "../lib/attendanceSessions";
+import { voidSession } from "../lib/attendanceCorrections";
+
+const session = (punchInAt, punchOutAt = null, extra = {}) => ({
+  punchInAt: new Date(punchInAt),
+  punchIn: "",
+  punchOutAt: punchOutAt && new Date(punchOutAt),
+  punchOut: punchOutAt ? "" : null,
+  ...extra,
+});
+
+describe("summarizeSessions", () => {
+  test("an open last session keeps the day punched in", () => {
+    const summary = summarizeSessions([session("2026-10-19T03:30:00Z", "2026-10-19T06:30:00Z"), session("2026-10-19T07:30:00Z")]);
+    expect(summary).toMatchObject({ status: "punched-in", punchOutAt: null, durationSeconds: 3 * 60 * 60 });
+  });
+
+  test("closed sessions make a punched-out or auto-closed day", () => {
+    expect(summarizeSessions([session("2026-10-19T03:30:00Z", "2026-10-19T11:30:00Z")]).status).toBe("punched-out");
+    expect(summarizeSessions([session("2026-10-19T03:30:00Z", "2026-10-19T12:30:00Z", { autoClosed: true })]).status).toBe("auto-closed");
+  });
+
+  test("a day without sessions is closed, not open", () => {
+    expect(summarizeSessions([])).toEqual({
+      punchInAt: null,
+      punchIn: null,
+      punchOutAt: null,
+      punchOut: null,
+      durationSeconds: 0,
+      status: "punched-out",
+    });
+  });
+});
+
+test("voiding the only session leaves a day the auto-close job won't pick up", () => {
+  const record = new Attendance({
+    userId: "S1",
+    name: "Asha",
+    role: "student",
+    date: "2026-10-19",
+    sessions: [session("2026-10-19T03:30:00Z")],
+    status: "punched-in",
+  });
+
+  voidSession(record, 0, { reason: "Scanned the wrong person", adminId: null });
+  Object.assign(record, summarizeSessions(record.sessions));
+
+  expect(record.sessions).toHaveLength(0);
+  expect(record.voidedSessions).toHaveLength(1);
+  expect(record.status).not.toBe("punched-in");
+  expect(record.punchInAt).toBeNull();
+});
@@ -0,0 +1,39 @@
+import { mockReq } from "./helpers/http";
+
+function loadGetClientIp(trustProxy) {
+  if (trustProxy === undefined) delete process.env.TRUST_PROXY;
+  else process.env.TRUST_PROXY = trustProxy;
+  let getClientIp;
+  jest.isolateModules(() => {
+    getClientIp = require("../lib/clientIp").default;
+  });
+  return getClientIp;
+}
+
+afterEach(() => {
+  delete process.env.TRUST_PROXY;
+});
+
+test("ignores x-forwarded-for unless a proxy is trusted", () => {
+  const getClientIp = loadGetClientIp(undefined);
+  const req = mockReq({ ip: "10.0.0.9", headers: { "x-forwarded-for": "1.2.3.4" } });
+  expect(getClientIp(req)).toBe("10.0.0.9");
+});
+
+test("takes the hop appended by the trusted proxy, not the client's own", () => {
+  const getClientIp = loadGetClientIp("1");
+  const req = mockReq({ ip: "10.0.0.9", headers: { "x-forwarded-for": "6.6.6.6, 203.0.113.7" } });
+  expect(getClientIp(req)).toBe("203.0.113.7");
+});
+
+test("counts back one hop per trusted proxy", () => {
+  const getClientIp = loadGetClientIp("2");
+  const req = mockReq({ headers: { "x-forwarded-for": "6.6.6.6, 203.0.113.7, 10.0.0.2" } });
+  expect(getClientIp(req)).toBe("203.0.113.7");
+});
+
+test("falls back to the socket when the header has fewer hops than trusted proxies", () => {
+  const getClientIp = loadGetClientIp("2");
+  const req = mockReq({ ip: "10.0.0.9", headers: { "x-forwarded-for": "203.0.113.7" } });
+  expect(getClientIp(req)).toBe("10.0.0.9");
+});
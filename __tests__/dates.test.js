@@ -0,0 +1,92 @@
+import { todayKey, periodStartKey, atLocalTime, startOfDateKey, toDateKey } from "../lib/dates";
+
+const KOLKATA = "Asia/Kolkata"; // UTC+5:30, no DST: local midnight is 18:30 UTC
+const NEW_YORK = "America/New_York"; // DST 2026: Mar 8 02:00 -> 03:00, Nov 1 02:00 -> 01:00
+const LONDON = "Europe/London"; // DST 2026: Mar 29 01:00 -> 02:00, Oct 25 02:00 -> 01:00
+
+describe("todayKey around local midnight", () => {
+  test.each([
+    ["2026-10-19T18:29:59Z", "2026-10-19"],
+    ["2026-10-19T18:30:00Z", "2026-10-20"],
+    ["2026-10-19T23:59:59Z", "2026-10-20"],
+    ["2026-10-20T00:00:00Z", "2026-10-20"],
+  ])("%s in Kolkata is %s", (now, key) => {
+    expect(todayKey(KOLKATA, new Date(now))).toBe(key);
+  });
+
+  test("the server's UTC date does not leak in", () => {
+    const now = new Date("2026-12-31T18:30:00Z");
+    expect(todayKey("UTC", now)).toBe("2026-12-31");
+    expect(todayKey(KOLKATA, now)).toBe("2027-01-01");
+  });
+
+  test.each([
+    [NEW_YORK, "2026-11-01T03:59:59Z", "2026-10-31"], // 23:59:59 EDT
+    [NEW_YORK, "2026-11-01T04:00:00Z", "2026-11-01"], // 00:00 EDT, the day the clocks go back
+    [NEW_YORK, "2026-11-02T04:59:59Z", "2026-11-01"], // 23:59:59 EST
+    [NEW_YORK, "2026-11-02T05:00:00Z", "2026-11-02"],
+    [LONDON, "2026-03-28T23:59:59Z", "2026-03-28"],
+    [LONDON, "2026-03-29T00:00:00Z", "2026-03-29"], // GMT midnight, clocks go forward at 01:00
+    [LONDON, "2026-03-29T22:59:59Z", "2026-03-29"], // 23:59:59 BST
+    [LONDON, "2026-03-29T23:00:00Z", "2026-03-30"],
+  ])("%s at %s is %s", (tz, now, key) => {
+    expect(todayKey(tz, new Date(now))).toBe(key);
+  });
+});
+
+describe("periodStartKey", () => {
+  test("a month starts at local midnight, not UTC midnight", () => {
+    expect(periodStartKey(KOLKATA, "month", new Date("2026-10-31T18:29:59Z"))).toBe("2026-10-01");
+    expect(periodStartKey(KOLKATA, "month", new Date("2026-10-31T18:30:00Z"))).toBe("2026-11-01");
+  });
+
+  test("weeks start on Sunday, ISO weeks on Monday, in local time", () => {
+    // Sat 2026-10-24 18:30Z is Sun 2026-10-25 00:00 in Kolkata
+    expect(periodStartKey(KOLKATA, "week", new Date("2026-10-24T18:29:59Z"))).toBe("2026-10-18");
+    expect(periodStartKey(KOLKATA, "week", new Date("2026-10-24T18:30:00Z"))).toBe("2026-10-25");
+    // Sun 2026-10-25 18:30Z is Mon 2026-10-26 00:00 in Kolkata
+    expect(periodStartKey(KOLKATA, "isoWeek", new Date("2026-10-25T18:29:59Z"))).toBe("2026-10-19");
+    expect(periodStartKey(KOLKATA, "isoWeek", new Date("2026-10-25T18:30:00Z"))).toBe("2026-10-26");
+  });
+
+  test("a week containing a DST change still starts on its local Sunday", () => {
+    expect(periodStartKey(NEW_YORK, "week", new Date("2026-11-01T04:00:00Z"))).toBe("2026-11-01");
+    expect(periodStartKey(NEW_YORK, "week", new Date("2026-11-01T03:59:59Z"))).toBe("2026-10-25");
+    expect(periodStartKey(LONDON, "month", new Date("2026-03-31T22:59:59Z"))).toBe("2026-03-01");
+    expect(periodStartKey(LONDON, "month", new Date("2026-03-31T23:00:00Z"))).toBe("2026-04-01");
+  });
+});
+
+describe("atLocalTime", () => {
+  test("is wall-clock time in the org timezone", () => {
+    expect(atLocalTime("2026-10-19", "00:00", KOLKATA).toISOString()).toBe("2026-10-18T18:30:00.000Z");
+    expect(atLocalTime("2026-10-19", "09:00", KOLKATA).toISOString()).toBe("2026-10-19T03:30:00.000Z");
+    expect(atLocalTime("2026-10-19", "23:59", KOLKATA).toISOString()).toBe("2026-10-19T18:29:00.000Z");
+  });
+
+  test("follows the UTC offset across DST changes", () => {
+    expect(atLocalTime("2026-10-31", "09:00", NEW_YORK).toISOString()).toBe("2026-10-31T13:00:00.000Z"); // EDT
+    expect(atLocalTime("2026-11-01", "09:00", NEW_YORK).toISOString()).toBe("2026-11-01T14:00:00.000Z"); // EST
+    expect(atLocalTime("2026-03-28", "09:00", LONDON).toISOString()).toBe("2026-03-28T09:00:00.000Z"); // GMT
+    expect(atLocalTime("2026-03-29", "09:00", LONDON).toISOString()).toBe("2026-03-29T08:00:00.000Z"); // BST
+  });
+
+  test("a time skipped by spring-forward moves to the first valid instant after it", () => {
+    const skipped = atLocalTime("2026-03-08", "02:30", NEW_YORK);
+    expect(skipped.isValid()).toBe(true);
+    expect(skipped.toISOString()).toBe("2026-03-08T07:30:00.000Z"); // 03:30 EDT
+    expect(toDateKey(skipped, NEW_YORK)).toBe("2026-03-08");
+  });
+
+  test("rejects malformed input", () => {
+    expect(atLocalTime("2026-10-19", "9am", KOLKATA).isValid()).toBe(false);
+    expect(atLocalTime("2026-02-30", "09:00", KOLKATA).isValid()).toBe(false);
+  });
+});
+
+test("startOfDateKey is the local midnight on short and long DST days", () => {
+  expect(startOfDateKey("2026-03-08", NEW_YORK).toISOString()).toBe("2026-03-08T05:00:00.000Z");
+  expect(startOfDateKey("2026-03-09", NEW_YORK).toISOString()).toBe("2026-03-09T04:00:00.000Z");
+  expect(startOfDateKey("2026-11-01", NEW_YORK).toISOString()).toBe("2026-11-01T04:00:00.000Z");
+  expect(startOfDateKey("2026-11-02", NEW_YORK).toISOString()).toBe("2026-11-02T05:00:00.000Z");
+});
@@ -0,0 +1,130 @@
+import { createDescriptorFaceService, eyeAspectRatio, estimateYaw } from "../lib/faceDescriptors";
+import User from "../models/User";
+
+jest.mock("../models/User", () => ({ find: jest.fn(), findOneAndUpdate: jest.fn() }));
+
+const BOX = { Left: 0.3, Top: 0.2, Width: 0.4, Height: 0.5 };
+const SMALL_BOX = { Left: 0.8, Top: 0.1, Width: 0.05, Height: 0.06 };
+
+// A unit-length descriptor pointing mostly along axis `i`
+function descriptor(i, wobble = 0) {
+  const d = new Array(128).fill(0);
+  d[i] = 1;
+  d[(i + 1) % 128] = wobble;
+  return d;
+}
+
+const imageOf = (name) => Buffer.from(`jpeg:${name}`);
+
+let scenes;
+let describeFaces;
+let stored;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  scenes = {
+    asha: [{ boundingBox: BOX, confidence: 99, eyesOpen: true, yaw: 2, descriptor: descriptor(0) }],
+    ashaLater: [{ boundingBox: BOX, confidence: 98, eyesOpen: false, yaw: 5, descriptor: descriptor(0, 0.1) }],
+    stranger: [{ boundingBox: BOX, confidence: 99, eyesOpen: true, yaw: 0, descriptor: descriptor(40) }],
+    crowd: [
+      { boundingBox: SMALL_BOX, confidence: 90, eyesOpen: true, yaw: 0, descriptor: descriptor(40) },
+      { boundingBox: BOX, confidence: 99, eyesOpen: true, yaw: 0, descriptor: descriptor(0) },
+    ],
+    empty: [],
+  };
+  describeFaces = jest.fn(async (image) => scenes[image.toString().slice("jpeg:".length)]);
+
+  stored = [{ userId: "S1", faceDescriptors: [descriptor(0)] }];
+  User.find.mockReturnValue({ lean: () => Promise.resolve(stored) });
+});
+
+describe("descriptor backend", () => {
+  test("matches the largest face in the image against stored descriptors", async () => {
+    const service = createDescriptorFaceService({ describeFaces });
+
+    await expect(service.searchFace({ image: imageOf("ashaLater") })).resolves.toMatchObject({
+      userId: "S1",
+      faceId: "S1#0",
+      similarity: null,
+    });
+    await expect(service.searchFace({ image: imageOf("crowd") })).resolves.toMatchObject({ userId: "S1" });
+    await expect(service.searchFace({ image: imageOf("stranger") })).resolves.toBeNull();
+    await expect(service.searchFace({ image: imageOf("empty") })).resolves.toBeNull();
+  });
+
+  test("detects faces without handing out descriptors", async () => {
+    const service = createDescriptorFaceService({ describeFaces });
+    const faces = await service.detectFaces(imageOf("ashaLater"));
+
+    expect(faces).toEqual([{ boundingBox: BOX, confidence: 98, eyesOpen: false, yaw: 5 }]);
+  });
+
+  test("describes an image once for detection and matching", async () => {
+    const service = createDescriptorFaceService({ describeFaces });
+    await service.detectFaces(imageOf("asha"));
+    await service.searchFace({ image: imageOf("asha") });
+
+    expect(describeFaces).toHaveBeenCalledTimes(1);
+  });
+
+  test("indexes the descriptor the server computed from the image", async () => {
+    User.findOneAndUpdate.mockReturnValue({
+      lean: () => Promise.resolve({ userId: "S2", faceDescriptors: [descriptor(40)] }),
+    });
+    const service = createDescriptorFaceService({ describeFaces });
+
+    await expect(service.indexFace({ userId: "S2", image: imageOf("stranger") })).resolves.toEqual({
+      faceIds: ["S2#0"],
+      userUpdated: true,
+      raw: null,
+    });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { userId: "S2" },
+      { $push: { faceDescriptors: descriptor(40) } },
+      { new: true }
+    );
+  });
+
+  test("refuses to index an image without a face", async () => {
+    const service = createDescriptorFaceService({ describeFaces });
+
+    await expect(service.indexFace({ userId: "S2", image: imageOf("empty") })).rejects.toMatchObject({ status: 400 });
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("takes only image bytes", async () => {
+    const service = createDescriptorFaceService({ describeFaces });
+
+    await expect(service.searchFace({ descriptor: descriptor(0) })).rejects.toMatchObject({ status: 400 });
+    expect(describeFaces).not.toHaveBeenCalled();
+  });
+
+  test("rejects images that aren't JPEG before loading any model", async () => {
+    const service = createDescriptorFaceService();
+
+    await expect(service.detectFaces(Buffer.from("not a jpeg"))).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("landmark geometry", () => {
+  const eye = (openness) => [
+    { x: 0, y: 0 },
+    { x: 1, y: -openness },
+    { x: 2, y: -openness },
+    { x: 3, y: 0 },
+    { x: 2, y: openness },
+    { x: 1, y: openness },
+  ];
+
+  test("eye aspect ratio falls as the eye closes", () => {
+    expect(eyeAspectRatio(eye(0.5))).toBeCloseTo(1 / 3);
+    expect(eyeAspectRatio(eye(0.05))).toBeLessThan(0.2);
+  });
+
+  test("yaw follows the nose tip away from the middle of the jaw", () => {
+    const jaw = [{ x: 0, y: 0 }, { x: 50, y: 80 }, { x: 100, y: 0 }];
+    expect(estimateYaw({ jaw, noseTip: { x: 50, y: 40 } })).toBeCloseTo(0);
+    expect(estimateYaw({ jaw, noseTip: { x: 75, y: 40 } })).toBeCloseTo(30);
+    expect(estimateYaw({ jaw, noseTip: { x: 25, y: 40 } })).toBeCloseTo(-30);
+  });
+});
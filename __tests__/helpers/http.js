@@ -0,0 +1,32 @@
+// Minimal req/res doubles for calling Next.js API handlers directly
+export function mockReq({ method = "GET", headers = {}, query = {}, body = {}, ip = "127.0.0.1" } = {}) {
+  return { method, headers, query, body, socket: { remoteAddress: ip } };
+}
+
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    end() {
+      return res;
+    },
+  };
+  return res;
+}
@@ -0,0 +1,88 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+/**
+ * Starts a throwaway mongod for the calling test file and connects mongoose
+ * to it. Call from the top level of a test file; `models` get their indexes
+ * built before the first test.
+ *
+ * The mongod used, first found wins:
+ *   1. MONGOMS_SYSTEM_BINARY — an installed mongod
+ *   2. `mongod` on the PATH
+ *   3. a binary mongodb-memory-server cached earlier (node_modules/.cache,
+ *      ~/.cache/mongodb-binaries or MONGOMS_DOWNLOAD_DIR), any version
+ *   4. a download from fastdl.mongodb.org, which needs network access
+ * Offline, provide one of the first three.
+ */
+export function useMemoryMongo({ models = [] } = {}) {
+  let server;
+
+  beforeAll(async () => {
+    const binary = findMongod();
+    if (binary) process.env.MONGOMS_SYSTEM_BINARY = binary;
+    try {
+      server = await MongoMemoryServer.create();
+    } catch (err) {
+      const problem = binary
+        ? `mongod at ${binary} did not start`
+        : "No mongod for the database tests: set MONGOMS_SYSTEM_BINARY to an installed mongod " +
+          "or run them once with network access so one gets cached";
+      throw new Error(`${problem} (${err.message.trim()})`, { cause: err });
+    }
+    process.env.MONGODB_URI = server.getUri();
+    await mongoose.connect(process.env.MONGODB_URI);
+    await Promise.all(models.map((model) => model.init()));
+  }, 120000);
+
+  afterEach(async () => {
+    if (!server) return;
+    await Promise.all(models.map((model) => model.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await server?.stop();
+    delete process.env.MONGODB_URI;
+  });
+}
+
+const isExecutable = (file) => {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+};
+
+function findMongod() {
+  if (process.env.MONGOMS_SYSTEM_BINARY) return process.env.MONGOMS_SYSTEM_BINARY;
+
+  const exe = process.platform === "win32" ? "mongod.exe" : "mongod";
+  const onPath = (process.env.PATH || "")
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map((dir) => path.join(dir, exe))
+    .find(isExecutable);
+  if (onPath) return onPath;
+
+  const cacheDirs = [
+    process.env.MONGOMS_DOWNLOAD_DIR,
+    path.join(__dirname, "..", "..", "node_modules", ".cache", "mongodb-memory-server"),
+    path.join(os.homedir(), ".cache", "mongodb-binaries"),
+  ].filter(Boolean);
+  for (const dir of cacheDirs) {
+    const cached = fs.existsSync(dir)
+      ? fs
+          .readdirSync(dir)
+          .filter((name) => name.startsWith("mongod"))
+          .map((name) => path.join(dir, name))
+          .find(isExecutable)
+      : null;
+    if (cached) return cached;
+  }
+  return null;
+}
@@ -0,0 +1,36 @@
+import http from "http";
+
+/**
+ * Local stand-in for the Telegram Bot API. Point TELEGRAM_API_BASE at
+ * `stub.url`; every call is recorded in `stub.calls` and answered by
+ * `stub.respond` (default: 200 { ok: true }). `hang: true` never answers.
+ */
+export async function startTelegramStub() {
+  const stub = {
+    calls: [],
+    respond: () => ({ status: 200, body: { ok: true, result: {} } }),
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const [, bot, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      const call = { bot, method, contentType: req.headers["content-type"], body: Buffer.concat(chunks).toString("latin1") };
+      stub.calls.push(call);
+
+      const { status = 200, body = {}, hang = false } = stub.respond(call);
+      if (hang) return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return stub;
+}
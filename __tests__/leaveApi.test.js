@@ -0,0 +1,62 @@
+import handler from "../pages/api/leave";
+import User from "../models/User";
+import Leave from "../models/Leave";
+import { mockReq, mockRes } from "./helpers/http";
+
+jest.mock("../lib/mongodb", () => jest.fn());
+jest.mock("../models/User", () => ({ findOne: jest.fn() }));
+jest.mock("../models/Leave", () => ({
+  __esModule: true,
+  LEAVE_TYPES: ["sick", "casual", "official-duty"],
+  default: { find: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+}));
+
+const query = (value) => {
+  const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: () => Promise.resolve(value) };
+  return chain;
+};
+
+const file = (userId) => mockReq({ method: "POST", body: { userId, type: "sick", from: "2026-03-02", to: "2026-03-04" } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  User.findOne.mockImplementation(({ userId }) => query(userId === "S1" ? { name: "Asha", role: "student" } : null));
+  Leave.findOne.mockReturnValue(query(null));
+  Leave.find.mockReturnValue(query([]));
+});
+
+describe("/api/leave", () => {
+  test("answers a request for an unknown userId like one for a registered user", async () => {
+    const known = mockRes();
+    const unknown = mockRes();
+    await handler(file("S1"), known);
+    await handler(file("NOPE"), unknown);
+
+    expect(unknown.statusCode).toBe(known.statusCode);
+    expect(unknown.body).toEqual(known.body);
+    expect(Leave.create).toHaveBeenCalledTimes(1);
+    expect(Leave.create).toHaveBeenCalledWith(expect.objectContaining({ userId: "S1", name: "Asha" }));
+  });
+
+  test("lists nothing for an unknown userId rather than refusing", async () => {
+    const res = mockRes();
+    await handler(mockReq({ query: { userId: "NOPE" } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ leaves: [] });
+  });
+
+  test("only approved leave blocks overlapping dates", async () => {
+    const res = mockRes();
+    await handler(file("S1"), res);
+
+    expect(Leave.findOne).toHaveBeenCalledWith(expect.objectContaining({ userId: "S1", status: "approved" }));
+
+    Leave.findOne.mockReturnValue(query({ status: "approved", from: "2026-03-03", to: "2026-03-03" }));
+    const blocked = mockRes();
+    await handler(file("S1"), blocked);
+
+    expect(blocked.statusCode).toBe(409);
+    expect(Leave.create).toHaveBeenCalledTimes(1);
+  });
+});
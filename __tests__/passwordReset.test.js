@@ -0,0 +1,49 @@
+import { requestPasswordReset } from "../lib/passwordReset";
+import PasswordResetToken from "../models/PasswordResetToken";
+import { sendMail, getMailTransport } from "../lib/mail";
+import { mockReq } from "./helpers/http";
+
+jest.mock("../models/PasswordResetToken", () => ({ deleteMany: jest.fn(), create: jest.fn() }));
+jest.mock("../lib/mail", () => ({
+  ...jest.requireActual("../lib/mail"),
+  sendMail: jest.fn(),
+}));
+
+const admin = { _id: "a1", email: "root@example.com", name: "Root" };
+const spoofedReq = mockReq({ method: "POST", headers: { host: "evil.example", "x-forwarded-proto": "https" } });
+
+beforeEach(() => {
+  process.env.MAIL_TRANSPORT = "console";
+});
+
+afterEach(() => {
+  delete process.env.APP_URL;
+  delete process.env.MAIL_TRANSPORT;
+  jest.clearAllMocks();
+});
+
+test("refuses to issue a token without APP_URL", async () => {
+  await expect(requestPasswordReset(admin, spoofedReq)).rejects.toThrow("APP_URL not set");
+  expect(PasswordResetToken.create).not.toHaveBeenCalled();
+  expect(sendMail).not.toHaveBeenCalled();
+});
+
+test("builds the link from APP_URL, never the Host header", async () => {
+  process.env.APP_URL = "https://attendance.example.edu/";
+  await requestPasswordReset(admin, spoofedReq);
+  const { text } = sendMail.mock.calls[0][0];
+  expect(text).toContain("https://attendance.example.edu/admin/reset-password?token=");
+  expect(text).not.toContain("evil.example");
+});
+
+test("mail has no default transport", () => {
+  delete process.env.MAIL_TRANSPORT;
+  expect(() => getMailTransport()).toThrow("MAIL_TRANSPORT not set");
+});
+
+test("refuses to issue a token when mail is not configured", async () => {
+  process.env.APP_URL = "https://attendance.example.edu";
+  delete process.env.MAIL_TRANSPORT;
+  await expect(requestPasswordReset(admin, spoofedReq)).rejects.toThrow("MAIL_TRANSPORT not set");
+  expect(PasswordResetToken.create).not.toHaveBeenCalled();
+});
@@ -0,0 +1,20 @@
+import { parseShiftInput, shiftTimesError } from "../lib/shifts";
+
+const base = { name: "Morning", startTime: "09:00", endTime: "17:00", roles: ["student"] };
+
+test("accepts a shift that ends the day it starts", () => {
+  expect(parseShiftInput(base)).toEqual({ data: expect.objectContaining({ startTime: "09:00", endTime: "17:00" }) });
+});
+
+test.each([
+  ["22:00", "06:00"],
+  ["09:00", "09:00"],
+])("rejects %s – %s (past midnight or empty)", (startTime, endTime) => {
+  expect(parseShiftInput({ ...base, startTime, endTime }).error).toMatch(/after startTime/);
+  expect(shiftTimesError(startTime, endTime)).toMatch(/past midnight/);
+});
+
+test("a partial update with both times is checked too", () => {
+  expect(parseShiftInput({ startTime: "18:00", endTime: "02:00" }, { partial: true }).error).toMatch(/after startTime/);
+  expect(parseShiftInput({ endTime: "02:00" }, { partial: true }).error).toBeUndefined();
+});
@@ -0,0 +1,155 @@
+import { startTelegramStub } from "./helpers/telegramStub";
+import { emit, ATTENDANCE_RECORDED } from "../lib/events";
+import { enqueueNotification, deliverNotification, registerNotificationHandler } from "../lib/notificationOutbox";
+import { getSetting, sealSecret } from "../lib/settings";
+import User from "../models/User";
+import PunchPhoto from "../models/PunchPhoto";
+import { TELEGRAM_PUNCH } from "../lib/telegramNotifier";
+
+jest.mock("../lib/notificationOutbox", () => ({
+  enqueueNotification: jest.fn(),
+  deliverNotification: jest.fn(),
+  registerNotificationHandler: jest.fn(),
+}));
+jest.mock("../lib/settings", () => ({ ...jest.requireActual("../lib/settings"), getSetting: jest.fn() }));
+jest.mock("../models/User", () => ({ findOne: jest.fn() }));
+jest.mock("../models/PunchPhoto", () => ({ create: jest.fn(), findById: jest.fn() }));
+
+const photoOf = (text) => `data:image/jpeg;base64,${Buffer.from(text).toString("base64")}`;
+const PHOTO = photoOf("fake-jpeg");
+const PAYLOAD = {
+  userId: "S1",
+  name: "Asha",
+  role: "student",
+  date: "2026-10-19",
+  time: "09:01:00 AM",
+  status: "Punched In",
+  attendanceId: "r1",
+  photoId: "p1",
+};
+
+let stub;
+// Captured at import, before clearAllMocks wipes the mock's call log
+const deliverPunch = registerNotificationHandler.mock.calls.find(([type]) => type === TELEGRAM_PUNCH)[1];
+
+beforeAll(async () => {
+  stub = await startTelegramStub();
+  process.env.TELEGRAM_API_BASE = stub.url;
+  process.env.TELEGRAM_TIMEOUT_MS = "200";
+  process.env.TOTP_ENCRYPTION_KEY = "test-encryption-key";
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  delete process.env.TELEGRAM_API_BASE;
+  delete process.env.TELEGRAM_TIMEOUT_MS;
+  delete process.env.TOTP_ENCRYPTION_KEY;
+  await stub.close();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stub.calls = [];
+  stub.respond = () => ({ status: 200, body: { ok: true, result: {} } });
+  getSetting.mockResolvedValue({ botToken: "T0KEN", defaultChatId: "100", roleChats: { student: "200" } });
+  User.findOne.mockReturnValue({ lean: () => Promise.resolve({ userId: "S1", role: "student" }) });
+  PunchPhoto.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ imageData: PHOTO }) }) });
+});
+
+describe("delivery handler", () => {
+  test("sends the punch's own photo to the role's chat", async () => {
+    await expect(deliverPunch(PAYLOAD)).resolves.toEqual({ target: "200" });
+    expect(PunchPhoto.findById).toHaveBeenCalledWith("p1");
+    expect(stub.calls).toHaveLength(1);
+    const [call] = stub.calls;
+    expect(call).toMatchObject({ bot: "T0KEN", method: "sendPhoto" });
+    expect(call.contentType).toMatch(/^multipart\/form-data/);
+    expect(call.body).toContain('name="chat_id"\r\n\r\n200');
+    expect(call.body).toContain("fake-jpeg");
+  });
+
+  test("reads a bot token stored encrypted", async () => {
+    const sealed = sealSecret("S3CRET");
+    expect(JSON.stringify(sealed)).not.toContain("S3CRET");
+    getSetting.mockResolvedValue({ botToken: sealed, defaultChatId: "100" });
+
+    await deliverPunch(PAYLOAD);
+    expect(stub.calls[0]).toMatchObject({ bot: "S3CRET" });
+  });
+
+  test("sends a text message when there is no photo", async () => {
+    await deliverPunch({ ...PAYLOAD, photoId: null });
+    const [call] = stub.calls;
+    expect(call.method).toBe("sendMessage");
+    expect(JSON.parse(call.body)).toMatchObject({ chat_id: "200" });
+  });
+
+  test("a rejected request is permanent", async () => {
+    stub.respond = () => ({ status: 400, body: { ok: false, description: "chat not found" } });
+    await expect(deliverPunch(PAYLOAD)).rejects.toMatchObject({ status: 400, permanent: true });
+  });
+
+  test("rate limits and server errors are retried", async () => {
+    stub.respond = () => ({ status: 429, body: { ok: false } });
+    await expect(deliverPunch(PAYLOAD)).rejects.not.toHaveProperty("permanent", true);
+    stub.respond = () => ({ status: 502, body: { ok: false } });
+    await expect(deliverPunch(PAYLOAD)).rejects.not.toHaveProperty("permanent", true);
+  });
+
+  test("a hanging Telegram call times out and is retried", async () => {
+    stub.respond = () => ({ hang: true });
+    await expect(deliverPunch(PAYLOAD)).rejects.not.toHaveProperty("permanent", true);
+  });
+
+  test("missing configuration is permanent and calls nothing", async () => {
+    getSetting.mockResolvedValue({});
+    await expect(deliverPunch(PAYLOAD)).rejects.toMatchObject({ permanent: true });
+    expect(stub.calls).toHaveLength(0);
+  });
+});
+
+describe("attendance event", () => {
+  const record = { _id: "r1", userId: "S1", name: "Asha", role: "student", date: "2026-10-19" };
+
+  test("queues a reference to the punch's photo, not the photo, and does not wait for delivery", async () => {
+    PunchPhoto.create.mockResolvedValue({ _id: "p1" });
+    enqueueNotification.mockResolvedValue({ _id: "n1" });
+    deliverNotification.mockReturnValue(new Promise(() => {})); // Telegram never answers
+
+    await emit(ATTENDANCE_RECORDED, { record, status: "Punched In", time: "09:01:00 AM", imageData: PHOTO });
+
+    expect(PunchPhoto.create).toHaveBeenCalledWith(expect.objectContaining({ userId: "S1", attendanceId: "r1", imageData: PHOTO }));
+    const [type, payload] = enqueueNotification.mock.calls[0];
+    expect(type).toBe(TELEGRAM_PUNCH);
+    expect(payload).toMatchObject({ userId: "S1", attendanceId: "r1", photoId: "p1" });
+    expect(payload).not.toHaveProperty("imageData");
+    expect(deliverNotification).toHaveBeenCalledWith("n1");
+  });
+
+  test("a late punch-in notification sends the punch-in photo, not the one a later punch stored", async () => {
+    const photos = new Map();
+    PunchPhoto.create.mockImplementation(async (doc) => {
+      const _id = `p${photos.size + 1}`;
+      photos.set(_id, doc);
+      return { _id, ...doc };
+    });
+    PunchPhoto.findById.mockImplementation((id) => ({ select: () => ({ lean: () => Promise.resolve(photos.get(id)) }) }));
+    enqueueNotification.mockResolvedValue({ _id: "n1" });
+    deliverNotification.mockRejectedValue(new Error("Telegram down"));
+
+    await emit(ATTENDANCE_RECORDED, { record, status: "Punched In", time: "09:01:00 AM", imageData: photoOf("in-jpeg") });
+    await emit(ATTENDANCE_RECORDED, { record, status: "Punched Out", time: "05:02:00 PM", imageData: photoOf("out-jpeg") });
+
+    const [, punchIn] = enqueueNotification.mock.calls[0];
+    await deliverPunch(punchIn);
+    expect(stub.calls).toHaveLength(1);
+    expect(stub.calls[0].body).toContain("in-jpeg");
+    expect(stub.calls[0].body).not.toContain("out-jpeg");
+  });
+
+  test("queues nothing when Telegram is not configured", async () => {
+    getSetting.mockResolvedValue({});
+    await emit(ATTENDANCE_RECORDED, { record, status: "Punched In", time: "09:01:00 AM" });
+    expect(enqueueNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,298 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { mockReq, mockRes } from "./helpers/http";
+import handler from "../pages/api/verify-face";
+import { issueLivenessChallenge, LIVENESS_CHALLENGES } from "../lib/liveness";
+import { getFaceService, setFaceService } from "../lib/faceService";
+import { createMemoryFaceService, memoryFaceImage } from "../lib/faceMemory";
+import { createPendingPunch } from "../lib/pendingPunch";
+import { hashImage, issueVerificationTicket, redeemVerificationTicket } from "../lib/verificationTicket";
+import SpoofAttempt from "../models/SpoofAttempt";
+import UsedLivenessChallenge from "../models/UsedLivenessChallenge";
+import User from "../models/User";
+
+jest.mock("../lib/mongodb", () => jest.fn());
+jest.mock("../lib/pendingPunch", () => ({ createPendingPunch: jest.fn() }));
+jest.mock("../models/SpoofAttempt", () => ({ create: jest.fn() }));
+jest.mock("../models/UsedLivenessChallenge", () => ({ create: jest.fn() }));
+jest.mock("../models/User", () => ({ findOne: jest.fn() }));
+jest.mock("../models/UsedVerificationTicket", () => ({ create: jest.fn() }));
+
+const ASHA = { userId: "S1", name: "Asha", role: "student" };
+const FAR_AWAY = { Left: 0.8, Top: 0.1, Width: 0.05, Height: 0.06 };
+
+let now;
+let usedJtis;
+
+beforeAll(() => {
+  process.env.ADMIN_JWT_SECRET = "test-secret";
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_JWT_SECRET;
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  now = Date.parse("2026-10-19T09:00:00Z");
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+
+  const faceService = createMemoryFaceService();
+  await faceService.indexFace({ userId: ASHA.userId, image: memoryFaceImage({ person: "asha" }) });
+  setFaceService(faceService);
+
+  usedJtis = new Set();
+  UsedLivenessChallenge.create.mockImplementation(async ({ jti }) => {
+    if (usedJtis.has(jti)) throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    usedJtis.add(jti);
+  });
+  SpoofAttempt.create.mockResolvedValue({});
+  createPendingPunch.mockResolvedValue("pending-1");
+  User.findOne.mockImplementation(({ userId }) => ({
+    select: () => ({ lean: () => Promise.resolve(userId === ASHA.userId ? ASHA : null) }),
+  }));
+});
+
+afterEach(() => {
+  Date.now.mockRestore();
+});
+
+// A challenge of the given kind with the cue on frame 2
+function challengeOf(kind) {
+  jest
+    .spyOn(crypto, "randomInt")
+    .mockReturnValueOnce(LIVENESS_CHALLENGES.indexOf(kind))
+    .mockReturnValueOnce(2)
+    .mockReturnValueOnce(1500);
+  const challenge = issueLivenessChallenge();
+  crypto.randomInt.mockRestore();
+  return challenge;
+}
+
+// The burst a kiosk would capture: `scene(i)` lists the faces in frame i
+function burstOf(challenge, scene) {
+  return Array.from({ length: challenge.frames }, (_, i) => {
+    const image = memoryFaceImage(...scene(i));
+    return `data:image/jpeg;base64,${image.toString("base64")}`;
+  });
+}
+
+// One person doing the challenge: a blink on the cue frame, or a head turn
+// that starts there
+function performing(challenge, person, { actFrom = challenge.cueFrame } = {}) {
+  return (i) => [
+    {
+      person,
+      eyesOpen: !(challenge.kind === "blink" && i === actFrom),
+      yaw: challenge.kind === "turn-head" && i >= actFrom ? 15 * (i - actFrom + 1) : 0,
+    },
+  ];
+}
+
+async function verify(challenge, frames, { wait = true } = {}) {
+  if (wait) now += challenge.startInMs + challenge.frames * challenge.intervalMs;
+  const res = mockRes();
+  await handler(mockReq({ method: "POST", body: { challenge: challenge.challenge, frames } }), res);
+  return res;
+}
+
+describe.each(LIVENESS_CHALLENGES)("%s challenge", (kind) => {
+  test("a registered person performing it gets a pending punch", async () => {
+    const challenge = challengeOf(kind);
+    const res = await verify(challenge, burstOf(challenge, performing(challenge, "asha")));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, user: { userId: "S1" }, pendingId: "pending-1" });
+    expect(createPendingPunch).toHaveBeenCalledWith(expect.objectContaining({ user: expect.objectContaining({ userId: "S1" }) }));
+    expect(SpoofAttempt.create).not.toHaveBeenCalled();
+  });
+
+  test("a still photo held up to the kiosk fails", async () => {
+    const challenge = challengeOf(kind);
+    const res = await verify(challenge, burstOf(challenge, () => [{ person: "asha" }]));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ success: false, liveness: false });
+    expect(SpoofAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ provider: "challenge", challenge: kind }));
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+
+  test("acting before the cue fails", async () => {
+    const challenge = challengeOf(kind);
+    const res = await verify(challenge, burstOf(challenge, performing(challenge, "asha", { actFrom: 0 })));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toMatch(/before the cue/);
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+});
+
+describe("burst identity", () => {
+  test("frames matching two different people are refused", async () => {
+    await getFaceService().indexFace({ userId: "S2", image: memoryFaceImage({ person: "ravi" }) });
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "ravi");
+    const frames = burstOf(challenge, (i) => (i === challenge.frames - 1 ? [{ person: "asha" }] : acted(i)));
+    const res = await verify(challenge, frames);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ success: false, liveness: false });
+    expect(SpoofAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ reason: "Frames show different people" }));
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+
+  test("someone unregistered performing the challenge can't vouch for a photo in the last frame", async () => {
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "intruder");
+    const frames = burstOf(challenge, (i) => (i === challenge.frames - 1 ? [{ person: "asha" }] : acted(i)));
+    const res = await verify(challenge, frames);
+
+    expect(res.body).toMatchObject({ success: false, message: "No face match" });
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+
+  test("a frame that matches nobody, like the one with eyes shut, doesn't fail the scan", async () => {
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "asha");
+    // The memory backend matches by person, so a different name stands in for an unrecognisable frame
+    const frames = burstOf(challenge, (i) => (i === challenge.cueFrame ? [{ ...acted(i)[0], person: "asha-blurred" }] : acted(i)));
+    const res = await verify(challenge, frames);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, user: { userId: "S1" } });
+    expect(SpoofAttempt.create).not.toHaveBeenCalled();
+  });
+
+  test("the punch keeps the last frame that matched the person", async () => {
+    const challenge = challengeOf("turn-head");
+    const acted = performing(challenge, "asha");
+    const last = challenge.frames - 1;
+    const frames = burstOf(challenge, (i) => (i === last ? [{ ...acted(i)[0], person: "asha-turned" }] : acted(i)));
+    const res = await verify(challenge, frames);
+
+    expect(res.body).toMatchObject({ success: true, user: { userId: "S1" } });
+    const [{ imageData, ticket }] = createPendingPunch.mock.calls[0];
+    expect(imageData).toBe(frames[last - 1]);
+    expect(jwt.decode(ticket).img).toBe(hashImage(frames[last - 1]));
+  });
+
+  test("too few matching frames are no match", async () => {
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "asha");
+    const frames = burstOf(challenge, (i) => (i < 2 ? acted(i) : [{ ...acted(i)[0], person: "someone" }]));
+    const res = await verify(challenge, frames);
+
+    expect(res.body).toMatchObject({ success: false, message: "No face match" });
+    expect(SpoofAttempt.create).not.toHaveBeenCalled();
+  });
+
+  test("an unregistered person is not matched", async () => {
+    const challenge = challengeOf("blink");
+    const res = await verify(challenge, burstOf(challenge, performing(challenge, "stranger")));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: false, message: "No face match" });
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+});
+
+describe("several faces", () => {
+  test("two comparable faces in view are refused", async () => {
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "asha");
+    const frames = burstOf(challenge, (i) => [
+      ...acted(i),
+      { person: "friend", boundingBox: { Left: 0.5, Top: 0.2, Width: 0.4, Height: 0.5 } },
+    ]);
+    const res = await verify(challenge, frames);
+
+    expect(res.body).toMatchObject({ success: false, multipleFaces: true });
+    expect(res.body.faces).toHaveLength(2);
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+
+  test("a small face in the background is reported but doesn't block the scan", async () => {
+    const challenge = challengeOf("blink");
+    const acted = performing(challenge, "asha");
+    const frames = burstOf(challenge, (i) => [...acted(i), { person: "passer-by", boundingBox: FAR_AWAY }]);
+    const res = await verify(challenge, frames);
+
+    expect(res.body).toMatchObject({ success: true, user: { userId: "S1" } });
+    expect(res.body.faces).toHaveLength(2);
+  });
+});
+
+describe("challenge use", () => {
+  test("a challenge answers one scan only", async () => {
+    const challenge = challengeOf("blink");
+    const frames = burstOf(challenge, performing(challenge, "asha"));
+    expect((await verify(challenge, frames)).statusCode).toBe(200);
+
+    const replay = await verify(challenge, frames, { wait: false });
+    expect(replay.statusCode).toBe(400);
+    expect(replay.body.message).toMatch(/already used/);
+    expect(createPendingPunch).toHaveBeenCalledTimes(1);
+  });
+
+  test("a burst sent before it could have been captured is refused", async () => {
+    const challenge = challengeOf("blink");
+    const res = await verify(challenge, burstOf(challenge, performing(challenge, "asha")), { wait: false });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toMatch(/too early/);
+    expect(SpoofAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ reason: "Burst arrived before it could have been captured" }));
+  });
+
+  test("a burst sent after the challenge expired is refused", async () => {
+    const challenge = challengeOf("blink");
+    now += 60 * 1000;
+    const res = await verify(challenge, burstOf(challenge, performing(challenge, "asha")));
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/missing or expired/);
+  });
+
+  test("the wrong number of frames is refused", async () => {
+    const challenge = challengeOf("blink");
+    const frames = burstOf(challenge, performing(challenge, "asha")).slice(1);
+    const res = await verify(challenge, frames);
+
+    expect(res.statusCode).toBe(400);
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+});
+
+describe("tickets", () => {
+  afterEach(() => {
+    delete process.env.LIVENESS_PROVIDER;
+  });
+
+  test("are bound to the sha256 of the captured image", async () => {
+    const challenge = challengeOf("blink");
+    const frames = burstOf(challenge, performing(challenge, "asha"));
+    await verify(challenge, frames);
+
+    const [{ ticket, imageData }] = createPendingPunch.mock.calls[0];
+    expect(imageData).toBe(frames[frames.length - 1]);
+    expect(jwt.decode(ticket).img).toBe(hashImage(imageData));
+  });
+
+  test("are never issued for an imageUrl, which is not fetched", async () => {
+    process.env.LIVENESS_PROVIDER = "none";
+    const res = mockRes();
+    await handler(mockReq({ method: "POST", body: { imageUrl: "http://169.254.169.254/latest/meta-data/" } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(createPendingPunch).not.toHaveBeenCalled();
+  });
+
+  test("can't be issued without an image hash", () => {
+    expect(() => issueVerificationTicket({ userId: "S1", imageHash: null })).toThrow(/captured image/);
+  });
+
+  test("bound to no image are refused at submit", async () => {
+    const ticket = jwt.sign({ sub: "S1", purpose: "attendance", img: null }, "test-secret", { jwtid: "t1" });
+    await expect(redeemVerificationTicket(ticket, { userId: "S1", imageData: null })).rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -1,10 +1,67 @@
 "use client";
+import { useEffect } from "react";
 import { FaSignOutAlt } from "react-icons/fa";
 import { useRouter } from "next/navigation";
 
+// Refresh the session token once it is this close to expiring
+const REFRESH_BEFORE_MS = 30 * 60 * 1000;
+const REFRESH_CHECK_MS = 5 * 60 * 1000;
+
 export default function AdminHeader({ showAbsent }) {
   const router = useRouter();
 
+  useEffect(() => {
+    const refreshIfNeeded = async () => {
+      const token = localStorage.getItem("adminToken");
+      const expiresAt = Date.parse(localStorage.getItem("adminTokenExpiresAt") || "");
+      if (!token || Number.isNaN(expiresAt)) return;
+      if (expiresAt - Date.now() > REFRESH_BEFORE_MS) return;
+
+      try {
+        const res = await fetch("/api/admin/refresh", {
+          method: "POST",
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (res.status === 401) {
+          localStorage.removeItem("adminToken");
+          localStorage.removeItem("adminTokenExpiresAt");
+          localStorage.removeItem("adminRole");
+          router.replace("/admin/login");
+          return;
+        }
+        const data = await res.json();
+        if (res.ok && data.token) {
+          localStorage.setItem("adminToken", data.token);
+          localStorage.setItem("adminTokenExpiresAt", data.expiresAt);
+          localStorage.setItem("adminRole", data.admin?.role || "");
+        }
+      } catch (err) {
+        console.error("Session refresh error:", err);
+      }
+    };
+
+    refreshIfNeeded();
+    const timer = setInterval(refreshIfNeeded, REFRESH_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [router]);
+
+  const handleLogout = async () => {
+    const token = localStorage.getItem("adminToken");
+    try {
+      // Revoke the session server-side so the token can't be reused
+      await fetch("/api/admin/logout", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } catch (err) {
+      console.error("Logout error:", err);
+    }
+    localStorage.removeItem("adminToken");
+    localStorage.removeItem("adminTokenExpiresAt");
+    localStorage.removeItem("adminRole");
+    router.replace("/admin/login");
+  };
+
   return (
     <header className="fixed top-0 left-64 right-0 z-50 bg-gradient-to-r from-gray-800 to-gray-700 shadow-sm p-4 flex justify-between items-center border-b border-gray-700">
       {/* ✅ Title */}
@@ -14,10 +71,7 @@ export default function AdminHeader({ showAbsent }) {
 
       {/* ✅ Logout Button */}
       <button
-        onClick={() => {
-          localStorage.removeItem("adminToken");
-          router.replace("/admin/login");
-        }}
+        onClick={handleLogout}
         className="flex items-center gap-2 bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg shadow-md transition"
       >
         <FaSignOutAlt /> Logout
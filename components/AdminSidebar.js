@@ -1,10 +1,12 @@
 "use client";
 import Link from "next/link";
-import { FaTachometerAlt, FaUserTimes } from "react-icons/fa";
+import { FaTachometerAlt, FaUserTimes, FaUserShield, FaLock, FaCog, FaBell, FaClock, FaCalendarAlt, FaCalendarCheck, FaUmbrellaBeach, FaHistory } from "react-icons/fa";
 import { usePathname } from "next/navigation";
+import useAdminRole from "../lib/useAdminRole";
 
 export default function AdminSidebar({ setView, setShowAbsent }) {
   const pathname = usePathname();
+  const { can } = useAdminRole();
 
   return (
     <aside
@@ -59,6 +61,111 @@ export default function AdminSidebar({ setView, setShowAbsent }) {
         >
           <FaUserTimes /> Records
         </Link>
+
+        {/* Sessions closed by the end-of-day job */}
+        <Link
+          href={"/admin/attendance/auto-closed"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaClock /> Auto-closed
+        </Link>
+
+        {/* Every change to attendance records */}
+        <Link
+          href={"/admin/attendance/audit"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaHistory /> Audit Log
+        </Link>
+
+        {/* Shift and class-slot timetable */}
+        <Link
+          href={"/admin/shifts"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaCalendarAlt /> Shifts
+        </Link>
+
+        {/* Working days, weekly offs and holidays */}
+        <Link
+          href={"/admin/calendar"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaCalendarCheck /> Calendar
+        </Link>
+
+        {/* Leave requests from the PWA */}
+        <Link
+          href={"/admin/leaves"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaUmbrellaBeach /> Leave
+        </Link>
+
+        {/* Admins link: super-admins only */}
+        {can("admins:manage") && (
+          <Link
+            href={"/admin/admins"}
+            className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                       bg-gradient-to-r from-gray-700 to-gray-900 
+                       hover:from-gray-600 hover:to-gray-800 
+                       transition text-white font-medium shadow-md"
+          >
+            <FaUserShield /> Admins
+          </Link>
+        )}
+
+        {/* Settings link: super-admins only */}
+        {can("settings:manage") && (
+          <Link
+            href={"/admin/settings"}
+            className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                       bg-gradient-to-r from-gray-700 to-gray-900 
+                       hover:from-gray-600 hover:to-gray-800 
+                       transition text-white font-medium shadow-md"
+          >
+            <FaCog /> Settings
+          </Link>
+        )}
+
+        {/* Notification outbox: super-admins only */}
+        {can("settings:manage") && (
+          <Link
+            href={"/admin/notifications"}
+            className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                       bg-gradient-to-r from-gray-700 to-gray-900 
+                       hover:from-gray-600 hover:to-gray-800 
+                       transition text-white font-medium shadow-md"
+          >
+            <FaBell /> Notifications
+          </Link>
+        )}
+
+        {/* Security: own password / two-factor settings */}
+        <Link
+          href={"/admin/security"}
+          className="flex items-center gap-3 w-full px-3 py-2 rounded-lg 
+                     bg-gradient-to-r from-gray-700 to-gray-900 
+                     hover:from-gray-600 hover:to-gray-800 
+                     transition text-white font-medium shadow-md"
+        >
+          <FaLock /> Security
+        </Link>
       </nav>
     </aside>
   );
@@ -1,6 +1,22 @@
 "use client";
 import Link from "next/link";
 
+// Days recorded without a shift have no classification
+const CLASSIFICATION_STYLES = {
+  "on-time": "text-green-600",
+  late: "text-yellow-600",
+  "early-leave": "text-orange-600",
+  "half-day": "text-red-600",
+};
+
+// "YYYY-MM-DD" is already the org-timezone day; parsing it with new Date()
+// would read it as UTC midnight and show the previous day west of UTC
+const formatDateKey = (date) => {
+  if (!date) return new Date().toLocaleDateString();
+  const [y, m, d] = String(date).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString();
+};
+
 export default function AttendanceTable({ attendanceList }) {
   return (
     <div className="px-6 pb-6">
@@ -14,13 +30,14 @@ export default function AttendanceTable({ attendanceList }) {
                 <th className="p-4 text-left">Date</th>
                 <th className="p-4 text-left">Punch In</th>
                 <th className="p-4 text-left">Punch Out</th>
+                <th className="p-4 text-left">Classification</th>
               </tr>
             </thead>
             <tbody>
               {attendanceList.length === 0 ? (
                 <tr>
                   <td
-                    colSpan="5"
+                    colSpan="6"
                     className="text-center p-6 text-gray-500 italic"
                   >
                     No attendance records found.
@@ -48,9 +65,7 @@ export default function AttendanceTable({ attendanceList }) {
 
                       {/* Show date for both present & absent */}
                       <td className="p-4">
-                        {entry.date
-                          ? new Date(entry.date).toLocaleDateString()
-                          : new Date().toLocaleDateString()}
+                        {formatDateKey(entry.date)}
                       </td>
 
                       {/* Show Punch In / Out only if present */}
@@ -58,11 +73,15 @@ export default function AttendanceTable({ attendanceList }) {
                         <>
                           <td className="p-4 text-gray-400 italic">Absent</td>
                           <td className="p-4 text-gray-400 italic">Absent</td>
+                          <td className="p-4 text-gray-400 italic">-</td>
                         </>
                       ) : (
                         <>
                           <td className="p-4">{entry.punchIn || "-"}</td>
                           <td className="p-4">{entry.punchOut || "-"}</td>
+                          <td className={`p-4 ${CLASSIFICATION_STYLES[entry.classification] || ""}`}>
+                            {entry.classification || "-"}
+                          </td>
                         </>
                       )}
                     </tr>
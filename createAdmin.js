@@ -1,32 +1,67 @@
-// require('dotenv').config();
-// const bcrypt = require("bcryptjs");
-// const connectDB = require("./lib/mongodb");
-// const AdminUser = require("./models/AdminUser");
-
-// async function createAdmin() {
-//   await connectDB();
-
-//   const email = "admin@example.com";
-//   const plainPassword = "admin123";
-
-//   const salt = await bcrypt.genSalt(10);
-//   const passwordHash = await bcrypt.hash(plainPassword, salt);
-
-//   const existing = await AdminUser.findOne({ email });
-//   if (existing) {
-//     console.log("Admin user already exists.");
-//     process.exit(0);
-//   }
-
-//   const admin = new AdminUser({
-//     email,
-//     passwordHash,
-//     name: "Super Admin",
-//   });
-
-//   await admin.save();
-//   console.log("Admin user created successfully.");
-//   process.exit(0);
-// }
-
-// createAdmin().catch(console.error);
+// createAdmin.js
+// First-run bootstrap: creates the initial super-admin.
+//
+//   npm run create-admin -- --email admin@example.com [--name "Super Admin"] [--password secret123]
+//
+// Without --password a temporary password is generated and printed once.
+// Refuses to run once an active super-admin exists; manage further admins
+// from /admin/admins instead.
+require("dotenv").config();
+const connectDB = require("./lib/mongodb");
+const AdminUser = require("./models/AdminUser");
+const { hashPassword, generateTempPassword, validatePassword } = require("./lib/adminPasswords");
+const { parseArgs } = require("./lib/scriptArgs");
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  const email = typeof args.email === "string" ? args.email.trim().toLowerCase() : "";
+  const name = typeof args.name === "string" ? args.name : "Super Admin";
+
+  if (!email || !email.includes("@")) {
+    console.error("Usage: node createAdmin.js --email <email> [--name <name>] [--password <password>]");
+    process.exit(1);
+  }
+
+  if (args.password !== undefined) {
+    const passwordError = validatePassword(args.password);
+    if (passwordError) {
+      console.error(passwordError);
+      process.exit(1);
+    }
+  }
+
+  await connectDB();
+
+  const superAdmins = await AdminUser.countDocuments({ role: "super-admin", active: { $ne: false } });
+  if (superAdmins > 0) {
+    console.log("A super-admin already exists. Invite further admins from /admin/admins.");
+    process.exit(0);
+  }
+
+  const existing = await AdminUser.findOne({ email });
+  if (existing) {
+    console.error(`Admin user ${email} already exists.`);
+    process.exit(1);
+  }
+
+  const plainPassword = args.password ?? generateTempPassword();
+
+  const admin = new AdminUser({
+    email,
+    passwordHash: await hashPassword(plainPassword),
+    name,
+    role: "super-admin",
+  });
+
+  await admin.save();
+  console.log(`Super-admin ${email} created successfully.`);
+  if (args.password === undefined) {
+    console.log(`Temporary password: ${plainPassword}`);
+  }
+  process.exit(0);
+}
+
+createAdmin().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+const nextJest = require("next/jest");
+
+const createJestConfig = nextJest({ dir: "./" });
+
+// node-fetch 3 and its helpers ship ESM only; compile them like app code
+const ESM_PACKAGES = ["node-fetch", "fetch-blob", "data-uri-to-buffer", "formdata-polyfill"];
+
+module.exports = async () => {
+  const config = await createJestConfig({
+    testEnvironment: "node",
+    testMatch: ["<rootDir>/__tests__/**/*.test.js"],
+  })();
+  config.transformIgnorePatterns = [
+    `/node_modules/(?!(${ESM_PACKAGES.join("|")})/)`,
+    ...config.transformIgnorePatterns.filter((p) => p !== "/node_modules/"),
+  ];
+  return config;
+};
@@ -0,0 +1,49 @@
+// lib/adminAuth.js
+import connectDB from "./mongodb";
+import { getBearerToken, verifyAdminToken } from "./adminSession";
+import { can } from "./adminRoles";
+
+/**
+ * Guard for admin-only API routes.
+ *
+ *   export default withAdminAuth(handler);
+ *   export default withAdminAuth(handler, { permission: "reports:read" });
+ *   export default withAdminAuth(handler, {
+ *     permission: (req) => (req.method === "GET" ? "reports:read" : "users:write"),
+ *   });
+ *
+ * - 401 when the bearer token is missing, invalid, expired or revoked
+ * - 403 when the admin's role lacks `permission` (see lib/adminRoles.js)
+ *
+ * On success the handler sees req.admin (AdminUser doc) and req.adminSession.
+ */
+export function withAdminAuth(handler, { permission } = {}) {
+  return async function adminAuthHandler(req, res) {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ message: "Unauthorized: No token provided" });
+    }
+
+    let auth;
+    try {
+      await connectDB();
+      auth = await verifyAdminToken(token);
+    } catch (err) {
+      console.error("Admin auth error:", err);
+      return res.status(500).json({ message: "Server Error" });
+    }
+
+    if (!auth) {
+      return res.status(401).json({ message: "Unauthorized: Invalid or expired token" });
+    }
+
+    const required = typeof permission === "function" ? permission(req) : permission;
+    if (required && !can(auth.admin, required)) {
+      return res.status(403).json({ message: "Forbidden: Insufficient permissions" });
+    }
+
+    req.admin = auth.admin;
+    req.adminSession = auth.session;
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,25 @@
+// lib/adminPasswords.js
+// CommonJS so the createAdmin.js CLI can share it with the API routes.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(plainPassword) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(plainPassword, salt);
+}
+
+// Shown once to whoever invited / reset the admin
+function generateTempPassword() {
+  return crypto.randomBytes(12).toString("base64url");
+}
+
+function validatePassword(plainPassword) {
+  if (typeof plainPassword !== "string" || plainPassword.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = { hashPassword, generateTempPassword, validatePassword, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,26 @@
+// lib/adminRoles.js
+// Shared by API routes, admin pages and CLI scripts — keep free of server-only imports.
+
+const ADMIN_ROLES = ["super-admin", "registrar", "viewer"];
+
+const PERMISSIONS = {
+  "reports:read": ["super-admin", "registrar", "viewer"],
+  "users:write": ["super-admin", "registrar"],
+  "faces:index": ["super-admin", "registrar"],
+  "admins:manage": ["super-admin"],
+  "attendance:edit": ["super-admin"],
+  "leaves:review": ["super-admin", "registrar"],
+  "settings:manage": ["super-admin"],
+};
+
+// Accepts an AdminUser (doc or plain object) or a bare role string
+function can(adminOrRole, permission) {
+  const role = typeof adminOrRole === "string" ? adminOrRole : adminOrRole?.role;
+  return Boolean(role && PERMISSIONS[permission]?.includes(role));
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].includes(role));
+}
+
+module.exports = { ADMIN_ROLES, PERMISSIONS, can, permissionsFor };
@@ -0,0 +1,114 @@
+// lib/adminSession.js
+import jwt from "jsonwebtoken";
+import AdminUser from "../models/AdminUser";
+import AdminSession from "../models/AdminSession";
+import { permissionsFor } from "./adminRoles";
+import getClientIp from "./clientIp";
+
+/**
+ * Admin session tokens.
+ *
+ * Each login creates an AdminSession document and returns a JWT carrying:
+ *  - sub: AdminUser _id
+ *  - sid: AdminSession _id (revoked on logout / refresh)
+ *  - ver: AdminUser.tokenVersion (bump it to kill every session of one admin)
+ *
+ * A token is only accepted while the JWT is unexpired, the session is not
+ * revoked and the version still matches the admin document.
+ */
+
+const SESSION_TTL_SECONDS = Number(process.env.ADMIN_SESSION_TTL_SECONDS ?? 12 * 60 * 60);
+
+function getSecret() {
+  const secret = process.env.ADMIN_JWT_SECRET;
+  if (!secret) throw new Error("ADMIN_JWT_SECRET not set in .env");
+  return secret;
+}
+
+// What the admin UI is allowed to know about the logged-in admin
+export function toAdminProfile(admin) {
+  return {
+    id: String(admin._id),
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    active: admin.active !== false,
+    permissions: permissionsFor(admin.role),
+    createdAt: admin.createdAt,
+    deactivatedAt: admin.deactivatedAt ?? null,
+    twoFactorEnabled: Boolean(admin.totp?.enabled),
+    lockedUntil: admin.lockedUntil && admin.lockedUntil > new Date() ? admin.lockedUntil : null,
+  };
+}
+
+export function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) return null;
+  return authHeader.split(" ")[1] || null;
+}
+
+export async function createAdminSession(admin, req) {
+  const secret = getSecret();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+  const session = await AdminSession.create({
+    adminId: admin._id,
+    expiresAt,
+    ip: getClientIp(req),
+    userAgent: req?.headers?.["user-agent"] || null,
+  });
+
+  const token = jwt.sign(
+    { sub: String(admin._id), sid: String(session._id), ver: admin.tokenVersion ?? 0 },
+    secret,
+    { expiresIn: SESSION_TTL_SECONDS }
+  );
+
+  return { token, expiresAt, session };
+}
+
+/**
+ * Resolve a bearer token to { admin, session }.
+ * Returns null for anything that should be treated as "not logged in".
+ */
+export async function verifyAdminToken(token) {
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (err) {
+    if (err?.name === "JsonWebTokenError" || err?.name === "TokenExpiredError" || err?.name === "NotBeforeError") {
+      return null;
+    }
+    throw err;
+  }
+
+  const [admin, session] = await Promise.all([
+    AdminUser.findById(payload.sub),
+    AdminSession.findById(payload.sid),
+  ]);
+
+  if (!admin || !session) return null;
+  if (admin.active === false) return null;
+  if (String(session.adminId) !== String(admin._id)) return null;
+  if (session.revokedAt || session.expiresAt <= new Date()) return null;
+  if ((admin.tokenVersion ?? 0) !== payload.ver) return null;
+
+  return { admin, session };
+}
+
+// Rotate: revoke the presented session and hand out a fresh one
+export async function refreshAdminSession({ admin, session }, req) {
+  await revokeAdminSession(session._id);
+  return createAdminSession(admin, req);
+}
+
+export async function revokeAdminSession(sessionId) {
+  await AdminSession.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+export async function revokeAllAdminSessions(adminId) {
+  await AdminUser.updateOne({ _id: adminId }, { $inc: { tokenVersion: 1 } });
+  await AdminSession.updateMany({ adminId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
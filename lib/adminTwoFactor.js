@@ -0,0 +1,80 @@
+// lib/adminTwoFactor.js
+import jwt from "jsonwebtoken";
+import AdminUser from "../models/AdminUser";
+import { verifyTotp, decryptSecret, hashRecoveryCode } from "./totp";
+
+/**
+ * Second login step for admins with TOTP enabled.
+ *
+ * /api/admin/login answers { twoFactorRequired, challengeToken } instead of a
+ * session; /api/admin/login/two-factor trades the challenge plus a TOTP or
+ * recovery code for the real session token.
+ */
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+function getSecret() {
+  const secret = process.env.ADMIN_JWT_SECRET;
+  if (!secret) throw new Error("ADMIN_JWT_SECRET not set in .env");
+  return secret;
+}
+
+export function createTwoFactorChallenge(admin) {
+  return jwt.sign(
+    { sub: String(admin._id), purpose: "2fa", ver: admin.tokenVersion ?? 0 },
+    getSecret(),
+    { expiresIn: CHALLENGE_TTL_SECONDS }
+  );
+}
+
+// Resolves a challenge token to its AdminUser, or null
+export async function verifyTwoFactorChallenge(challengeToken) {
+  if (!challengeToken) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, getSecret());
+  } catch (err) {
+    if (err?.name === "JsonWebTokenError" || err?.name === "TokenExpiredError") return null;
+    throw err;
+  }
+  if (payload.purpose !== "2fa") return null;
+
+  const admin = await AdminUser.findById(payload.sub);
+  if (!admin || admin.active === false || !admin.totp?.enabled) return null;
+  if ((admin.tokenVersion ?? 0) !== payload.ver) return null;
+  return admin;
+}
+
+/**
+ * Checks (and consumes) a TOTP code or a recovery code.
+ * Returns "totp" | "recovery" on success, null otherwise.
+ */
+export async function verifySecondFactor(admin, { code, recoveryCode }) {
+  if (!admin.totp?.enabled || !admin.totp.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(admin.totp.secret), code, {
+      afterStep: admin.totp.lastUsedStep ?? -1,
+    });
+    if (step === null) return null;
+
+    // Only one request may use a given code
+    const claimed = await AdminUser.updateOne(
+      { _id: admin._id, "totp.lastUsedStep": { $lt: step } },
+      { $set: { "totp.lastUsedStep": step } }
+    );
+    return claimed.modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const consumed = await AdminUser.updateOne(
+      { _id: admin._id, "totp.recoveryCodeHashes": hash },
+      { $pull: { "totp.recoveryCodeHashes": hash } }
+    );
+    return consumed.modifiedCount === 1 ? "recovery" : null;
+  }
+
+  return null;
+}
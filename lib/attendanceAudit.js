@@ -0,0 +1,54 @@
+// lib/attendanceAudit.js
+import AttendanceAudit from "../models/AttendanceAudit";
+import getClientIp from "./clientIp";
+
+/**
+ * The parts of an Attendance record the audit log keeps: sessions (with any
+ * voided ones) and the derived day fields. The captured image is left out.
+ */
+export function snapshotOf(record) {
+  if (!record) return null;
+  const doc = record.toObject ? record.toObject() : record;
+  return {
+    sessions: doc.sessions || [],
+    voidedSessions: doc.voidedSessions || [],
+    punchIn: doc.punchIn ?? null,
+    punchInAt: doc.punchInAt ?? null,
+    punchOut: doc.punchOut ?? null,
+    punchOutAt: doc.punchOutAt ?? null,
+    durationSeconds: doc.durationSeconds ?? null,
+    status: doc.status ?? null,
+    classification: doc.classification ?? null,
+  };
+}
+
+// Who made the change, from the request (admin routes) or a fixed actor
+export const kioskActor = () => ({ type: "kiosk" });
+export const adminActor = (admin) => ({ type: "admin", adminId: admin?._id ?? null, label: admin?.email || "" });
+export const systemActor = (label) => ({ type: "system", label });
+
+/**
+ * Appends one audit entry. `before` / `after` are records (or plain objects)
+ * and go through snapshotOf. A failed write is logged, never thrown: the
+ * attendance change it describes has already happened.
+ */
+export async function auditAttendanceChange({ record, action, actor, before = null, after = record, req = null, reason = null, match = null }) {
+  try {
+    await AttendanceAudit.create({
+      attendanceId: record._id,
+      userId: record.userId,
+      date: record.date,
+      action,
+      actor,
+      before: snapshotOf(before),
+      after: snapshotOf(after),
+      reason,
+      ip: req ? getClientIp(req) : null,
+      userAgent: req?.headers?.["user-agent"] || null,
+      similarity: Number.isFinite(match?.similarity) ? match.similarity : null,
+      distance: Number.isFinite(match?.distance) ? match.distance : null,
+    });
+  } catch (err) {
+    console.error("Attendance audit error:", err);
+  }
+}
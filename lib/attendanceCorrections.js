@@ -0,0 +1,186 @@
+// lib/attendanceCorrections.js
+import Attendance from "../models/Attendance";
+import { sessionsOf, summarizeSessions, computeDurationSeconds } from "./attendanceSessions";
+import { sessionGuard } from "./attendancePunch";
+import { atLocalTime } from "./dates";
+
+const DISPLAY_FORMAT = "hh:mm:ss A";
+
+function correctionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function requireReason(reason) {
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (!text) throw correctionError("A reason is required for every correction");
+  if (text.length > 500) throw correctionError("Reason must be at most 500 characters");
+  return text;
+}
+
+// "HH:mm" on the record's day (org timezone) → { at, display }
+function parseTime(record, value, timezone, label) {
+  const at = atLocalTime(record.date, String(value ?? "").trim(), timezone);
+  if (!at.isValid()) throw correctionError(`${label} must be HH:mm`);
+  return { at: at.toDate(), display: at.format(DISPLAY_FORMAT) };
+}
+
+// Legacy rows keep their single pair in the top-level fields; corrections work on sessions
+function materializeSessions(record) {
+  if (!record.sessions.length && !record.voidedSessions.length) {
+    record.sessions = sessionsOf(record).map((s) => ({ ...s }));
+  }
+}
+
+function sessionAt(record, index) {
+  const session = Number.isInteger(index) ? record.sessions[index] : null;
+  if (!session) throw correctionError("Session not found", 404);
+  return session;
+}
+
+// Sorted by punch-in, no overlaps, only the last session may be open
+function sortAndValidate(record) {
+  record.sessions.sort((a, b) => a.punchInAt - b.punchInAt);
+  record.sessions.forEach((s, i) => {
+    const next = record.sessions[i + 1];
+    if (s.punchOutAt && s.punchOutAt <= s.punchInAt) {
+      throw correctionError("Punch-out must be after punch-in");
+    }
+    if (next && !s.punchOutAt) throw correctionError("Only the last session of the day can be left open");
+    if (next && s.punchOutAt > next.punchInAt) throw correctionError("Sessions cannot overlap");
+  });
+}
+
+function markCorrected(record, session, { reason, adminId }) {
+  Object.assign(session, { correctionReason: reason, correctedBy: adminId, correctedAt: new Date() });
+  record.corrected = true;
+}
+
+/**
+ * Adds a hand-entered session (camera failure, forgotten scan). `punchOut`
+ * may be omitted to leave it open. Mutates `record`; the caller reclassifies
+ * and saves. Throws errors with a `status` on invalid input.
+ */
+export function addManualSession(record, { punchIn, punchOut }, { reason, adminId, timezone }) {
+  const text = requireReason(reason);
+  materializeSessions(record);
+
+  const start = parseTime(record, punchIn, timezone, "Punch-in");
+  const end = punchOut ? parseTime(record, punchOut, timezone, "Punch-out") : null;
+  record.sessions.push({
+    punchInAt: start.at,
+    punchIn: start.display,
+    punchOutAt: end?.at ?? null,
+    punchOut: end?.display ?? null,
+    source: "manual",
+  });
+  sortAndValidate(record);
+
+  const session = record.sessions.find((s) => s.punchInAt.getTime() === start.at.getTime());
+  markCorrected(record, session, { reason: text, adminId });
+  return session;
+}
+
+/**
+ * Changes the punch-in and/or punch-out of one session. The first correction
+ * copies the recorded times into `original`, so a scanned session that was
+ * corrected stays distinguishable (and restorable).
+ */
+export function editSession(record, index, { punchIn, punchOut }, { reason, adminId, timezone }) {
+  const text = requireReason(reason);
+  materializeSessions(record);
+  const session = sessionAt(record, index);
+  if (!punchIn && !punchOut) throw correctionError("Nothing to change");
+
+  if (!session.original) {
+    session.original = {
+      punchInAt: session.punchInAt,
+      punchIn: session.punchIn ?? null,
+      punchOutAt: session.punchOutAt ?? null,
+      punchOut: session.punchOut ?? null,
+    };
+  }
+  if (punchIn) {
+    const start = parseTime(record, punchIn, timezone, "Punch-in");
+    Object.assign(session, { punchInAt: start.at, punchIn: start.display });
+  }
+  if (punchOut) {
+    const end = parseTime(record, punchOut, timezone, "Punch-out");
+    Object.assign(session, { punchOutAt: end.at, punchOut: end.display });
+  }
+  // Correcting an auto-closed session also settles its review
+  if (session.autoClosed && !session.reviewedAt) {
+    Object.assign(session, { reviewedBy: adminId, reviewedAt: new Date() });
+  }
+
+  sortAndValidate(record);
+  markCorrected(record, session, { reason: text, adminId });
+  return session;
+}
+
+/**
+ * Removes a session from the day (wrong person, duplicate scan). It is kept
+ * unchanged in `voidedSessions` with the reason.
+ */
+export function voidSession(record, index, { reason, adminId }) {
+  const text = requireReason(reason);
+  materializeSessions(record);
+  const session = sessionAt(record, index);
+
+  record.sessions.splice(index, 1);
+  record.voidedSessions.push({
+    session: session.toObject ? session.toObject() : session,
+    reason: text,
+    voidedBy: adminId,
+    voidedAt: new Date(),
+  });
+  record.corrected = true;
+  return session;
+}
+
+// Everything a correction (and the reclassification after it) can change
+const CORRECTED_FIELDS = [
+  "sessions",
+  "voidedSessions",
+  "corrected",
+  "punchInAt",
+  "punchIn",
+  "punchOutAt",
+  "punchOut",
+  "durationSeconds",
+  "status",
+  "shift",
+  "classification",
+  "lateMinutes",
+  "earlyLeaveMinutes",
+];
+
+/**
+ * Stores a correction made on a loaded record. `before` is the record as it
+ * was read (null for a new one): the write only lands while no scan changed
+ * the sessions since, as for lib/attendancePunch, so a punch in between is
+ * never overwritten — the admin gets a 409 and retries on fresh data.
+ * Returns the stored record.
+ */
+export async function saveCorrection(record, before) {
+  if (!before) {
+    try {
+      return await record.save();
+    } catch (err) {
+      if (err?.code === 11000) throw correctionError("The record was just created by a scan, please try again", 409);
+      throw err;
+    }
+  }
+
+  // What the model's pre-save would derive
+  for (const s of record.sessions) s.durationSeconds = computeDurationSeconds(s.punchInAt, s.punchOutAt);
+  Object.assign(record, summarizeSessions(record.sessions));
+  await record.validate();
+
+  const doc = record.toObject();
+  const update = Object.fromEntries(CORRECTED_FIELDS.map((key) => [key, doc[key] ?? null]));
+  const updated = await Attendance.findOneAndUpdate(sessionGuard(before), { $set: update }, { new: true });
+  if (!updated) throw correctionError("A scan changed this day while you were editing, please reload and try again", 409);
+  return updated;
+}
@@ -0,0 +1,120 @@
+// lib/attendancePunch.js
+import Attendance from "../models/Attendance";
+import { sessionsOf, summarizeSessions, computeDurationSeconds } from "./attendanceSessions";
+import { classifyAttendance } from "./shifts";
+
+// Guarded writes that lose a race are re-read and re-applied this many times
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Filter that matches `record` only while its sessions are as they were read:
+ * same number of sessions and the same punch-out on the last one. Every
+ * read-modify-write of a day's sessions is applied through it.
+ */
+export function sessionGuard(record) {
+  const guard = { _id: record._id };
+  const stored = record.sessions || [];
+  if (stored.length) {
+    guard.sessions = { $size: stored.length };
+    guard[`sessions.${stored.length - 1}.punchOutAt`] = stored[stored.length - 1].punchOutAt ?? null;
+  } else {
+    guard["sessions.0"] = { $exists: false };
+    guard.punchOutAt = record.punchOutAt ?? null;
+  }
+  return guard;
+}
+
+/**
+ * Records one scan for (userId, date) as a single state transition:
+ *
+ *   no record      -> upsert with one open session          => "punched-in"
+ *   open session   -> close it                              => "punched-out"
+ *   all closed     -> open a new session                    => "punched-in"
+ *   within the repeat window of the last punch              => "too-soon"
+ *
+ * The insert is an upsert on the unique (userId, date) index and every other
+ * write is guarded on the session list it was computed from, so concurrent
+ * scans can never create two records or two transitions from the same state.
+ *
+ * `shift` (lib/shifts#findShiftFor) drives the stored on-time / late /
+ * early-leave / half-day classification, read in the org `timezone`.
+ *
+ * Returns { action, record, previous, elapsedSec? } — `previous` is the record
+ * as it was before this scan (null when the scan created it).
+ */
+export async function recordPunch({ userId, date, name, role, imageData, at, display, minRepeatSeconds = 0, shift = null, timezone }) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const firstSession = { punchInAt: at, punchIn: display, punchOutAt: null, punchOut: null, durationSeconds: null };
+
+    let result;
+    try {
+      result = await Attendance.findOneAndUpdate(
+        { userId, date },
+        {
+          $setOnInsert: {
+            userId,
+            name,
+            role,
+            date,
+            sessions: [firstSession],
+            ...summarizeSessions([firstSession]),
+            ...classifyAttendance(summarizeSessions([firstSession]), shift, date, timezone),
+            ...(imageData ? { imageData } : {}),
+            recordedAt: new Date(),
+          },
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (err) {
+      // Two upserts raced on the unique index; the next pass sees the winner
+      if (err?.code === 11000) continue;
+      throw err;
+    }
+
+    const record = result.value;
+    if (!result.lastErrorObject?.updatedExisting) {
+      return { action: "punched-in", record, previous: null };
+    }
+
+    // Legacy rows (single punchIn/punchOut) are read as one session
+    const sessions = sessionsOf(record).map((s) => ({ ...(s.toObject ? s.toObject() : s) }));
+    const last = sessions[sessions.length - 1];
+    const isOpen = Boolean(last && !last.punchOutAt);
+
+    // Repeat window: ignore a second scan right after the previous punch
+    const lastPunchAt = isOpen ? last.punchInAt : last?.punchOutAt;
+    if (lastPunchAt) {
+      const elapsedSec = Math.floor(Math.max(0, at - new Date(lastPunchAt)) / 1000);
+      if (elapsedSec < minRepeatSeconds) {
+        return { action: "too-soon", record, previous: record, elapsedSec };
+      }
+    }
+
+    // Open session -> close it; otherwise start a new one
+    if (isOpen) {
+      Object.assign(last, {
+        punchOutAt: at,
+        punchOut: display,
+        durationSeconds: computeDurationSeconds(last.punchInAt, at),
+      });
+    } else {
+      sessions.push(firstSession);
+    }
+
+    const summary = summarizeSessions(sessions);
+    const update = { sessions, ...summary, ...classifyAttendance(summary, shift, date, timezone) };
+    if (name) update.name = name;
+    if (role) update.role = role;
+    if (imageData) update.imageData = imageData;
+
+    // Only apply if nobody punched in between (same session count, same open state)
+    const updated = await Attendance.findOneAndUpdate(sessionGuard(record), { $set: update }, { new: true });
+    if (updated) {
+      return { action: isOpen ? "punched-out" : "punched-in", record: updated, previous: record };
+    }
+  }
+
+  const err = new Error("Attendance record is being updated concurrently, please try again");
+  err.status = 409;
+  throw err;
+}
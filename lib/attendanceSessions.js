@@ -0,0 +1,57 @@
+// lib/attendanceSessions.js
+// Helpers for the per-day list of in/out sessions on an Attendance record.
+// Shared by the model, API routes and admin pages — no server-only imports.
+
+export function computeDurationSeconds(punchInAt, punchOutAt) {
+  if (!punchInAt || !punchOutAt) return null;
+  return Math.max(0, Math.floor((new Date(punchOutAt) - new Date(punchInAt)) / 1000));
+}
+
+// seconds -> "HH:mm:ss" (null stays null)
+export function formatDuration(totalSec) {
+  if (totalSec === null || totalSec === undefined) return null;
+  const hh = String(Math.floor(totalSec / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((totalSec % 3600) / 60)).padStart(2, "0");
+  const ss = String(totalSec % 60).padStart(2, "0");
+  return `${hh}:${mm}:${ss}`;
+}
+
+/**
+ * Sessions of a record, oldest first. Records written before sessions
+ * existed are read as a single session built from the top-level fields.
+ */
+export function sessionsOf(record) {
+  if (!record) return [];
+  if (Array.isArray(record.sessions) && record.sessions.length) return record.sessions;
+  if (!record.punchInAt) return [];
+  return [
+    {
+      punchInAt: record.punchInAt,
+      punchIn: record.punchIn ?? null,
+      punchOutAt: record.punchOutAt ?? null,
+      punchOut: record.punchOut ?? null,
+      durationSeconds: computeDurationSeconds(record.punchInAt, record.punchOutAt),
+    },
+  ];
+}
+
+/**
+ * Top-level fields derived from the sessions: first punch-in, last punch-out
+ * (only once every session is closed), total presence and status
+ * ("auto-closed" when the end-of-day job closed the last session). A day
+ * left with no sessions (all voided) is closed: nothing is open on it.
+ */
+export function summarizeSessions(sessions) {
+  const first = sessions[0];
+  const last = sessions[sessions.length - 1];
+  const open = Boolean(last && !last.punchOutAt);
+
+  return {
+    punchInAt: first?.punchInAt ?? null,
+    punchIn: first?.punchIn ?? null,
+    punchOutAt: open ? null : last?.punchOutAt ?? null,
+    punchOut: open ? null : last?.punchOut ?? null,
+    durationSeconds: sessions.reduce((sum, s) => sum + (computeDurationSeconds(s.punchInAt, s.punchOutAt) ?? 0), 0),
+    status: open ? "punched-in" : last?.autoClosed ? "auto-closed" : "punched-out",
+  };
+}
@@ -0,0 +1,81 @@
+// lib/autoPunchOut.js
+import Attendance from "../models/Attendance";
+import User from "../models/User";
+import { getSetting } from "./settings";
+import { sessionsOf, summarizeSessions, computeDurationSeconds } from "./attendanceSessions";
+import { sessionGuard } from "./attendancePunch";
+import { findShiftFor, classifyAttendance } from "./shifts";
+import { getTimezone, inTimezone, todayKey, atLocalTime, startOfDateKey } from "./dates";
+import { auditAttendanceChange, systemActor } from "./attendanceAudit";
+
+/**
+ * End-of-day time ("HH:mm", org timezone — lib/dates#getTimezone) at which open sessions are closed.
+ * Setting "attendance".autoPunchOutTime, else AUTO_PUNCH_OUT_TIME, else 23:59.
+ */
+export async function getAutoPunchOutTime() {
+  const stored = (await getSetting("attendance", {})) || {};
+  const value = stored.autoPunchOutTime || process.env.AUTO_PUNCH_OUT_TIME || "23:59";
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : "23:59";
+}
+
+/**
+ * Closes every open session whose day has reached the cut-off. The session
+ * ends at the cut-off (or, if it was opened after the cut-off, at the end of
+ * its day once that has passed) and is flagged `autoClosed` for admin review.
+ *
+ * Returns { closed, skipped } — skipped counts records a scan changed mid-run.
+ */
+export async function closeOpenSessions({ now = new Date() } = {}) {
+  const cutoffTime = await getAutoPunchOutTime();
+  const timezone = await getTimezone();
+  const today = todayKey(timezone, now);
+  const todayDue = inTimezone(now, timezone).format("HH:mm") >= cutoffTime;
+
+  const open = await Attendance.find({
+    status: "punched-in",
+    date: todayDue ? { $lte: today } : { $lt: today },
+  });
+
+  const summary = { closed: 0, skipped: 0 };
+
+  for (const record of open) {
+    const sessions = sessionsOf(record).map((s) => ({ ...(s.toObject ? s.toObject() : s) }));
+    const last = sessions[sessions.length - 1];
+    if (!last || last.punchOutAt) continue;
+
+    const cutoff = atLocalTime(record.date, cutoffTime, timezone);
+    const endOfDay = startOfDateKey(record.date, timezone).endOf("day");
+    const closeAt = cutoff.isAfter(last.punchInAt) ? cutoff : endOfDay;
+    // Opened after today's cut-off: leave it until the day is over
+    if (closeAt.isAfter(now)) continue;
+
+    Object.assign(last, {
+      punchOutAt: closeAt.toDate(),
+      punchOut: closeAt.tz(timezone).format("hh:mm:ss A"),
+      durationSeconds: computeDurationSeconds(last.punchInAt, closeAt.toDate()),
+      autoClosed: true,
+    });
+
+    const user = await User.findOne({ userId: record.userId }).select("role batch").lean();
+    const shift = await findShiftFor({ role: user?.role || record.role, batch: user?.batch, date: record.date });
+    const daySummary = summarizeSessions(sessions);
+
+    const update = { sessions, ...daySummary, ...classifyAttendance(daySummary, shift, record.date, timezone) };
+    // Skipped if a scan got there first
+    const updated = await Attendance.updateOne(sessionGuard(record), { $set: update });
+    if (updated.modifiedCount) {
+      summary.closed++;
+      await auditAttendanceChange({
+        record,
+        action: "auto-close",
+        actor: systemActor("auto-punch-out"),
+        before: record,
+        after: { ...record.toObject(), ...update },
+      });
+    } else {
+      summary.skipped++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,18 @@
+// lib/clientIp.js
+// Caller IP for throttling and logs. x-forwarded-for is client-controlled up
+// to the hops our own proxies append, so it is only read when TRUST_PROXY
+// says how many proxies sit in front of the app (1 on Vercel); the client is
+// then the address the outermost trusted proxy appended.
+const TRUSTED_HOPS = Math.max(0, Number.parseInt(process.env.TRUST_PROXY ?? "0", 10) || 0);
+
+export default function getClientIp(req) {
+  const forwarded = req?.headers?.["x-forwarded-for"];
+  if (TRUSTED_HOPS && forwarded) {
+    const hops = String(forwarded)
+      .split(",")
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+    if (hops.length >= TRUSTED_HOPS) return hops[hops.length - TRUSTED_HOPS];
+  }
+  return req?.socket?.remoteAddress || null;
+}
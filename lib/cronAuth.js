@@ -0,0 +1,35 @@
+// lib/cronAuth.js
+import crypto from "crypto";
+import connectDB from "./mongodb";
+import { getBearerToken } from "./adminSession";
+
+/**
+ * Guard for scheduled-job routes (pages/api/cron/*).
+ *
+ * Callers send `Authorization: Bearer <CRON_SECRET>` — the header Vercel Cron
+ * adds automatically. Routes refuse to run while CRON_SECRET is unset.
+ */
+export function withCronAuth(handler) {
+  return async function cronAuthHandler(req, res) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      return res.status(503).json({ message: "CRON_SECRET is not configured" });
+    }
+
+    const token = getBearerToken(req) || "";
+    const a = Buffer.from(token);
+    const b = Buffer.from(secret);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    try {
+      await connectDB();
+    } catch (err) {
+      console.error("Cron DB error:", err);
+      return res.status(500).json({ message: "Server Error" });
+    }
+
+    return handler(req, res);
+  };
+}
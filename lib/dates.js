@@ -0,0 +1,56 @@
+// lib/dates.js
+import moment from "moment-timezone";
+import { getSetting } from "./settings";
+
+// Attendance days ("YYYY-MM-DD") are calendar days in the organization timezone
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+export const DATE_KEY_FORMAT = "YYYY-MM-DD";
+
+export const isValidTimezone = (tz) => typeof tz === "string" && Boolean(moment.tz.zone(tz));
+
+/**
+ * Organization timezone: setting "attendance".timezone, else APP_TIMEZONE,
+ * else Asia/Kolkata. Every route that decides what "today" is uses this.
+ */
+export async function getTimezone() {
+  const stored = (await getSetting("attendance", {})) || {};
+  if (isValidTimezone(stored.timezone)) return stored.timezone;
+  if (isValidTimezone(process.env.APP_TIMEZONE)) return process.env.APP_TIMEZONE;
+  return DEFAULT_TIMEZONE;
+}
+
+// `at` (Date / ISO / moment) as a moment in `tz`
+export const inTimezone = (at, tz) => moment(at).tz(tz);
+
+// Calendar day of an instant in `tz`
+export const toDateKey = (at, tz) => inTimezone(at, tz).format(DATE_KEY_FORMAT);
+
+export const todayKey = (tz, now = new Date()) => toDateKey(now, tz);
+
+// Wall-clock "HH:mm" on a calendar day in `tz`; invalid input gives an invalid moment
+export const atLocalTime = (dateKey, time, tz) =>
+  moment.tz(`${dateKey} ${time}`, `${DATE_KEY_FORMAT} HH:mm`, true, tz);
+
+// Midnight that starts `dateKey` in `tz`
+export const startOfDateKey = (dateKey, tz) => moment.tz(dateKey, DATE_KEY_FORMAT, true, tz);
+
+// 0 = Sunday; a calendar day has the same weekday everywhere
+export const weekdayOf = (dateKey) => moment.utc(dateKey, DATE_KEY_FORMAT, true).day();
+
+/**
+ * First day of the period containing `now` in `tz`, as a date key.
+ * `unit` is a moment unit: "week" (Sunday start), "isoWeek" (Monday), "month".
+ */
+export const periodStartKey = (tz, unit, now = new Date()) =>
+  inTimezone(now, tz).startOf(unit).format(DATE_KEY_FORMAT);
+
+// Shifts a date key by whole days / weeks / months
+export const addToDateKey = (dateKey, amount, unit) =>
+  moment.utc(dateKey, DATE_KEY_FORMAT, true).add(amount, unit).format(DATE_KEY_FORMAT);
+
+// Every date key from start to end, inclusive
+export function enumerateDateKeys(startKey, endKey) {
+  const keys = [];
+  for (let key = startKey; key <= endKey; key = addToDateKey(key, 1, "day")) keys.push(key);
+  return keys;
+}
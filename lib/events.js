@@ -0,0 +1,25 @@
+// lib/events.js
+// Minimal in-process event bus for side effects of API actions
+// (notifications etc.) so the action itself stays a single code path.
+
+const listeners = new Map();
+
+export const ATTENDANCE_RECORDED = "attendance.recorded";
+
+export function on(event, listener) {
+  if (!listeners.has(event)) listeners.set(event, new Set());
+  listeners.get(event).add(listener);
+  return () => listeners.get(event)?.delete(listener);
+}
+
+/**
+ * Runs every listener and waits for them to settle. A failing listener is
+ * logged and never breaks the caller or the other listeners.
+ */
+export async function emit(event, payload) {
+  const handlers = [...(listeners.get(event) || [])];
+  const results = await Promise.allSettled(handlers.map((fn) => fn(payload)));
+  for (const r of results) {
+    if (r.status === "rejected") console.error(`[events] ${event} listener failed:`, r.reason);
+  }
+}
@@ -0,0 +1,199 @@
+// lib/faceDescriptors.js
+import crypto from "crypto";
+import path from "path";
+import jpeg from "jpeg-js";
+import User from "../models/User";
+
+// Local face backend (lib/faceService): face-api.js runs on the server over
+// the captured JPEG, and the 128-number descriptors of registered faces are
+// stored on the User and compared by euclidean distance. Nothing the client
+// computes is trusted, so what gets matched is the image the liveness check saw.
+//
+// The tiny face detector, 68-point landmark and recognition weights are read
+// from FACE_API_MODELS_DIR (default public/models, the files the browser
+// loads). face-api.js runs on the pure-JS TensorFlow backend, so a frame
+// takes a second or more on a small server.
+
+const MODELS_DIR = process.env.FACE_API_MODELS_DIR || path.join(process.cwd(), "public", "models");
+const MATCH_THRESHOLD = Number(process.env.MATCH_THRESHOLD ?? 0.45); // 0..1, lower is stricter
+const MIN_FACE_SCORE = Number(process.env.FACE_API_MIN_SCORE ?? 0.5); // detector score, 0..1
+const EYES_CLOSED_RATIO = Number(process.env.FACE_API_EYES_CLOSED_RATIO ?? 0.2); // eye aspect ratio
+const MAX_IMAGE_MP = 12;
+const CACHE_SIZE = 32; // described images kept, so a burst is only run through the nets once
+
+let loading = null;
+
+// face-api.js and its weights, loaded once on first use
+function loadFaceApi() {
+  loading ||= (async () => {
+    const faceapi = await import("face-api.js");
+    await Promise.all([
+      faceapi.nets.tinyFaceDetector.loadFromDisk(MODELS_DIR),
+      faceapi.nets.faceLandmark68Net.loadFromDisk(MODELS_DIR),
+      faceapi.nets.faceRecognitionNet.loadFromDisk(MODELS_DIR),
+    ]);
+    return faceapi;
+  })().catch((err) => {
+    loading = null;
+    throw err;
+  });
+  return loading;
+}
+
+function decodeImage(image) {
+  if (!Buffer.isBuffer(image)) {
+    throw Object.assign(new Error("The descriptor backend needs an image"), { status: 400 });
+  }
+  try {
+    return jpeg.decode(image, { useTArray: true, formatAsRGBA: false, maxResolutionInMP: MAX_IMAGE_MP });
+  } catch (err) {
+    throw Object.assign(new Error(`The descriptor backend reads JPEG images (${err.message})`), { status: 400 });
+  }
+}
+
+const distance2d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Eye aspect ratio over the six landmarks of one eye: about 0.3 open, near 0 closed
+export function eyeAspectRatio(eye) {
+  return (distance2d(eye[1], eye[5]) + distance2d(eye[2], eye[4])) / (2 * distance2d(eye[0], eye[3]) || 1);
+}
+
+// Rough head yaw in degrees from how far the nose tip sits off the middle of the jaw
+export function estimateYaw({ jaw, noseTip }) {
+  const left = jaw[0];
+  const right = jaw[jaw.length - 1];
+  const half = (right.x - left.x) / 2;
+  if (!half) return null;
+  const offset = Math.max(-1, Math.min(1, (noseTip.x - (left.x + half)) / half));
+  return (Math.asin(offset) * 180) / Math.PI;
+}
+
+// Every face in the image with its descriptor and the attributes the
+// liveness challenges read
+async function describeImage(image) {
+  const { width, height, data } = decodeImage(image);
+  const faceapi = await loadFaceApi();
+  const input = faceapi.tf.tensor3d(data, [height, width, 3], "int32");
+  try {
+    const results = await faceapi
+      .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions({ scoreThreshold: MIN_FACE_SCORE }))
+      .withFaceLandmarks()
+      .withFaceDescriptors();
+    return results.map(({ detection, landmarks, descriptor }) => {
+      const box = detection.relativeBox;
+      const ear = (eyeAspectRatio(landmarks.getLeftEye()) + eyeAspectRatio(landmarks.getRightEye())) / 2;
+      return {
+        boundingBox: { Left: box.x, Top: box.y, Width: box.width, Height: box.height },
+        confidence: detection.score * 100,
+        eyesOpen: ear >= EYES_CLOSED_RATIO,
+        yaw: estimateYaw({ jaw: landmarks.getJawOutline(), noseTip: landmarks.getNose()[3] }),
+        descriptor: Array.from(descriptor),
+      };
+    });
+  } finally {
+    input.dispose();
+  }
+}
+
+function l2Normalize(arr) {
+  let sumSq = 0;
+  for (let i = 0; i < arr.length; i++) sumSq += arr[i] * arr[i];
+  const norm = Math.sqrt(sumSq) || 1;
+  const out = new Array(arr.length);
+  for (let i = 0; i < arr.length; i++) out[i] = arr[i] / norm;
+  return out;
+}
+
+const faceArea = (face) => face.boundingBox.Width * face.boundingBox.Height;
+
+export function euclideanDistance(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    s += d * d;
+  }
+  return Math.sqrt(s);
+}
+
+/**
+ * `describeFaces(image)` → faces as described above; swappable so tests can
+ * run without the weights.
+ */
+export function createDescriptorFaceService({ describeFaces = describeImage } = {}) {
+  const described = new Map(); // sha256 of image -> Promise of faces, largest first
+
+  function facesIn(image) {
+    if (!Buffer.isBuffer(image)) {
+      return Promise.reject(Object.assign(new Error("The descriptor backend needs an image"), { status: 400 }));
+    }
+    const key = crypto.createHash("sha256").update(image).digest("hex");
+    if (!described.has(key)) {
+      const faces = Promise.resolve()
+        .then(() => describeFaces(image))
+        .then((list) => [...list].sort((a, b) => faceArea(b) - faceArea(a)));
+      faces.catch(() => described.delete(key));
+      described.set(key, faces);
+      if (described.size > CACHE_SIZE) described.delete(described.keys().next().value);
+    }
+    return described.get(key);
+  }
+
+  return {
+    name: "descriptor",
+
+    async indexFace({ userId, image }) {
+      const [face] = await facesIn(image);
+      if (!face) throw Object.assign(new Error("No face found in image"), { status: 400 });
+      const user = await User.findOneAndUpdate(
+        { userId: String(userId) },
+        { $push: { faceDescriptors: face.descriptor } },
+        { new: true }
+      ).lean();
+      if (!user) return { faceIds: [], userUpdated: false, raw: null };
+      return { faceIds: [`${user.userId}#${user.faceDescriptors.length - 1}`], userUpdated: true, raw: null };
+    },
+
+    // Like Rekognition, only the largest face is searched
+    async searchFace({ image }) {
+      const [face] = await facesIn(image);
+      if (!face) return null;
+      const query = l2Normalize(face.descriptor);
+      const users = await User.find({ "faceDescriptors.0": { $exists: true } }, "userId faceDescriptors").lean();
+
+      let best = { userId: null, faceId: null, distance: Infinity };
+      for (const user of users) {
+        user.faceDescriptors.forEach((d, i) => {
+          if (!Array.isArray(d) || d.length !== query.length) return;
+          const distance = euclideanDistance(query, l2Normalize(d));
+          if (distance < best.distance) best = { userId: String(user.userId), faceId: `${user.userId}#${i}`, distance };
+        });
+      }
+      if (!best.userId || best.distance >= MATCH_THRESHOLD) return null;
+
+      return {
+        userId: best.userId,
+        faceId: best.faceId,
+        similarity: null,
+        distance: Number(best.distance.toFixed(4)),
+        confidence: Number(Math.max(0, Math.min(1, 1 - best.distance / MATCH_THRESHOLD)).toFixed(3)),
+        raw: null,
+      };
+    },
+
+    async deleteFaces(userId) {
+      const user = await User.findOneAndUpdate({ userId: String(userId) }, { $set: { faceDescriptors: [] } }).lean();
+      return user?.faceDescriptors?.length ?? 0;
+    },
+
+    async listFaces({ userId } = {}) {
+      const filter = userId ? { userId: String(userId) } : {};
+      const users = await User.find(filter, "userId faceDescriptors").lean();
+      return users.flatMap((user) => (user.faceDescriptors || []).map((_, i) => ({ userId: user.userId, faceId: `${user.userId}#${i}` })));
+    },
+
+    async detectFaces(image) {
+      const faces = await facesIn(image);
+      return faces.map(({ descriptor, ...face }) => face);
+    },
+  };
+}
@@ -0,0 +1,168 @@
+// lib/faceRekognition.js
+import {
+  RekognitionClient,
+  IndexFacesCommand,
+  SearchFacesByImageCommand,
+  DeleteFacesCommand,
+  ListFacesCommand,
+  DetectFacesCommand,
+} from "@aws-sdk/client-rekognition";
+import User from "../models/User";
+
+// AWS Rekognition face backend (lib/faceService). Every Rekognition call in
+// the app goes through the one client and configuration below.
+
+export const REKOGNITION_REGION = process.env.AWS_REGION || "ap-south-1";
+export const REKOGNITION_COLLECTION =
+  process.env.REKOGNITION_COLLECTION || process.env.REKOG_COLLECTION || "students-collection";
+const SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD ?? 85); // 0..100
+const MAX_FACES = Number(process.env.REKOGNITION_MAX_FACES ?? process.env.REKOG_MAX_FACES ?? 3);
+const MIN_FACE_CONFIDENCE = Number(process.env.REKOG_MIN_FACE_CONFIDENCE ?? 90); // face / attribute confidence, 0..100
+const INDEX_ATTEMPTS = 3;
+
+let client;
+export function getRekognitionClient() {
+  return (client ||= new RekognitionClient({ region: REKOGNITION_REGION }));
+}
+
+function requireImage(image) {
+  if (!Buffer.isBuffer(image)) {
+    throw Object.assign(new Error("The Rekognition backend needs an image"), { status: 400 });
+  }
+}
+
+const faceArea = (face) => (face.boundingBox?.Width ?? 0) * (face.boundingBox?.Height ?? 0);
+
+const isMissingCollection = (err) => err?.name === "ResourceNotFoundException";
+
+export function createRekognitionFaceService() {
+  const send = (command) => getRekognitionClient().send(command);
+
+  async function listFaces({ userId } = {}) {
+    const faces = [];
+    let NextToken;
+    do {
+      const out = await send(new ListFacesCommand({ CollectionId: REKOGNITION_COLLECTION, MaxResults: 1000, NextToken }));
+      for (const f of out.Faces || []) {
+        if (!userId || f.ExternalImageId === String(userId)) faces.push({ userId: f.ExternalImageId, faceId: f.FaceId });
+      }
+      NextToken = out.NextToken;
+    } while (NextToken);
+    return faces;
+  }
+
+  return {
+    name: "rekognition",
+
+    // Indexes the largest face, retrying transient failures, and records the
+    // FaceIds on the User so matches can be mapped back
+    async indexFace({ userId, image }) {
+      requireImage(image);
+      let out;
+      for (let attempt = 1; !out; attempt++) {
+        try {
+          out = await send(
+            new IndexFacesCommand({
+              CollectionId: REKOGNITION_COLLECTION,
+              Image: { Bytes: image },
+              ExternalImageId: String(userId),
+              DetectionAttributes: [],
+              MaxFaces: 1,
+            })
+          );
+        } catch (err) {
+          if (isMissingCollection(err)) {
+            err.message =
+              `Rekognition collection '${REKOGNITION_COLLECTION}' not found. ` +
+              `Create it via /api/create-collection or the AWS console. AWS message: ${err.message}`;
+            throw err;
+          }
+          if (attempt >= INDEX_ATTEMPTS) throw err;
+          await new Promise((r) => setTimeout(r, 500 * attempt)); // simple backoff
+        }
+      }
+
+      const faceIds = (out.FaceRecords || []).map((r) => r.Face?.FaceId).filter(Boolean);
+      const updated = await User.updateOne(
+        { userId: String(userId) },
+        {
+          $set: {
+            "rekognition.externalImageId": String(userId),
+            "rekognition.faceIds": faceIds,
+            "rekognition.lastIndexedAt": new Date(),
+            "rekognition.indexResponse": {
+              faceRecordsCount: faceIds.length,
+              responseMetadata: { requestId: out.$metadata?.requestId ?? null },
+            },
+          },
+        }
+      );
+      return { faceIds, userUpdated: updated.matchedCount > 0, raw: out };
+    },
+
+    // Searches the largest face in the image; the best match above the threshold wins
+    async searchFace({ image }) {
+      requireImage(image);
+      const out = await send(
+        new SearchFacesByImageCommand({
+          CollectionId: REKOGNITION_COLLECTION,
+          Image: { Bytes: image },
+          FaceMatchThreshold: SIMILARITY_THRESHOLD,
+          MaxFaces: MAX_FACES,
+        })
+      );
+      const top = (out.FaceMatches || [])[0];
+      if (!top) return null;
+
+      // prefer ExternalImageId (set during IndexFaces), else the FaceId mapping on the User
+      const face = top.Face || {};
+      let userId = face.ExternalImageId || null;
+      if (!userId && face.FaceId) {
+        const user = await User.findOne({ "rekognition.faceIds": face.FaceId }).select("userId").lean();
+        userId = user?.userId ?? null;
+      }
+      if (!userId) return null;
+
+      const similarity = typeof top.Similarity === "number" ? top.Similarity : null;
+      return {
+        userId: String(userId),
+        faceId: face.FaceId ?? null,
+        similarity,
+        // "distance" (lower is better) to match what the kiosk expects
+        distance: similarity === null ? null : Number((1 - similarity / 100).toFixed(4)),
+        confidence:
+          similarity === null
+            ? null
+            : Number(((similarity - SIMILARITY_THRESHOLD) / (100 - SIMILARITY_THRESHOLD)).toFixed(3)),
+        raw: top,
+      };
+    },
+
+    async deleteFaces(userId) {
+      const faceIds = (await listFaces({ userId })).map((f) => f.faceId);
+      if (faceIds.length) {
+        await send(new DeleteFacesCommand({ CollectionId: REKOGNITION_COLLECTION, FaceIds: faceIds }));
+      }
+      await User.updateOne({ userId: String(userId) }, { $set: { "rekognition.faceIds": [] } });
+      return faceIds.length;
+    },
+
+    listFaces,
+
+    // Every face Rekognition is confident about, largest first, with the
+    // attributes the liveness challenges read
+    async detectFaces(image) {
+      requireImage(image);
+      const out = await send(new DetectFacesCommand({ Image: { Bytes: image }, Attributes: ["ALL"] }));
+      return (out.FaceDetails || [])
+        .filter((f) => (f.Confidence ?? 0) >= MIN_FACE_CONFIDENCE)
+        .map((f) => ({
+          boundingBox: f.BoundingBox,
+          confidence: f.Confidence,
+          eyesOpen: f.EyesOpen && (f.EyesOpen.Confidence ?? 0) >= MIN_FACE_CONFIDENCE ? f.EyesOpen.Value : null,
+          yaw: f.Pose?.Yaw ?? null,
+        }))
+        .sort((a, b) => faceArea(b) - faceArea(a));
+    },
+  };
+}
@@ -0,0 +1,57 @@
+// lib/faceService.js
+import { createRekognitionFaceService } from "./faceRekognition";
+import { createDescriptorFaceService } from "./faceDescriptors";
+import { createMemoryFaceService } from "./faceMemory";
+
+/**
+ * The face-matching backend, picked by FACE_BACKEND: "rekognition"
+ * (default), "descriptor" (face-api.js on the server, descriptors stored on
+ * the User) or "memory" (in-process fake). Every backend implements:
+ *
+ *   indexFace({ userId, image }) → { faceIds, userUpdated, raw }
+ *   searchFace({ image })        → { userId, faceId, similarity, distance, confidence, raw } | null
+ *   deleteFaces(userId)          → number of faces removed
+ *   listFaces({ userId? })       → [{ userId, faceId }]
+ *   detectFaces(image)           → every face, largest first: [{ boundingBox, confidence, eyesOpen, yaw }]
+ *                                  (null from a backend that cannot count faces; eyesOpen / yaw
+ *                                  are null when the backend can't tell)
+ *
+ * `image` is a Buffer of the captured or uploaded photo; anything else is
+ * rejected with an error carrying `status` 400. Matching always works on the
+ * image itself, so what gets matched is what the liveness check saw.
+ */
+
+const BACKENDS = {
+  rekognition: createRekognitionFaceService,
+  descriptor: createDescriptorFaceService,
+  memory: createMemoryFaceService,
+};
+
+let active = null;
+
+export function getFaceService() {
+  if (!active) {
+    const name = (process.env.FACE_BACKEND || "rekognition").toLowerCase();
+    if (!BACKENDS[name]) throw new Error(`Unknown FACE_BACKEND "${name}"`);
+    active = BACKENDS[name]();
+  }
+  return active;
+}
+
+// Faces at least this share of the largest face's area could be the person
+// being scanned; smaller ones are still reported but don't make a frame ambiguous
+const CONTENDER_AREA_RATIO = Number(process.env.MULTI_FACE_MIN_AREA_RATIO ?? 0.1);
+
+const faceArea = (face) => (face.boundingBox?.Width ?? 0) * (face.boundingBox?.Height ?? 0);
+
+// The detected faces (from detectFaces) that could be the one at the kiosk
+export function contendingFaces(faces) {
+  if (!faces?.length) return [];
+  const largest = Math.max(...faces.map(faceArea));
+  return faces.filter((face) => faceArea(face) >= largest * CONTENDER_AREA_RATIO);
+}
+
+// Swaps the backend, e.g. for a createMemoryFaceService() fake in tests
+export function setFaceService(service) {
+  active = service;
+}
@@ -0,0 +1,57 @@
+// lib/leaves.js
+import moment from "moment-timezone";
+import Leave, { LEAVE_TYPES } from "../models/Leave";
+import { DATE_KEY_FORMAT, enumerateDateKeys } from "./dates";
+
+// Longest single request, in days
+const MAX_LEAVE_DAYS = 60;
+
+const isDateKey = (value) => moment.utc(value, DATE_KEY_FORMAT, true).isValid();
+
+/**
+ * Validates a leave request body: { type, from, to?, reason? }. A missing
+ * `to` means a one-day leave. Returns { data } or { error }.
+ */
+export function parseLeaveRequest(body) {
+  const { type, from, to, reason } = body || {};
+  if (!LEAVE_TYPES.includes(type)) return { error: `Type must be one of: ${LEAVE_TYPES.join(", ")}` };
+
+  const start = String(from ?? "").trim();
+  const end = String(to ?? "").trim() || start;
+  if (!isDateKey(start) || !isDateKey(end)) return { error: "Dates must be YYYY-MM-DD" };
+  if (end < start) return { error: "The last day cannot be before the first day" };
+  if (enumerateDateKeys(start, end).length > MAX_LEAVE_DAYS) {
+    return { error: `A single request can cover at most ${MAX_LEAVE_DAYS} days` };
+  }
+
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (text.length > 500) return { error: "Reason must be at most 500 characters" };
+
+  return { data: { type, from: start, to: end, reason: text } };
+}
+
+// Approved leave of `userId` overlapping [from, to], if any. Pending requests
+// may overlap; the clash is caught when the second one is approved.
+export function findOverlappingLeave(userId, from, to) {
+  return Leave.findOne({ userId, status: "approved", from: { $lte: to }, to: { $gte: from } }).lean();
+}
+
+/**
+ * Approved leave overlapping [startKey, endKey], loaded once.
+ *
+ *   leaveOn(userId, dateKey) → the Leave covering that day, or null
+ */
+export async function loadApprovedLeaves(startKey, endKey) {
+  const leaves = await Leave.find({ status: "approved", from: { $lte: endKey }, to: { $gte: startKey } }).lean();
+
+  const byUser = new Map();
+  for (const leave of leaves) {
+    if (!byUser.has(leave.userId)) byUser.set(leave.userId, []);
+    byUser.get(leave.userId).push(leave);
+  }
+
+  return {
+    leaveOn: (userId, dateKey) =>
+      (byUser.get(userId) || []).find((l) => l.from <= dateKey && l.to >= dateKey) || null,
+  };
+}
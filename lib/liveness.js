@@ -0,0 +1,292 @@
+// lib/liveness.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { getFaceService } from "./faceService";
+import SpoofAttempt from "../models/SpoofAttempt";
+import UsedLivenessChallenge from "../models/UsedLivenessChallenge";
+import getClientIp from "./clientIp";
+
+/**
+ * Liveness check in front of /api/verify-face, so a printed photo or a phone
+ * screen held to the kiosk is rejected.
+ *
+ *   1. /api/liveness-challenge hands out a signed, single-use challenge:
+ *      "blink" or "turn-head", the frame at which to do it (the cue) and a
+ *      start delay, all picked at random.
+ *   2. The kiosk waits out the delay, captures a burst of frames and shows
+ *      the action at the cue frame.
+ *   3. verify-face spends the challenge, checks the burst arrived no sooner
+ *      than it could have been captured, and passes the frames to the
+ *      configured provider, which must see the person hold still before the
+ *      cue and act after it. Faces are read through lib/faceService, the
+ *      same backend that matches them. A recorded burst has to match the kind, cue and
+ *      timing of a fresh challenge, and each challenge can be answered once.
+ *   4. matchBurst() then matches every frame: most of the burst must match
+ *      one registered person and no frame anyone else, so someone else's
+ *      challenge can't vouch for a photo.
+ *
+ * LIVENESS_PROVIDER picks the provider: "challenge" (default; "rekognition"
+ * is its old name) or "none". A provider is
+ * { name, check({ frames, challenge, cue }) → { live, reason, details, faces } },
+ * `faces` being detectFaces() of each frame when the check got that far.
+ */
+
+export const LIVENESS_CHALLENGES = ["blink", "turn-head"];
+export const HOLD_STILL_INSTRUCTION = "Look at the camera and hold still";
+export const CHALLENGE_INSTRUCTIONS = {
+  blink: "Now blink",
+  "turn-head": "Now slowly turn your head to one side",
+};
+
+const FRAME_COUNT = Math.min(10, Math.max(3, Number(process.env.LIVENESS_FRAMES ?? 5)));
+const FRAME_INTERVAL_MS = Number(process.env.LIVENESS_FRAME_INTERVAL_MS ?? 400);
+// Random wait before the first frame, so the timing of a burst can't be prepared
+const START_DELAY_MS = [1000, 2500];
+// How long after the last frame is due the burst may still arrive
+const SUBMIT_WINDOW_MS = Number(process.env.LIVENESS_SUBMIT_WINDOW_MS ?? 10000);
+const MIN_YAW_SPREAD = Number(process.env.LIVENESS_MIN_YAW_SPREAD ?? 15); // degrees of head turn after the cue
+// Frames of a burst that must match the person; blinking or turned-head
+// frames often fall below the match threshold, so not all of them
+const MIN_MATCHED_FRAMES = Number(process.env.LIVENESS_MIN_MATCHED_FRAMES ?? Math.floor(FRAME_COUNT / 2) + 1);
+
+function getSecret() {
+  const secret = process.env.VERIFICATION_TICKET_SECRET || process.env.ADMIN_JWT_SECRET;
+  if (!secret) throw new Error("VERIFICATION_TICKET_SECRET (or ADMIN_JWT_SECRET) not set in .env");
+  return secret;
+}
+
+// ----------------- Providers -----------------
+
+
+const providers = {
+  // Liveness switched off: single frames are accepted as before
+  none: {
+    name: "none",
+    enabled: false,
+    async check() {
+      return { live: true, reason: null, details: null };
+    },
+  },
+
+  // detectFaces() on every frame, reading the largest face. Before the cue
+  // the person holds still with eyes open; from the cue on a blink needs
+  // closed eyes in some frame, a head turn needs the yaw to move away from
+  // the last still frame
+  challenge: {
+    name: "challenge",
+    enabled: true,
+    async check({ frames, challenge, cue }) {
+      const faceService = getFaceService();
+      const detected = await Promise.all(frames.map((image) => faceService.detectFaces(image)));
+      if (detected.some((faces) => !faces)) {
+        throw new Error(`Face backend "${faceService.name}" cannot detect faces, which liveness needs`);
+      }
+      const faces = detected;
+      const measured = detected.map((list) => (list[0] ? { eyesOpen: list[0].eyesOpen ?? null, yaw: list[0].yaw ?? null } : null));
+      if (measured.some((m) => !m)) {
+        return { live: false, reason: "No face in every frame", details: measured, faces };
+      }
+      const before = measured.slice(0, cue);
+      const after = measured.slice(cue);
+      const pass = { live: true, reason: null, details: measured, faces };
+      const fail = (reason) => ({ live: false, reason, details: measured, faces });
+
+      if (challenge === "blink") {
+        if (before.some((m) => m.eyesOpen === false)) return fail("Blinked before the cue");
+        if (!after.some((m) => m.eyesOpen === false)) return fail("No blink after the cue");
+        return pass;
+      }
+
+      const spread = (list) => {
+        const yaws = list.map((m) => m.yaw).filter((y) => typeof y === "number");
+        return yaws.length ? Math.max(...yaws) - Math.min(...yaws) : 0;
+      };
+      if (spread(before) >= MIN_YAW_SPREAD / 2) return fail("Head moved before the cue");
+      const turn = spread(measured.slice(cue - 1));
+      return turn >= MIN_YAW_SPREAD ? pass : fail(`Head turn too small (${turn.toFixed(1)}°)`);
+    },
+  },
+};
+
+const PROVIDER_ALIASES = { rekognition: "challenge" };
+
+export function getLivenessProvider() {
+  const name = (process.env.LIVENESS_PROVIDER || "challenge").toLowerCase();
+  const provider = providers[PROVIDER_ALIASES[name] || name];
+  if (!provider) throw new Error(`Unknown LIVENESS_PROVIDER "${name}"`);
+  return provider;
+}
+
+// ----------------- Challenges -----------------
+
+/**
+ * What the kiosk needs for the next scan: { required: false } when liveness
+ * is off, else the signed challenge and how to capture it: wait `startInMs`,
+ * then take `frames` frames `intervalMs` apart showing `instruction`, and
+ * switch to `action` when capturing frame `cueFrame` (0-based).
+ */
+export function issueLivenessChallenge() {
+  if (!getLivenessProvider().enabled) return { required: false };
+  const kind = LIVENESS_CHALLENGES[crypto.randomInt(LIVENESS_CHALLENGES.length)];
+  // At least one still frame before the cue and one after it
+  const cue = crypto.randomInt(1, FRAME_COUNT - 1);
+  const startInMs = crypto.randomInt(START_DELAY_MS[0], START_DELAY_MS[1] + 1);
+  const start = Date.now() + startInMs;
+  const lastFrameDue = start + (FRAME_COUNT - 1) * FRAME_INTERVAL_MS;
+
+  return {
+    required: true,
+    kind,
+    instruction: HOLD_STILL_INSTRUCTION,
+    action: CHALLENGE_INSTRUCTIONS[kind],
+    frames: FRAME_COUNT,
+    intervalMs: FRAME_INTERVAL_MS,
+    startInMs,
+    cueFrame: cue,
+    challenge: jwt.sign(
+      { purpose: "liveness", kind, cue, n: FRAME_COUNT, due: lastFrameDue },
+      getSecret(),
+      {
+        expiresIn: Math.ceil((lastFrameDue - Date.now() + SUBMIT_WINDOW_MS) / 1000),
+        jwtid: crypto.randomBytes(16).toString("hex"),
+      }
+    ),
+  };
+}
+
+function readChallenge(token) {
+  try {
+    const payload = jwt.verify(String(token), getSecret());
+    const valid =
+      payload.purpose === "liveness" &&
+      LIVENESS_CHALLENGES.includes(payload.kind) &&
+      payload.jti &&
+      Number.isInteger(payload.n) &&
+      Number.isInteger(payload.cue) &&
+      payload.cue >= 1 &&
+      payload.cue < payload.n - 1 &&
+      Number.isFinite(payload.due);
+    return valid ? payload : null;
+  } catch (err) {
+    if (err?.name === "JsonWebTokenError" || err?.name === "TokenExpiredError") return null;
+    throw err;
+  }
+}
+
+// Each challenge answers one scan, whatever the outcome
+async function spendChallenge(payload) {
+  try {
+    await UsedLivenessChallenge.create({ jti: payload.jti, expiresAt: new Date(payload.exp * 1000) });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+function decodeFrame(frame) {
+  const m = typeof frame === "string" ? frame.match(/^data:image\/[a-z+]+;base64,(.*)$/) : null;
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+/**
+ * Runs the liveness check for a verify-face request.
+ *
+ * Returns { ok: true, imageData, frames, frameData, frameFaces, challenge } —
+ * imageData is the last frame of the burst, or the single imageData when
+ * liveness is off, which also leaves the rest unset; frames are the decoded
+ * frames, frameData their data URLs and frameFaces their detectFaces()
+ * results — or { ok: false, status, message }.
+ * Failed checks are stored as SpoofAttempt; malformed requests and expired or
+ * reused challenges are only rejected.
+ */
+export async function checkLiveness(req) {
+  const provider = getLivenessProvider();
+  const { imageData, frames, challenge } = req.body || {};
+  if (!provider.enabled) return { ok: true, imageData };
+
+  const payload = challenge ? readChallenge(challenge) : null;
+  if (!payload) return { ok: false, status: 400, message: "Liveness challenge missing or expired, please try again" };
+  if (!Array.isArray(frames) || frames.length !== payload.n) {
+    return { ok: false, status: 400, message: "Liveness check required: send the captured frames and challenge" };
+  }
+  if (!(await spendChallenge(payload))) {
+    return { ok: false, status: 400, message: "Liveness challenge already used, please try again" };
+  }
+  const kind = payload.kind;
+  const buffers = frames.map(decodeFrame);
+  if (buffers.some((b) => !b)) return { ok: false, status: 400, message: "Invalid frame (expected image dataURL)" };
+
+  // A kiosk can't have captured the burst before its last frame was due
+  if (Date.now() < payload.due) {
+    await logSpoofAttempt(req, {
+      provider: provider.name,
+      challenge: kind,
+      reason: "Burst arrived before it could have been captured",
+      details: { earlyByMs: payload.due - Date.now() },
+    });
+    return { ok: false, status: 403, message: "Liveness check failed: scan sent too early" };
+  }
+
+  const result = await provider.check({ frames: buffers, challenge: kind, cue: payload.cue });
+  if (result.live) {
+    return {
+      ok: true,
+      imageData: frames[frames.length - 1],
+      frames: buffers,
+      frameData: frames,
+      frameFaces: result.faces ?? null,
+      challenge: kind,
+    };
+  }
+
+  await logSpoofAttempt(req, { provider: provider.name, challenge: kind, reason: result.reason, details: result.details });
+  return { ok: false, status: 403, message: `Liveness check failed: ${result.reason}` };
+}
+
+/**
+ * Matches every frame of a burst that passed checkLiveness(). The provider
+ * judges frames one by one, so only this ties the performed challenge to
+ * the face being punched in: no two frames may match different registered
+ * people, and at least MIN_MATCHED_FRAMES must match the person. Frames
+ * that match nobody (eyes shut, head turned) count for neither.
+ *
+ * Returns { ok: true, match, frame } (the last matched frame's match and
+ * index, a null match when too few frames matched) or
+ * { ok: false, status, message } — a burst showing different people is
+ * logged as a SpoofAttempt.
+ *
+ * Every frame is searched on top of the provider's detection, so with
+ * Rekognition a burst of n frames costs 2n calls (DetectFaces and
+ * SearchFacesByImage per frame).
+ */
+export async function matchBurst(req, { frames, challenge }) {
+  const faceService = getFaceService();
+  const matches = await Promise.all(frames.map((image) => faceService.searchFace({ image })));
+  const matched = matches.filter(Boolean);
+  const userIds = new Set(matched.map((m) => m.userId));
+  if (userIds.size <= 1) {
+    if (matched.length < MIN_MATCHED_FRAMES) return { ok: true, match: null, frame: null };
+    const match = matched[matched.length - 1];
+    return { ok: true, match, frame: matches.lastIndexOf(match) };
+  }
+
+  await logSpoofAttempt(req, {
+    provider: getLivenessProvider().name,
+    challenge,
+    reason: "Frames show different people",
+    details: matches.map((m) => (m ? { userId: m.userId, similarity: m.similarity } : null)),
+  });
+  return { ok: false, status: 403, message: "Liveness check failed: the same person must stay in view for the whole scan" };
+}
+
+function logSpoofAttempt(req, { provider, challenge, reason, details }) {
+  return SpoofAttempt.create({
+    provider,
+    challenge,
+    reason,
+    details,
+    ip: getClientIp(req),
+    userAgent: req.headers["user-agent"],
+  }).catch((err) => console.error("Spoof attempt log error:", err));
+}
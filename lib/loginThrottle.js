@@ -0,0 +1,96 @@
+// lib/loginThrottle.js
+import AdminUser from "../models/AdminUser";
+import LoginThrottle from "../models/LoginThrottle";
+
+/**
+ * Failed-login throttling for /api/admin/login.
+ *
+ * - Per IP:    LOGIN_MAX_FAILURES_PER_IP failures in the window -> IP blocked
+ * - Per email: LOGIN_MAX_FAILURES_PER_EMAIL failures in the window -> account locked
+ *              (AdminUser.lockedUntil is set too, so admins can see and clear it)
+ *
+ * Blocks last LOGIN_LOCK_MINUTES. A successful login clears the email counter.
+ */
+
+const WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES ?? 15);
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES ?? 15);
+const MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP ?? 20);
+const MAX_FAILURES_PER_EMAIL = Number(process.env.LOGIN_MAX_FAILURES_PER_EMAIL ?? 5);
+
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+const emailKey = (email) => `email:${String(email || "").trim().toLowerCase()}`;
+
+function retryAfterSeconds(until) {
+  return Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Returns null when the attempt may proceed, otherwise
+ * { scope: "ip" | "account", retryAfter: seconds }.
+ */
+export async function getLoginBlock({ ip, email }) {
+  const now = new Date();
+  const docs = await LoginThrottle.find({
+    key: { $in: [ipKey(ip), emailKey(email)] },
+    lockedUntil: { $gt: now },
+  }).lean();
+
+  const accountLock = docs.find((d) => d.key === emailKey(email));
+  if (accountLock) return { scope: "account", retryAfter: retryAfterSeconds(accountLock.lockedUntil) };
+
+  const ipLock = docs.find((d) => d.key === ipKey(ip));
+  if (ipLock) return { scope: "ip", retryAfter: retryAfterSeconds(ipLock.lockedUntil) };
+
+  return null;
+}
+
+async function bumpFailures(key, maxFailures) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60 * 1000);
+  const expiresAt = new Date(now.getTime() + (WINDOW_MINUTES + LOCK_MINUTES) * 60 * 1000);
+
+  // Start a fresh window once the previous one has passed
+  await LoginThrottle.updateOne(
+    { key, windowStartedAt: { $lt: windowStart } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const doc = await LoginThrottle.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $setOnInsert: { windowStartedAt: now }, $set: { expiresAt } },
+    { upsert: true, new: true }
+  );
+
+  if (doc.failures < maxFailures) return null;
+
+  const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+  await LoginThrottle.updateOne(
+    { _id: doc._id },
+    { $set: { lockedUntil, failures: 0, windowStartedAt: now, expiresAt: lockedUntil } }
+  );
+  return lockedUntil;
+}
+
+// Returns the account lock expiry when this failure tripped the email limit
+export async function recordLoginFailure({ ip, email }) {
+  await bumpFailures(ipKey(ip), MAX_FAILURES_PER_IP);
+  const lockedUntil = await bumpFailures(emailKey(email), MAX_FAILURES_PER_EMAIL);
+
+  if (lockedUntil) {
+    await AdminUser.updateOne(
+      { email: String(email || "").trim().toLowerCase() },
+      { $set: { lockedUntil } }
+    );
+  }
+  return lockedUntil;
+}
+
+export async function clearLoginFailures(email) {
+  await LoginThrottle.deleteOne({ key: emailKey(email) });
+}
+
+// Admin-initiated unlock
+export async function unlockAdminAccount(admin) {
+  await clearLoginFailures(admin.email);
+  await AdminUser.updateOne({ _id: admin._id }, { $set: { lockedUntil: null } });
+}
@@ -0,0 +1,44 @@
+// lib/mail.js
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Pluggable outgoing mail.
+ *
+ * MAIL_TRANSPORT selects how messages leave the app. There is no default:
+ * mail carries live reset tokens, so sending fails until one is chosen.
+ *  - "console": print to the server log (local development only)
+ *  - "file": write one JSON file per message to MAIL_FILE_DIR (default ./.mail)
+ *
+ * Other transports (SMTP, SES, ...) can be added with registerMailTransport().
+ */
+
+const transports = {
+  console: async (message) => {
+    console.log("📧 Mail (console transport):", JSON.stringify(message, null, 2));
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), ".mail");
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  },
+};
+
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+export function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) throw new Error("MAIL_TRANSPORT not set in .env");
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT '${name}'`);
+  return send;
+}
+
+// message: { to, subject, text }
+export async function sendMail(message) {
+  await getMailTransport()(message);
+}
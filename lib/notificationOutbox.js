@@ -0,0 +1,125 @@
+// lib/notificationOutbox.js
+import Notification from "../models/Notification";
+
+/**
+ * MongoDB-backed notification outbox.
+ *
+ * enqueueNotification() stores the message; deliverNotification() /
+ * deliverDueNotifications() hand it to the handler registered for its type.
+ * Failures are retried with exponential backoff:
+ *   NOTIFY_RETRY_BASE_SECONDS (30) * 2^(attempt-1), capped at NOTIFY_RETRY_MAX_SECONDS (6h)
+ * After NOTIFY_MAX_ATTEMPTS (8) — or on an error flagged `permanent` — the
+ * entry goes to "dead" and waits for an admin retry.
+ */
+
+const RETRY_BASE_SECONDS = Number(process.env.NOTIFY_RETRY_BASE_SECONDS ?? 30);
+const RETRY_MAX_SECONDS = Number(process.env.NOTIFY_RETRY_MAX_SECONDS ?? 6 * 60 * 60);
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS ?? 8);
+// A crashed worker's claim is released after this long
+const CLAIM_SECONDS = 120;
+const KEEP_SENT_DAYS = Number(process.env.NOTIFY_KEEP_SENT_DAYS ?? 30);
+
+const handlers = new Map();
+
+export function registerNotificationHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export function backoffSeconds(attempts) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+export async function enqueueNotification(type, payload) {
+  return Notification.create({ type, payload, maxAttempts: MAX_ATTEMPTS });
+}
+
+// Atomically take one entry so concurrent workers never double-send
+async function claim(filter) {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedUntil: new Date(now.getTime() + CLAIM_SECONDS * 1000) },
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+async function attempt(notification) {
+  const handler = handlers.get(notification.type);
+
+  try {
+    if (!handler) {
+      const err = new Error(`No handler registered for '${notification.type}'`);
+      err.permanent = true;
+      throw err;
+    }
+
+    const result = await handler(notification.payload);
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: new Date(),
+          expiresAt: new Date(Date.now() + KEEP_SENT_DAYS * 24 * 60 * 60 * 1000),
+          lockedUntil: null,
+          lastError: null,
+          target: result?.target ?? notification.target,
+        },
+      }
+    );
+    return "sent";
+  } catch (err) {
+    const dead = err.permanent || notification.attempts >= notification.maxAttempts;
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: dead ? "dead" : "pending",
+          lockedUntil: null,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + backoffSeconds(notification.attempts) * 1000),
+        },
+      }
+    );
+    console.error(`[outbox] ${notification.type} ${notification._id} attempt ${notification.attempts} failed:`, err.message);
+    return dead ? "dead" : "retry";
+  }
+}
+
+/** Tries one entry right away (if it is due). Returns the outcome or null. */
+export async function deliverNotification(id) {
+  const notification = await claim({ _id: id });
+  return notification ? attempt(notification) : null;
+}
+
+/** Worker pass: delivers up to `limit` due entries, oldest first. */
+export async function deliverDueNotifications({ limit = 25 } = {}) {
+  const summary = { sent: 0, retry: 0, dead: 0 };
+  for (let i = 0; i < limit; i++) {
+    const notification = await claim({});
+    if (!notification) break;
+    summary[await attempt(notification)]++;
+  }
+  return summary;
+}
+
+/** Admin action: put a dead (or pending) entry back in the queue now. */
+export async function retryNotification(id) {
+  return Notification.findOneAndUpdate(
+    { _id: id, status: { $in: ["dead", "pending"] } },
+    {
+      // A retried entry gets a fresh set of attempts
+      $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), lockedUntil: null },
+    },
+    { new: true }
+  );
+}
@@ -0,0 +1,79 @@
+// lib/passwordReset.js
+import crypto from "crypto";
+import AdminUser from "../models/AdminUser";
+import PasswordResetToken from "../models/PasswordResetToken";
+import { sendMail, getMailTransport } from "./mail";
+import { hashPassword } from "./adminPasswords";
+import { revokeAllAdminSessions } from "./adminSession";
+import { unlockAdminAccount } from "./loginThrottle";
+import getClientIp from "./clientIp";
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES ?? 30);
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Reset links are only ever built from configuration: the request's Host
+// header is caller-controlled and would let anyone aim a real token at their
+// own site.
+export function getAppUrl() {
+  const url = process.env.APP_URL;
+  if (!url) throw new Error("APP_URL not set in .env");
+  return url.replace(/\/+$/, "");
+}
+
+// Throws unless reset links can be built and delivered
+export function assertPasswordResetConfigured() {
+  getAppUrl();
+  getMailTransport();
+}
+
+/**
+ * Emails a single-use reset link. Only the token hash is stored, and a new
+ * request replaces any earlier unused token for the same admin.
+ */
+export async function requestPasswordReset(admin, req) {
+  assertPasswordResetConfigured();
+  const baseUrl = getAppUrl();
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await PasswordResetToken.deleteMany({ adminId: admin._id, usedAt: null });
+  await PasswordResetToken.create({
+    adminId: admin._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+    requestedIp: getClientIp(req),
+  });
+
+  const link = `${baseUrl}/admin/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: admin.email,
+    subject: "Reset your admin password",
+    text:
+      `Hi ${admin.name || "Admin"},\n\n` +
+      `Use this link within ${RESET_TTL_MINUTES} minutes to choose a new password:\n${link}\n\n` +
+      "If you did not ask for this, you can ignore this email.",
+  });
+}
+
+/**
+ * Consumes the token and sets the new password. Every existing session of
+ * the admin is revoked and any login lockout is cleared.
+ * Returns false when the token is unknown, expired or already used.
+ */
+export async function completePasswordReset(token, newPassword) {
+  const record = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!record) return false;
+
+  const admin = await AdminUser.findById(record.adminId);
+  if (!admin || admin.active === false) return false;
+
+  admin.passwordHash = await hashPassword(newPassword);
+  await admin.save();
+  await revokeAllAdminSessions(admin._id);
+  await unlockAdminAccount(admin);
+  return true;
+}
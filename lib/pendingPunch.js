@@ -0,0 +1,43 @@
+// lib/pendingPunch.js
+import crypto from "crypto";
+import PendingPunch from "../models/PendingPunch";
+
+/**
+ * A verified scan between /api/verify-face and /api/submit-attendance. The
+ * browser only ever holds an opaque id; identity, captured image and
+ * verification ticket stay on the server and are spent together.
+ */
+
+const PENDING_TTL_SECONDS = Number(process.env.PENDING_PUNCH_TTL_SECONDS ?? 120);
+
+const hashId = (id) => crypto.createHash("sha256").update(String(id)).digest("hex");
+
+// Returns the opaque id for /success?id=
+export async function createPendingPunch({ user, imageData = null, ticket }) {
+  const id = crypto.randomBytes(24).toString("base64url");
+  await PendingPunch.create({
+    tokenHash: hashId(id),
+    userId: user.userId,
+    name: user.name || "",
+    role: user.role || "",
+    imageUrl: user.imageUrl || null,
+    imageData,
+    ticket,
+    expiresAt: new Date(Date.now() + PENDING_TTL_SECONDS * 1000),
+  });
+  return id;
+}
+
+const live = (id) => ({ tokenHash: hashId(id), expiresAt: { $gt: new Date() } });
+
+// What /success shows before confirming, or null once used or expired
+export async function findPendingPunch(id) {
+  if (!id) return null;
+  return PendingPunch.findOne(live(id)).select("-ticket -tokenHash").lean();
+}
+
+// Takes the pending punch out of the store; a second claim gets null
+export async function claimPendingPunch(id) {
+  if (!id) return null;
+  return PendingPunch.findOneAndDelete(live(id)).lean();
+}
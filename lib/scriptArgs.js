@@ -0,0 +1,21 @@
+// lib/scriptArgs.js
+// CommonJS, for the command-line scripts at the repo root.
+
+// "--key value", "--key=value" and bare "--flag" (true) into { key: value }
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) continue;
+    if (m[2] !== undefined) {
+      args[m[1]] = m[2];
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[m[1]] = argv[++i];
+    } else {
+      args[m[1]] = true;
+    }
+  }
+  return args;
+}
+
+module.exports = { parseArgs };
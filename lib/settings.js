@@ -0,0 +1,29 @@
+// lib/settings.js
+import Setting from "../models/Setting";
+import { encryptSecret, decryptSecret } from "./totp";
+
+export async function getSetting(key, fallback = null) {
+  const doc = await Setting.findOne({ key }).lean();
+  return doc ? doc.value : fallback;
+}
+
+export async function setSetting(key, value, adminId = null) {
+  const doc = await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: adminId, updatedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+  return doc.value;
+}
+
+// Secrets inside a setting value (the Telegram bot token) are kept as
+// { encrypted } with the AES-GCM helper used for TOTP secrets. A plain string
+// is a value saved before that and is still read as-is.
+export function sealSecret(secret) {
+  return secret ? { encrypted: encryptSecret(secret) } : "";
+}
+
+export function openSecret(sealed) {
+  if (!sealed) return "";
+  return typeof sealed === "string" ? sealed : decryptSecret(sealed.encrypted);
+}
@@ -0,0 +1,161 @@
+// lib/shifts.js
+import moment from "moment-timezone";
+import Shift, { SHIFT_KINDS } from "../models/Shift";
+import User from "../models/User";
+import { sessionsOf, summarizeSessions } from "./attendanceSessions";
+import { atLocalTime, getTimezone, weekdayOf } from "./dates";
+
+/**
+ * The active shift for a person on a given day: batch assignment first, then
+ * role. Returns a lean Shift or null when nothing is assigned.
+ */
+export async function findShiftFor({ role, batch, date }) {
+  if (!role && !batch) return null;
+  const weekday = weekdayOf(date);
+  const candidates = await Shift.find({
+    active: true,
+    $or: [{ days: { $size: 0 } }, { days: weekday }],
+    $and: [{ $or: [...(batch ? [{ batches: batch }] : []), ...(role ? [{ roles: role }] : [])] }],
+  }).lean();
+
+  return (
+    (batch && candidates.find((s) => s.batches.includes(batch))) ||
+    candidates.find((s) => s.roles.includes(role)) ||
+    null
+  );
+}
+
+// Start / end of the shift on `date` in the org timezone
+function shiftBounds(shift, date, timezone) {
+  const start = atLocalTime(date, shift.startTime, timezone);
+  const end = atLocalTime(date, shift.endTime, timezone);
+  return { start, end };
+}
+
+/**
+ * Classifies a day against its shift. `summary` is the record's derived
+ * fields (punchInAt, punchOutAt, durationSeconds, status).
+ *
+ *   half-day     closed day with less presence than the half-day threshold
+ *   late         first punch-in after start + grace
+ *   early-leave  last punch-out before end - grace
+ *   on-time      none of the above
+ *
+ * Departure rules only apply once the day is closed. Without a shift every
+ * field is null. `timezone` is the org timezone (lib/dates#getTimezone).
+ */
+export function classifyAttendance(summary, shift, date, timezone) {
+  if (!shift || !summary?.punchInAt) {
+    return { shift: shift?._id ?? null, classification: null, lateMinutes: null, earlyLeaveMinutes: null };
+  }
+
+  const { start, end } = shiftBounds(shift, date, timezone);
+  const lateMinutes = Math.max(0, moment(summary.punchInAt).diff(start, "minutes"));
+  const isLate = moment(summary.punchInAt).isAfter(start.clone().add(shift.graceInMinutes ?? 0, "minutes"));
+
+  const closed = summary.status !== "punched-in" && summary.punchOutAt;
+  const earlyLeaveMinutes = closed ? Math.max(0, end.diff(moment(summary.punchOutAt), "minutes")) : null;
+  const isEarly =
+    closed && moment(summary.punchOutAt).isBefore(end.clone().subtract(shift.graceOutMinutes ?? 0, "minutes"));
+
+  const halfDayMinutes = shift.halfDayMinutes ?? Math.floor(end.diff(start, "minutes") / 2);
+  const isHalfDay = closed && (summary.durationSeconds ?? 0) < halfDayMinutes * 60;
+
+  return {
+    shift: shift._id,
+    classification: isHalfDay ? "half-day" : isLate ? "late" : isEarly ? "early-leave" : "on-time",
+    lateMinutes: isLate ? lateMinutes : 0,
+    earlyLeaveMinutes: isEarly ? earlyLeaveMinutes : 0,
+  };
+}
+
+/**
+ * Re-applies the classification to an Attendance document after its sessions
+ * were edited (mutates `record`; the caller saves).
+ */
+export async function reclassifyRecord(record) {
+  const user = await User.findOne({ userId: record.userId }).select("role batch").lean();
+  const shift = await findShiftFor({ role: user?.role || record.role, batch: user?.batch, date: record.date });
+  const timezone = await getTimezone();
+  Object.assign(record, classifyAttendance(summarizeSessions(sessionsOf(record)), shift, record.date, timezone));
+  return record;
+}
+
+const CLASSIFICATION_KEYS = { "on-time": "onTime", late: "late", "early-leave": "earlyLeave", "half-day": "halfDay" };
+
+/**
+ * Tallies classified days for reports, e.g. { onTime: 3, late: 1, ... }.
+ * Days recorded without a shift are not counted.
+ */
+export function countClassifications(records) {
+  const counts = { onTime: 0, late: 0, earlyLeave: 0, halfDay: 0 };
+  for (const r of records) {
+    const key = CLASSIFICATION_KEYS[r.classification];
+    if (key) counts[key]++;
+  }
+  return counts;
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Punches are attributed to the calendar day they happen on, so a shift has
+// to end the same day it starts
+export function shiftTimesError(startTime, endTime) {
+  return endTime > startTime ? null : "endTime must be after startTime (shifts cannot run past midnight)";
+}
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+/**
+ * Validates an admin create / update body. With `partial` only the fields
+ * present are checked. Returns { data } or { error }.
+ */
+export function parseShiftInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has("name")) {
+    if (typeof body.name !== "string" || !body.name.trim()) return { error: "Name is required" };
+    data.name = body.name.trim();
+  }
+  if (has("kind")) {
+    if (!SHIFT_KINDS.includes(body.kind)) return { error: `Kind must be one of: ${SHIFT_KINDS.join(", ")}` };
+    data.kind = body.kind;
+  }
+  for (const key of ["startTime", "endTime"]) {
+    if (!partial || has(key)) {
+      if (!TIME_RE.test(body[key] || "")) return { error: `${key} must be HH:mm (24-hour)` };
+      data[key] = body[key];
+    }
+  }
+  for (const key of ["graceInMinutes", "graceOutMinutes", "halfDayMinutes"]) {
+    if (!has(key)) continue;
+    if (key === "halfDayMinutes" && (body[key] === null || body[key] === "")) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${key} must be a non-negative number` };
+    data[key] = Math.floor(n);
+  }
+  if (data.startTime && data.endTime) {
+    const timesError = shiftTimesError(data.startTime, data.endTime);
+    if (timesError) return { error: timesError };
+  }
+  if (has("days")) {
+    const days = toList(body.days).map(Number);
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) return { error: "Days must be 0 (Sun) to 6 (Sat)" };
+    data.days = [...new Set(days)].sort();
+  }
+  if (has("roles")) data.roles = toList(body.roles);
+  if (has("batches")) data.batches = toList(body.batches);
+  if (has("active")) data.active = Boolean(body.active);
+
+  if (!partial && !data.roles?.length && !data.batches?.length) {
+    return { error: "Assign the shift to at least one role or batch" };
+  }
+  return { data };
+}
@@ -0,0 +1,98 @@
+// lib/telegram.js
+import FormData from "form-data";
+import fetch from "node-fetch";
+import { getSetting, openSecret } from "./settings";
+
+/**
+ * Telegram channel configuration.
+ *
+ * Read from the "telegram" admin setting (bot token encrypted at rest),
+ * falling back to env:
+ *   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID,
+ *   TELEGRAM_CHAT_ID_STUDENT, TELEGRAM_CHAT_ID_FACULTY
+ *
+ * Chat routing for a punch: batch route -> role route -> default chat.
+ *
+ * Calls go to TELEGRAM_API_BASE (a local stub in tests) and are aborted after
+ * TELEGRAM_TIMEOUT_MS (default 10s).
+ */
+
+const apiBase = () => process.env.TELEGRAM_API_BASE || "https://api.telegram.org";
+const timeoutMs = () => Number(process.env.TELEGRAM_TIMEOUT_MS ?? 10000);
+
+function cleanMap(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) {
+    if (k && v !== undefined && v !== null && String(v).trim() !== "") out[k] = String(v).trim();
+  }
+  return out;
+}
+
+export async function getTelegramConfig() {
+  const stored = (await getSetting("telegram", {})) || {};
+
+  return {
+    botToken: openSecret(stored.botToken) || process.env.TELEGRAM_BOT_TOKEN || "",
+    defaultChatId: stored.defaultChatId || process.env.TELEGRAM_CHAT_ID || "",
+    roleChats: {
+      ...cleanMap({
+        student: process.env.TELEGRAM_CHAT_ID_STUDENT,
+        faculty: process.env.TELEGRAM_CHAT_ID_FACULTY,
+      }),
+      ...cleanMap(stored.roleChats),
+    },
+    batchChats: cleanMap(stored.batchChats),
+  };
+}
+
+export function isTelegramConfigured(config) {
+  if (!config?.botToken) return false;
+  return Boolean(
+    config.defaultChatId ||
+      Object.keys(config.roleChats || {}).length ||
+      Object.keys(config.batchChats || {}).length
+  );
+}
+
+export function resolveChatId(config, { role, batch } = {}) {
+  return (
+    (batch && config.batchChats?.[batch]) ||
+    (role && config.roleChats?.[role]) ||
+    config.defaultChatId ||
+    null
+  );
+}
+
+async function callTelegram(botToken, method, body) {
+  const telegramRes = await fetch(`${apiBase()}/bot${botToken}/${method}`, {
+    method: "POST",
+    body,
+    signal: AbortSignal.timeout(timeoutMs()),
+    ...(typeof body === "string" ? { headers: { "Content-Type": "application/json" } } : {}),
+  });
+
+  if (!telegramRes.ok) {
+    const errorText = await telegramRes.text();
+    console.error("Telegram Error:", errorText);
+    const err = new Error(`Telegram ${method} failed (${telegramRes.status})`);
+    err.status = telegramRes.status;
+    err.details = errorText;
+    throw err;
+  }
+  return telegramRes.json();
+}
+
+export async function sendTelegramMessage(config, { chatId, text }) {
+  return callTelegram(config.botToken, "sendMessage", JSON.stringify({ chat_id: chatId, text }));
+}
+
+export async function sendTelegramPhoto(config, { chatId, caption, photo, filename = "photo.jpg" }) {
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("caption", caption);
+  form.append("photo", photo, {
+    filename,
+    contentType: "image/jpeg",
+  });
+  return callTelegram(config.botToken, "sendPhoto", form);
+}
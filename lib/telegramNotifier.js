@@ -0,0 +1,107 @@
+// lib/telegramNotifier.js
+// Queues a Telegram punch notification for whatever submit-attendance stored
+// and delivers it through the notification outbox (retried on failure).
+// Importing this module registers the event listener and the outbox handler.
+import User from "../models/User";
+import PunchPhoto from "../models/PunchPhoto";
+import { on, ATTENDANCE_RECORDED } from "./events";
+import { enqueueNotification, deliverNotification, registerNotificationHandler } from "./notificationOutbox";
+import {
+  getTelegramConfig,
+  isTelegramConfigured,
+  resolveChatId,
+  sendTelegramMessage,
+  sendTelegramPhoto,
+} from "./telegram";
+
+export const TELEGRAM_PUNCH = "telegram.punch";
+
+// Punch photos are kept as long as the outbox keeps sent entries
+const KEEP_PHOTO_DAYS = Number(process.env.NOTIFY_KEEP_SENT_DAYS ?? 30);
+
+const STATUS_LABELS = {
+  "Punched In": "🔓 Punched In",
+  "Punched Out": "🏁 Punched Out",
+};
+
+function decodeDataUrl(imageData) {
+  const m = typeof imageData === "string" && imageData.match(/^data:.+;base64,(.*)$/);
+  return m ? Buffer.from(m[1], "base64") : null;
+}
+
+function permanent(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Each punch's photo is its own PunchPhoto document rather than a copy in
+// the outbox entry, and not the Attendance record's, which the next punch
+// overwrites. Entries queued before that still carry their own imageData.
+async function punchPhoto(payload) {
+  if (payload.imageData) return payload.imageData;
+  if (!payload.photoId) return null;
+  const photo = await PunchPhoto.findById(payload.photoId).select("imageData").lean();
+  return photo?.imageData ?? null;
+}
+
+// Outbox handler — chat routing is resolved at delivery time so a retry
+// after fixing the settings goes to the right chat.
+async function deliverPunch(payload) {
+  const telegram = await getTelegramConfig();
+  if (!isTelegramConfigured(telegram)) throw permanent("Telegram notifications are not configured");
+
+  const user = await User.findOne({ userId: payload.userId }).lean();
+  const chatId = resolveChatId(telegram, { role: user?.role || payload.role, batch: user?.batch });
+  if (!chatId) throw permanent(`No Telegram chat configured for role '${payload.role}'`);
+
+  const caption =
+    `🧑‍🎓 *Name:* ${payload.name}\n📌 *Role:* ${payload.role}\n🆔 *ID:* ${payload.userId}\n` +
+    `🗓️ *Date:* ${payload.date}\n⏰ *Time:* ${payload.time}\n📍 *Status:* ${STATUS_LABELS[payload.status] || payload.status}`;
+
+  try {
+    const photo = decodeDataUrl(await punchPhoto(payload));
+    if (photo) {
+      await sendTelegramPhoto(telegram, { chatId, caption, photo, filename: `${payload.name}_photo.jpg` });
+    } else {
+      await sendTelegramMessage(telegram, { chatId, text: caption });
+    }
+  } catch (err) {
+    // Bad token / unknown chat won't fix itself; rate limits and 5xx will
+    if (err.status >= 400 && err.status < 500 && err.status !== 429) err.permanent = true;
+    throw err;
+  }
+
+  return { target: String(chatId) };
+}
+
+registerNotificationHandler(TELEGRAM_PUNCH, deliverPunch);
+
+on(ATTENDANCE_RECORDED, async ({ record, status, time, imageData }) => {
+  if (!isTelegramConfigured(await getTelegramConfig())) return;
+
+  const photo = imageData
+    ? await PunchPhoto.create({
+        userId: record.userId,
+        attendanceId: record._id,
+        imageData,
+        expiresAt: new Date(Date.now() + KEEP_PHOTO_DAYS * 24 * 60 * 60 * 1000),
+      })
+    : null;
+  const notification = await enqueueNotification(TELEGRAM_PUNCH, {
+    userId: record.userId,
+    name: record.name,
+    role: record.role,
+    date: record.date,
+    time,
+    status,
+    attendanceId: String(record._id),
+    photoId: photo ? String(photo._id) : null,
+  });
+
+  // First attempt in the background so a slow Telegram never holds up the
+  // kiosk; anything that fails or never finishes is picked up by the worker
+  deliverNotification(notification._id).catch((err) =>
+    console.error(`[outbox] ${TELEGRAM_PUNCH} ${notification._id} first attempt failed:`, err)
+  );
+});
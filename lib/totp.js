@@ -0,0 +1,128 @@
+// lib/totp.js
+import crypto from "crypto";
+
+/**
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30s steps) — what Google Authenticator,
+ * Authy, 1Password etc. expect from an otpauth:// URI.
+ *
+ * Secrets are stored encrypted (AES-256-GCM) with TOTP_ENCRYPTION_KEY,
+ * falling back to a key derived from ADMIN_JWT_SECRET.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ISSUER = process.env.TOTP_ISSUER || "Attendance Portal";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(secretBuffer, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", secretBuffer).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function totpUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Returns the matched time step, or null.
+ * Pass `afterStep` (last accepted step) to reject replays of a used code.
+ */
+export function verifyTotp(secret, code, { window = 1, afterStep = -1, now = Date.now() } = {}) {
+  const token = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+
+  const secretBuffer = base32Decode(secret);
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secretBuffer, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) return step;
+  }
+  return null;
+}
+
+// ---------- secret encryption at rest ----------
+function encryptionKey() {
+  const raw = process.env.TOTP_ENCRYPTION_KEY || process.env.ADMIN_JWT_SECRET;
+  if (!raw) throw new Error("TOTP_ENCRYPTION_KEY or ADMIN_JWT_SECRET must be set in .env");
+  return crypto.createHash("sha256").update(raw).digest();
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString("base64")).join(".");
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, enc] = String(payload).split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString("utf8");
+}
+
+// ---------- one-time recovery codes ----------
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+export function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code || "").trim().toLowerCase())
+    .digest("hex");
+}
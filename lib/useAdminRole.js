@@ -0,0 +1,18 @@
+// lib/useAdminRole.js
+"use client";
+import { useEffect, useState } from "react";
+import { can } from "./adminRoles";
+
+/**
+ * Role of the logged-in admin, as returned by /api/admin/login and /refresh.
+ * UI-only: the API enforces the same permissions server-side.
+ */
+export default function useAdminRole() {
+  const [role, setRole] = useState(null);
+
+  useEffect(() => {
+    setRole(localStorage.getItem("adminRole") || null);
+  }, []);
+
+  return { role, can: (permission) => can(role, permission) };
+}
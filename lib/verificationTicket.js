@@ -0,0 +1,87 @@
+// lib/verificationTicket.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import UsedVerificationTicket from "../models/UsedVerificationTicket";
+
+/**
+ * Proof that a face was matched, handed from /api/verify-face to
+ * /api/submit-attendance. The ticket is a short-lived JWT bound to the
+ * matched userId and to the sha256 of the captured image, and it can be
+ * spent on one punch only.
+ */
+
+const TICKET_TTL_SECONDS = Number(process.env.VERIFICATION_TICKET_TTL_SECONDS ?? 120);
+
+function getSecret() {
+  const secret = process.env.VERIFICATION_TICKET_SECRET || process.env.ADMIN_JWT_SECRET;
+  if (!secret) throw new Error("VERIFICATION_TICKET_SECRET (or ADMIN_JWT_SECRET) not set in .env");
+  return secret;
+}
+
+// sha256 of the image bytes; a data URL is decoded first so both ends hash the same thing
+export function hashImage(imageOrBuffer) {
+  if (!imageOrBuffer) return null;
+  let bytes = imageOrBuffer;
+  if (typeof imageOrBuffer === "string") {
+    const m = imageOrBuffer.match(/^data:.+;base64,(.*)$/);
+    bytes = m ? Buffer.from(m[1], "base64") : Buffer.from(imageOrBuffer);
+  }
+  return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+/**
+ * Only a captured image earns a ticket, so `imageHash` is required. The
+ * match scores ride along so the punch can be audited with what the server
+ * measured.
+ */
+export function issueVerificationTicket({ userId, imageHash, similarity = null, distance = null }) {
+  if (!imageHash) throw new Error("A verification ticket must be bound to the captured image");
+  return jwt.sign(
+    { sub: String(userId), purpose: "attendance", img: imageHash, sim: similarity, dist: distance },
+    getSecret(),
+    { expiresIn: TICKET_TTL_SECONDS, jwtid: crypto.randomBytes(16).toString("hex") }
+  );
+}
+
+function ticketError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Checks the ticket against the punch being submitted and spends it.
+ * Returns { userId, similarity, distance }; throws an error with a `status`
+ * when the ticket is missing, invalid, expired, already used or was issued
+ * for another user or image.
+ */
+export async function redeemVerificationTicket(ticket, { userId, imageData }) {
+  if (!ticket) throw ticketError("Face verification required");
+
+  let payload;
+  try {
+    payload = jwt.verify(String(ticket), getSecret());
+  } catch (err) {
+    if (err?.name === "TokenExpiredError") throw ticketError("Verification expired, please scan again");
+    if (err?.name === "JsonWebTokenError") throw ticketError("Invalid verification ticket");
+    throw err;
+  }
+  if (payload.purpose !== "attendance" || !payload.jti) throw ticketError("Invalid verification ticket");
+  if (payload.sub !== String(userId)) throw ticketError("Verification ticket was issued for another user", 403);
+  if (!payload.img || payload.img !== hashImage(imageData)) {
+    throw ticketError("Verification ticket does not match the captured image", 403);
+  }
+
+  try {
+    await UsedVerificationTicket.create({
+      jti: payload.jti,
+      userId: payload.sub,
+      expiresAt: new Date(payload.exp * 1000),
+    });
+  } catch (err) {
+    if (err?.code === 11000) throw ticketError("Verification ticket already used, please scan again");
+    throw err;
+  }
+
+  return { userId: payload.sub, similarity: payload.sim ?? null, distance: payload.dist ?? null };
+}
@@ -0,0 +1,244 @@
+// lib/workCalendar.js
+import moment from "moment-timezone";
+import CalendarDay, { CALENDAR_DAY_KINDS } from "../models/CalendarDay";
+import { getSetting } from "./settings";
+import { DATE_KEY_FORMAT, addToDateKey, enumerateDateKeys, toDateKey, weekdayOf } from "./dates";
+
+// 0 = Sunday … 6 = Saturday
+export const DEFAULT_WEEKLY_OFF_DAYS = [0];
+
+// A single import may not expand one event into more days than this
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Weekdays nobody is expected in: setting "attendance".weeklyOffDays, else
+ * Sunday. An empty list means every day is a working day.
+ */
+export async function getWeeklyOffDays() {
+  const stored = (await getSetting("attendance", {})) || {};
+  return Array.isArray(stored.weeklyOffDays) ? stored.weeklyOffDays : DEFAULT_WEEKLY_OFF_DAYS;
+}
+
+/**
+ * Working-day calendar for [startKey, endKey]: the weekly offs plus every
+ * CalendarDay entry in the range, loaded once. A "working" entry overrides a
+ * weekly off; a "holiday" entry overrides a normal day.
+ *
+ *   dayInfo(key)             → { working, kind: "working" | "holiday" | "weekly-off", name }
+ *   workingDays(start, end)  → the working date keys in [start, end]
+ *
+ * Days outside the loaded range only see the weekly offs.
+ */
+export async function loadWorkCalendar(startKey, endKey) {
+  const [weeklyOffDays, entries] = await Promise.all([
+    getWeeklyOffDays(),
+    CalendarDay.find({ date: { $gte: startKey, $lte: endKey } }).lean(),
+  ]);
+  const byDate = new Map(entries.map((e) => [e.date, e]));
+
+  const dayInfo = (dateKey) => {
+    const entry = byDate.get(dateKey);
+    if (entry) return { working: entry.kind === "working", kind: entry.kind, name: entry.name };
+    if (weeklyOffDays.includes(weekdayOf(dateKey))) return { working: false, kind: "weekly-off", name: "Weekly off" };
+    return { working: true, kind: "working", name: "" };
+  };
+
+  return {
+    dayInfo,
+    isWorkingDay: (dateKey) => dayInfo(dateKey).working,
+    workingDays: (start, end) => enumerateDateKeys(start, end).filter((key) => dayInfo(key).working),
+  };
+}
+
+const isDateKey = (value) => moment.utc(value, DATE_KEY_FORMAT, true).isValid();
+
+/**
+ * Validates one calendar entry (manual form or an imported row). `endDate`
+ * makes it a range, e.g. an academy break. Returns { days } — one entry per
+ * date — or { error }.
+ */
+export function expandCalendarEntry({ date, endDate, name, kind = "holiday" }) {
+  const start = String(date ?? "").trim();
+  const end = String(endDate ?? "").trim() || start;
+  if (!isDateKey(start)) return { error: `Invalid date "${start}" (expected YYYY-MM-DD)` };
+  if (!isDateKey(end)) return { error: `Invalid end date "${end}" (expected YYYY-MM-DD)` };
+  if (end < start) return { error: `End date ${end} is before ${start}` };
+  if (!CALENDAR_DAY_KINDS.includes(kind)) {
+    return { error: `Kind must be one of: ${CALENDAR_DAY_KINDS.join(", ")}` };
+  }
+
+  const dates = enumerateDateKeys(start, end);
+  if (dates.length > MAX_RANGE_DAYS) return { error: `Range ${start}..${end} is longer than ${MAX_RANGE_DAYS} days` };
+
+  const label = String(name ?? "").trim();
+  return { days: dates.map((d) => ({ date: d, name: label, kind })) };
+}
+
+// Splits one CSV line, honouring "quoted, fields" and "" escapes
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+const CSV_COLUMNS = {
+  date: ["date", "start", "start_date", "from"],
+  endDate: ["end", "end_date", "enddate", "to"],
+  name: ["name", "title", "holiday", "description"],
+  kind: ["kind", "type"],
+};
+
+/**
+ * CSV import. With a header row the columns are matched by name (date, end,
+ * name, kind and a few aliases); without one they are date,name[,kind].
+ * Blank lines and lines starting with # are ignored.
+ *
+ * Returns { days, errors } — errors carry the 1-based line number.
+ */
+export function parseCalendarCsv(text) {
+  const lines = String(text ?? "").split(/\r?\n/);
+  const days = [];
+  const errors = [];
+  let columns = null;
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const cells = splitCsvLine(line);
+
+    if (!columns) {
+      const header = cells.map((c) => c.toLowerCase());
+      if (!isDateKey(cells[0]) && header.some((h) => CSV_COLUMNS.date.includes(h))) {
+        columns = Object.fromEntries(
+          Object.entries(CSV_COLUMNS).map(([field, aliases]) => [field, header.findIndex((h) => aliases.includes(h))])
+        );
+        return;
+      }
+      columns = { date: 0, name: 1, kind: 2, endDate: -1 };
+    }
+
+    const cell = (field) => (columns[field] >= 0 ? cells[columns[field]] : undefined);
+    const { days: expanded, error } = expandCalendarEntry({
+      date: cell("date"),
+      endDate: cell("endDate"),
+      name: cell("name"),
+      kind: cell("kind")?.toLowerCase() || undefined,
+    });
+    if (error) errors.push({ line: i + 1, message: error });
+    else days.push(...expanded);
+  });
+
+  return { days, errors };
+}
+
+const unescapeIcsText = (value) =>
+  value.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+
+// DTSTART / DTEND value → date key; UTC times ("…Z") are moved into `timezone`
+function icsDateKey(value, timezone) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return { error: `Unrecognised date "${value}"` };
+  const [, y, mo, d, hh, mi, ss, utc] = m;
+  if (utc) {
+    return { key: toDateKey(moment.utc(`${y}-${mo}-${d}T${hh}:${mi}:${ss}`), timezone), midnight: false };
+  }
+  return { key: `${y}-${mo}-${d}`, midnight: !hh || (hh === "00" && mi === "00" && ss === "00") };
+}
+
+/**
+ * iCalendar import: every VEVENT becomes a holiday named after its SUMMARY.
+ * All-day DTEND is exclusive (RFC 5545), so a one-day event covers DTSTART
+ * only. Recurring events (RRULE) are imported as their first occurrence and
+ * reported.
+ *
+ * Returns { days, errors } in the same shape as parseCalendarCsv.
+ */
+export function parseCalendarIcs(text, timezone) {
+  // Unfold continuation lines (they start with a space or tab)
+  const lines = String(text ?? "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const days = [];
+  const errors = [];
+  let event = null;
+
+  lines.forEach((line, i) => {
+    if (line === "BEGIN:VEVENT") {
+      event = { line: i + 1 };
+      return;
+    }
+    if (!event) return;
+
+    if (line === "END:VEVENT") {
+      const fail = (message) => errors.push({ line: event.line, message });
+      if (!event.start) {
+        fail("Event without DTSTART");
+      } else {
+        const start = icsDateKey(event.start, timezone);
+        const end = event.end ? icsDateKey(event.end, timezone) : null;
+        if (start.error || end?.error) {
+          fail(start.error || end.error);
+        } else {
+          // Exclusive end: an end at midnight does not include that day
+          let endDate = end?.key ?? start.key;
+          if (end && end.midnight && end.key > start.key) endDate = addToDateKey(end.key, -1, "day");
+          const { days: expanded, error } = expandCalendarEntry({ date: start.key, endDate, name: event.summary });
+          if (error) fail(error);
+          else days.push(...expanded);
+          if (event.recurring) fail(`"${event.summary || start.key}" repeats; only ${start.key} was imported`);
+        }
+      }
+      event = null;
+      return;
+    }
+
+    const sep = line.indexOf(":");
+    if (sep < 0) return;
+    const name = line.slice(0, sep).split(";")[0].toUpperCase();
+    const value = line.slice(sep + 1).trim();
+    if (name === "DTSTART") event.start = value;
+    else if (name === "DTEND") event.end = value;
+    else if (name === "SUMMARY") event.summary = unescapeIcsText(value);
+    else if (name === "RRULE") event.recurring = true;
+  });
+
+  return { days, errors };
+}
+
+/**
+ * Stores entries by date, replacing whatever was there for those days.
+ * Returns the number of days written.
+ */
+export async function saveCalendarDays(days, { source = "manual", adminId = null } = {}) {
+  if (!days.length) return 0;
+  await CalendarDay.bulkWrite(
+    days.map((day) => ({
+      updateOne: {
+        filter: { date: day.date },
+        update: { $set: { name: day.name, kind: day.kind, source, createdBy: adminId, createdAt: new Date() } },
+        upsert: true,
+      },
+    }))
+  );
+  return days.length;
+}
@@ -0,0 +1,185 @@
+// migrateAttendance.js
+// One-off back-fill for Attendance records written before punchInAt /
+// punchOutAt / durationSeconds / status / sessions were part of the schema.
+//
+//   npm run migrate-attendance -- [--dry-run] [--tz Asia/Kolkata]
+//
+// --tz defaults to the org timezone (settings "attendance".timezone, then
+// APP_TIMEZONE, then Asia/Kolkata — same order as lib/dates#getTimezone).
+//
+// - Rebuilds punchInAt / punchOutAt from `date` + the "hh:mm:ss A" display
+//   strings (older rows from /api/send-telegram used "h:mm:ss am").
+// - Converts ISO strings left in punchInAt / punchOutAt into real Dates.
+// - Sets durationSeconds and status, and wraps the pair into `sessions`.
+// - Merges duplicate (userId, date) rows into one and creates the unique
+//   index the punch upsert relies on.
+// Rows whose strings cannot be parsed are reported and left untouched.
+// Safe to re-run: fully migrated rows are skipped.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const connectDB = require("./lib/mongodb");
+const { parseArgs } = require("./lib/scriptArgs");
+
+// Display strings are upper-cased first, so "am" / "pm" match "A" too
+const TIME_FORMATS = ["hh:mm:ss A", "h:mm:ss A", "HH:mm:ss", "hh:mm A", "HH:mm"];
+
+async function resolveTimezone() {
+  const setting = await mongoose.connection.collection("settings").findOne({ key: "attendance" });
+  for (const tz of [setting?.value?.timezone, process.env.APP_TIMEZONE]) {
+    if (tz && moment.tz.zone(tz)) return tz;
+  }
+  return "Asia/Kolkata";
+}
+
+// Existing Date / ISO string wins; otherwise combine the day with the display time
+function resolveTimestamp(at, date, display, tz) {
+  if (at instanceof Date && !isNaN(at)) return at;
+  if (typeof at === "string" && at.trim()) {
+    const parsed = moment.tz(at, moment.ISO_8601, true, tz);
+    if (parsed.isValid()) return parsed.toDate();
+  }
+  if (!date || typeof display !== "string" || !display.trim()) return null;
+
+  const parsed = moment.tz(
+    `${date} ${display.trim().toUpperCase()}`,
+    TIME_FORMATS.map((f) => `YYYY-MM-DD ${f}`),
+    true,
+    tz
+  );
+  return parsed.isValid() ? parsed.toDate() : undefined;
+}
+
+// Same rules as lib/attendanceSessions#summarizeSessions (that module is ESM)
+function summarize(sessions) {
+  const first = sessions[0];
+  const last = sessions[sessions.length - 1];
+  const open = Boolean(last && !last.punchOutAt);
+  return {
+    punchInAt: first?.punchInAt ?? null,
+    punchIn: first?.punchIn ?? null,
+    punchOutAt: open ? null : last?.punchOutAt ?? null,
+    punchOut: open ? null : last?.punchOut ?? null,
+    durationSeconds: sessions.reduce(
+      (sum, s) => sum + (s.punchInAt && s.punchOutAt ? Math.max(0, Math.floor((s.punchOutAt - s.punchInAt) / 1000)) : 0),
+      0
+    ),
+    status: open || !last ? "punched-in" : "punched-out",
+  };
+}
+
+// Folds every (userId, date) group into its oldest row, sessions sorted by time
+async function mergeDuplicates(attendances, dryRun) {
+  const groups = await attendances
+    .aggregate([
+      { $group: { _id: { userId: "$userId", date: "$date" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  let merged = 0;
+  for (const group of groups) {
+    const docs = await attendances.find({ _id: { $in: group.ids } }).sort({ recordedAt: 1, _id: 1 }).toArray();
+    const [keep, ...extra] = docs;
+    const sessions = docs
+      .flatMap((d) => d.sessions || [])
+      .sort((a, b) => new Date(a.punchInAt) - new Date(b.punchInAt));
+
+    if (dryRun) {
+      console.log(`[dry-run] merge ${group._id.userId} ${group._id.date}: ${docs.length} rows, ${sessions.length} session(s)`);
+    } else {
+      await attendances.updateOne({ _id: keep._id }, { $set: { sessions, ...summarize(sessions) } });
+      await attendances.deleteMany({ _id: { $in: extra.map((d) => d._id) } });
+    }
+    merged += extra.length;
+  }
+  return merged;
+}
+
+async function migrateAttendance() {
+  const args = parseArgs(process.argv.slice(2));
+  const dryRun = Boolean(args["dry-run"]);
+
+  await connectDB();
+
+  const tz = typeof args.tz === "string" ? args.tz : await resolveTimezone();
+  if (!moment.tz.zone(tz)) {
+    console.error(`Unknown timezone: ${tz}`);
+    process.exit(1);
+  }
+  // Raw collection: the Mongoose model would cast (and drop) the legacy values
+  const attendances = mongoose.connection.collection("attendances");
+
+  const cursor = attendances.find({
+    $or: [
+      { punchInAt: { $not: { $type: "date" } }, punchIn: { $nin: [null, ""] } },
+      { punchOutAt: { $not: { $type: "date" } }, punchOut: { $nin: [null, ""] } },
+      { status: { $exists: false } },
+      { durationSeconds: { $exists: false } },
+      { sessions: { $exists: false } },
+    ],
+  });
+
+  const stats = { scanned: 0, updated: 0, skipped: 0 };
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+
+    // Rows written with sessions already carry the derived fields
+    if (Array.isArray(doc.sessions) && doc.sessions.length) {
+      stats.skipped++;
+      continue;
+    }
+
+    const punchInAt = resolveTimestamp(doc.punchInAt, doc.date, doc.punchIn, tz);
+    let punchOutAt = resolveTimestamp(doc.punchOutAt, doc.date, doc.punchOut, tz);
+
+    if (punchInAt === undefined || punchOutAt === undefined) {
+      console.warn(`Skipping ${doc._id} (${doc.userId} ${doc.date}): cannot parse "${doc.punchIn}" / "${doc.punchOut}"`);
+      stats.skipped++;
+      continue;
+    }
+
+    // A punch-out "before" the punch-in can only be a shift past midnight
+    if (punchInAt && punchOutAt && punchOutAt < punchInAt) {
+      punchOutAt = moment(punchOutAt).add(1, "day").toDate();
+    }
+
+    const durationSeconds =
+      punchInAt && punchOutAt ? Math.max(0, Math.floor((punchOutAt - punchInAt) / 1000)) : null;
+    const update = {
+      punchInAt,
+      punchOutAt,
+      durationSeconds,
+      status: punchOutAt || doc.punchOut ? "punched-out" : "punched-in",
+      sessions: punchInAt
+        ? [{ punchInAt, punchIn: doc.punchIn ?? null, punchOutAt, punchOut: doc.punchOut ?? null, durationSeconds }]
+        : [],
+    };
+
+    if (dryRun) {
+      console.log(`[dry-run] ${doc._id} (${doc.userId} ${doc.date})`, update);
+    } else {
+      await attendances.updateOne({ _id: doc._id }, { $set: update });
+    }
+    stats.updated++;
+  }
+
+  console.log(
+    `${dryRun ? "[dry-run] " : ""}Scanned ${stats.scanned}, updated ${stats.updated}, skipped ${stats.skipped}.`
+  );
+
+  const merged = await mergeDuplicates(attendances, dryRun);
+  console.log(`${dryRun ? "[dry-run] " : ""}Merged ${merged} duplicate day record(s).`);
+
+  if (!dryRun) {
+    await attendances.createIndex({ userId: 1, date: 1 }, { unique: true });
+    console.log("Unique (userId, date) index is in place.");
+  }
+  process.exit(0);
+}
+
+migrateAttendance().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
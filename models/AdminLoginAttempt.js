@@ -0,0 +1,17 @@
+// models/AdminLoginAttempt.js
+import mongoose from "mongoose";
+
+const AdminLoginAttemptSchema = new mongoose.Schema({
+  email: { type: String, lowercase: true, trim: true, index: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  ip: { type: String, index: true },
+  userAgent: { type: String },
+  success: { type: Boolean, required: true },
+  reason: { type: String }, // "ok", "bad-credentials", "locked", "throttled", "deactivated"
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Keep 90 days of history for review
+AdminLoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.models.AdminLoginAttempt || mongoose.model("AdminLoginAttempt", AdminLoginAttemptSchema);
@@ -0,0 +1,16 @@
+// models/AdminSession.js
+import mongoose from "mongoose";
+
+const AdminSessionSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Let MongoDB drop sessions once they have expired
+AdminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.AdminSession || mongoose.model("AdminSession", AdminSessionSchema);
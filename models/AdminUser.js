@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { ADMIN_ROLES } = require("../lib/adminRoles");
 
 const AdminUserSchema = new mongoose.Schema({
   email: {
@@ -16,6 +17,45 @@ const AdminUserSchema = new mongoose.Schema({
     type: String,
     default: "Admin",
   },
+  // Admins created before roles existed had full access; keep it that way
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+    default: "super-admin",
+  },
+  // Deactivated admins can't log in and their sessions stop working
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set after repeated failed logins (see lib/loginThrottle.js)
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Optional TOTP second factor (see lib/totp.js); secrets are encrypted
+  totp: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null }, // set during enrolment, until confirmed
+    lastUsedStep: { type: Number, default: -1 }, // blocks replay of an accepted code
+    recoveryCodeHashes: { type: [String], default: [] },
+    enabledAt: { type: Date, default: null },
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AdminUser",
+    default: null,
+  },
+  // Bumped to invalidate every session token issued to this admin
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
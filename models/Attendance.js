@@ -1,14 +1,95 @@
 // models/Attendance.js
 import mongoose from "mongoose";
+import { computeDurationSeconds, summarizeSessions } from "../lib/attendanceSessions";
+
+export const ATTENDANCE_STATUSES = ["punched-in", "punched-out", "auto-closed"];
+export const ATTENDANCE_CLASSIFICATIONS = ["on-time", "late", "early-leave", "half-day"];
+export const SESSION_SOURCES = ["scan", "manual"];
+
+// A session's times as first recorded, kept when an admin corrects it
+const OriginalTimesSchema = new mongoose.Schema(
+  {
+    punchInAt: { type: Date, default: null },
+    punchIn: { type: String, default: null },
+    punchOutAt: { type: Date, default: null },
+    punchOut: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// One in/out pair; a day can hold several (lunch, breaks between labs)
+const SessionSchema = new mongoose.Schema(
+  {
+    punchInAt: { type: Date, required: true },
+    punchIn: { type: String }, // display "hh:mm:ss A"
+    punchOutAt: { type: Date, default: null },
+    punchOut: { type: String, default: null },
+    durationSeconds: { type: Number, default: null },
+    // Closed by the end-of-day job rather than a scan; admins confirm or correct
+    autoClosed: { type: Boolean, default: false },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    reviewedAt: { type: Date, default: null },
+    // Admin corrections (lib/attendanceCorrections): "manual" sessions were
+    // added by hand; edited scans keep their scanned times in `original`
+    source: { type: String, enum: SESSION_SOURCES, default: "scan" },
+    original: { type: OriginalTimesSchema, default: null },
+    correctionReason: { type: String, default: null },
+    correctedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    correctedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// A session an admin voided: taken out of `sessions`, kept here as it was
+const VoidedSessionSchema = new mongoose.Schema(
+  {
+    session: { type: SessionSchema, required: true },
+    reason: { type: String, required: true },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    voidedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const AttendanceSchema = new mongoose.Schema({
   userId: { type: String, required: true, index: true },
   name: { type: String, required: true },
   role: { type: String, required: true },
   date: { type: String, required: true }, // "YYYY-MM-DD"
-  punchIn: { type: String }, // "HH:mm:ss"
-  punchOut: { type: String }, // "HH:mm:ss"
+  sessions: { type: [SessionSchema], default: [] },
+  voidedSessions: { type: [VoidedSessionSchema], default: [] },
+  corrected: { type: Boolean, default: false }, // an admin added, edited or voided a session
+  // Derived from sessions: first punch-in, last punch-out, total presence
+  punchIn: { type: String }, // display "hh:mm:ss A"
+  punchOut: { type: String }, // display "hh:mm:ss A"
+  punchInAt: { type: Date, default: null },
+  punchOutAt: { type: Date, default: null },
+  durationSeconds: { type: Number, default: null },
+  status: { type: String, enum: ATTENDANCE_STATUSES, default: "punched-in" },
+  // Against the assigned shift (lib/shifts); null when none applies
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: "Shift", default: null },
+  classification: { type: String, enum: [...ATTENDANCE_CLASSIFICATIONS, null], default: null },
+  lateMinutes: { type: Number, default: null },
+  earlyLeaveMinutes: { type: Number, default: null },
+  imageData: { type: String }, // data URL of the latest punch photo
   recordedAt: { type: Date, default: Date.now },
 });
 
+// One record per person per day; lib/attendancePunch relies on it for its upsert.
+// Existing duplicates must be merged first (npm run migrate-attendance).
+AttendanceSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+// Keep the derived fields in step on save(); atomic updates set them explicitly
+AttendanceSchema.pre("save", function (next) {
+  // A day whose sessions were all voided summarizes to empty, not to the legacy fields
+  if (this.sessions.length || this.voidedSessions.length) {
+    for (const s of this.sessions) s.durationSeconds = computeDurationSeconds(s.punchInAt, s.punchOutAt);
+    Object.assign(this, summarizeSessions(this.sessions));
+  } else {
+    this.durationSeconds = computeDurationSeconds(this.punchInAt, this.punchOutAt);
+    this.status = this.punchOutAt || this.punchOut ? "punched-out" : "punched-in";
+  }
+  next();
+});
+
 export default mongoose.models.Attendance || mongoose.model("Attendance", AttendanceSchema);
@@ -0,0 +1,53 @@
+// models/AttendanceAudit.js
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "punch-in", // kiosk scan opened a session
+  "punch-out", // kiosk scan closed a session
+  "auto-close", // end-of-day job closed a session
+  "review", // admin confirmed or corrected an auto-closed session
+  "manual-add", // admin added a session by hand
+  "edit", // admin changed a session's times
+  "void", // admin removed a session
+];
+export const AUDIT_ACTOR_TYPES = ["kiosk", "admin", "system"];
+
+// One entry per change to an Attendance record. Entries are only ever
+// inserted: the hooks below refuse updates and deletes through the model.
+const AttendanceAuditSchema = new mongoose.Schema({
+  attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: "Attendance", index: true },
+  userId: { type: String, required: true },
+  date: { type: String, required: true }, // the record's "YYYY-MM-DD"
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  actor: {
+    type: { type: String, enum: AUDIT_ACTOR_TYPES, required: true },
+    adminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+    label: { type: String, default: "" }, // admin email, job name
+  },
+  // lib/attendanceAudit#snapshotOf — null before the record existed
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  reason: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  // Face match behind a kiosk scan: Rekognition similarity (0..100) or descriptor distance
+  similarity: { type: Number, default: null },
+  distance: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+AttendanceAuditSchema.index({ userId: 1, date: -1, createdAt: -1 });
+AttendanceAuditSchema.index({ date: -1, createdAt: -1 });
+
+function appendOnly(next) {
+  next(new Error("Attendance audit entries cannot be changed or removed"));
+}
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  AttendanceAuditSchema.pre(op, appendOnly);
+}
+AttendanceAuditSchema.pre("save", function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+export default mongoose.models.AttendanceAudit || mongoose.model("AttendanceAudit", AttendanceAuditSchema);
@@ -0,0 +1,20 @@
+// models/CalendarDay.js
+import mongoose from "mongoose";
+
+// holiday: no one is expected in (public holiday, academy break day)
+// working: expected in even though it falls on a weekly off (make-up day)
+export const CALENDAR_DAY_KINDS = ["holiday", "working"];
+export const CALENDAR_DAY_SOURCES = ["manual", "csv", "ics"];
+
+// One entry per calendar day ("YYYY-MM-DD", org timezone). Days without an
+// entry follow the weekly-off rule in the "attendance" setting.
+const CalendarDaySchema = new mongoose.Schema({
+  date: { type: String, required: true, unique: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  name: { type: String, default: "", trim: true },
+  kind: { type: String, enum: CALENDAR_DAY_KINDS, default: "holiday" },
+  source: { type: String, enum: CALENDAR_DAY_SOURCES, default: "manual" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.models.CalendarDay || mongoose.model("CalendarDay", CalendarDaySchema);
@@ -0,0 +1,26 @@
+// models/Leave.js
+import mongoose from "mongoose";
+
+export const LEAVE_TYPES = ["sick", "casual", "official-duty"];
+export const LEAVE_STATUSES = ["pending", "approved", "rejected"];
+
+// A leave request from the PWA. Days are "YYYY-MM-DD" (org timezone),
+// inclusive; approved leave turns a missing punch into "On Leave".
+const LeaveSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  name: { type: String, default: "" },
+  role: { type: String, default: "" },
+  type: { type: String, enum: LEAVE_TYPES, required: true },
+  from: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  to: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  reason: { type: String, default: "", trim: true, maxlength: 500 },
+  status: { type: String, enum: LEAVE_STATUSES, default: "pending" },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: "", trim: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+LeaveSchema.index({ status: 1, from: 1, to: 1 });
+
+export default mongoose.models.Leave || mongoose.model("Leave", LeaveSchema);
@@ -0,0 +1,16 @@
+// models/LoginThrottle.js
+import mongoose from "mongoose";
+
+// One counter per "ip:<addr>" or "email:<address>" — lives in MongoDB so it
+// survives serverless cold starts.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  windowStartedAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.LoginThrottle || mongoose.model("LoginThrottle", LoginThrottleSchema);
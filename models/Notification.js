@@ -0,0 +1,26 @@
+// models/Notification.js
+import mongoose from "mongoose";
+
+export const NOTIFICATION_STATUSES = ["pending", "sending", "sent", "dead"];
+
+// Outbox entry: written when an event happens, delivered (and retried) by
+// lib/notificationOutbox. "dead" entries stay until an admin retries them.
+const NotificationSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // e.g. "telegram.punch"
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: "pending", index: true },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  target: { type: String, default: null }, // e.g. resolved chat id
+  sentAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null }, // set once sent; TTL cleans up
+  createdAt: { type: Date, default: Date.now },
+});
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Notification || mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,16 @@
+// models/PasswordResetToken.js
+import mongoose from "mongoose";
+
+const PasswordResetTokenSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the emailed token
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  requestedIp: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.PasswordResetToken ||
+  mongoose.model("PasswordResetToken", PasswordResetTokenSchema);
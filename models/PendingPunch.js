@@ -0,0 +1,20 @@
+// models/PendingPunch.js
+import mongoose from "mongoose";
+
+// A verified scan waiting for /success to confirm it (lib/pendingPunch).
+// Only the hash of the opaque id handed to the browser is stored.
+const PendingPunchSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  name: { type: String, default: "" },
+  role: { type: String, default: "" },
+  imageUrl: { type: String, default: null }, // registered photo
+  imageData: { type: String, default: null }, // captured frame (data URL)
+  ticket: { type: String, required: true }, // lib/verificationTicket
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+PendingPunchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.PendingPunch || mongoose.model("PendingPunch", PendingPunchSchema);
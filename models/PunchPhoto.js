@@ -0,0 +1,17 @@
+// models/PunchPhoto.js
+import mongoose from "mongoose";
+
+// The photo of one punch, referenced by its outbox notification
+// (lib/telegramNotifier). Attendance only keeps the latest punch's photo,
+// so a late or retried notification reads its own copy from here.
+const PunchPhotoSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: "Attendance", default: null },
+  imageData: { type: String, required: true }, // data URL
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+PunchPhotoSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.PunchPhoto || mongoose.model("PunchPhoto", PunchPhotoSchema);
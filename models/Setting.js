@@ -0,0 +1,12 @@
+// models/Setting.js
+import mongoose from "mongoose";
+
+// Admin-editable app settings, one document per key (e.g. "telegram")
+const SettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "AdminUser", default: null },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.models.Setting || mongoose.model("Setting", SettingSchema);
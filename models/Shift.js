@@ -0,0 +1,25 @@
+// models/Shift.js
+import mongoose from "mongoose";
+
+export const SHIFT_KINDS = ["shift", "class"];
+
+// A working shift or class slot. Times are "HH:mm" in the org timezone and a
+// shift ends on the day it starts: attendance is kept per calendar day, so
+// shifts past midnight are not supported (lib/shifts#parseShiftInput).
+const ShiftSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  kind: { type: String, enum: SHIFT_KINDS, default: "shift" },
+  startTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  endTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+  graceInMinutes: { type: Number, default: 10, min: 0 }, // late after start + grace
+  graceOutMinutes: { type: Number, default: 10, min: 0 }, // early leave before end - grace
+  halfDayMinutes: { type: Number, default: null, min: 0 }, // less presence = half-day; null = half the shift
+  days: { type: [Number], default: [] }, // 0 = Sunday … 6 = Saturday; empty = every day
+  // Assignment: a batch match wins over a role match
+  roles: { type: [String], default: [] },
+  batches: { type: [String], default: [] },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.models.Shift || mongoose.model("Shift", ShiftSchema);
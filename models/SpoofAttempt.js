@@ -0,0 +1,18 @@
+// models/SpoofAttempt.js
+import mongoose from "mongoose";
+
+// A kiosk scan rejected by the liveness check (lib/liveness)
+const SpoofAttemptSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  challenge: { type: String, default: null }, // "blink", "turn-head"
+  reason: { type: String, required: true },
+  details: { type: mongoose.Schema.Types.Mixed, default: null }, // per-frame measurements
+  ip: { type: String, index: true },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Keep 90 days of history for review
+SpoofAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.models.SpoofAttempt || mongoose.model("SpoofAttempt", SpoofAttemptSchema);
@@ -0,0 +1,15 @@
+// models/UsedLivenessChallenge.js
+import mongoose from "mongoose";
+
+// Liveness challenges already answered by a scan (lib/liveness).
+// Kept until the challenge would have expired anyway.
+const UsedLivenessChallengeSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: Date.now },
+});
+
+UsedLivenessChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.UsedLivenessChallenge ||
+  mongoose.model("UsedLivenessChallenge", UsedLivenessChallengeSchema);
@@ -0,0 +1,16 @@
+// models/UsedVerificationTicket.js
+import mongoose from "mongoose";
+
+// Verification tickets already spent on a punch (lib/verificationTicket).
+// Kept until the ticket would have expired anyway.
+const UsedVerificationTicketSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: Date.now },
+});
+
+UsedVerificationTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.UsedVerificationTicket ||
+  mongoose.model("UsedVerificationTicket", UsedVerificationTicketSchema);
@@ -12,8 +12,10 @@ const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
   userId: { type: String, required: true, unique: true }, // unique student/faculty ID
   role: { type: String, enum: ["student", "faculty"], required: true },
+  batch: { type: String, trim: true }, // optional class / batch, used for routing and shifts
   imageUrl: { type: String, required: true }, // Cloudinary image
   rekognition: { type: RekognitionSchema, default: {} }, // AWS Rekognition data
+  faceDescriptors: { type: [[Number]], default: undefined }, // face-api.js descriptors (FACE_BACKEND=descriptor)
   createdAt: { type: Date, default: Date.now },
 });
 
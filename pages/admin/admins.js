@@ -0,0 +1,284 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+import { ADMIN_ROLES } from "../../lib/adminRoles";
+
+export default function AdminsPage() {
+  const [admins, setAdmins] = useState([]);
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [invite, setInvite] = useState({ email: "", name: "", role: "viewer" });
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { role, can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchAdmins = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [adminsJson, attemptsJson] = await Promise.all([
+        request("/api/admin/admins"),
+        request("/api/admin/login-attempts?limit=50"),
+      ]);
+      setAdmins(adminsJson.admins || []);
+      setAttempts(attemptsJson.attempts || []);
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (!authChecked) return;
+    fetchAdmins();
+  }, [authChecked, fetchAdmins]);
+
+  const runAction = async (action) => {
+    setMessage("");
+    try {
+      const msg = await action();
+      if (msg) setMessage(msg);
+      await fetchAdmins();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const json = await request("/api/admin/admins", {
+        method: "POST",
+        body: JSON.stringify(invite),
+      });
+      setInvite({ email: "", name: "", role: "viewer" });
+      return `✅ Invited ${json.admin.email}. Temporary password: ${json.tempPassword}`;
+    });
+  };
+
+  const updateAdmin = (id, body) =>
+    runAction(async () => {
+      await request(`/api/admin/admins/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify(body),
+      });
+      return "✅ Admin updated";
+    });
+
+  const resetPassword = (admin) =>
+    runAction(async () => {
+      if (!confirm(`Reset the password for ${admin.email}?`)) return null;
+      const json = await request(`/api/admin/admins/${admin.id}/reset-password`, {
+        method: "POST",
+      });
+      return `✅ New temporary password for ${admin.email}: ${json.tempPassword}`;
+    });
+
+  const unlockAdmin = (admin) =>
+    runAction(async () => {
+      await request(`/api/admin/admins/${admin.id}/unlock`, { method: "POST" });
+      return `✅ Unlocked ${admin.email}`;
+    });
+
+  if (!authChecked || (loading && !admins.length)) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Admins"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          {role && !can("admins:manage") ? (
+            <p className="text-red-400">Only super-admins can manage admins.</p>
+          ) : (
+            <>
+              {/* Invite form */}
+              <form
+                onSubmit={handleInvite}
+                className="bg-white text-black rounded-lg shadow p-4 mb-6 flex flex-wrap gap-3 items-center"
+              >
+                <input
+                  type="email"
+                  placeholder="Email"
+                  value={invite.email}
+                  onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                  required
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <input
+                  type="text"
+                  placeholder="Name"
+                  value={invite.name}
+                  onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <select
+                  value={invite.role}
+                  onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm"
+                >
+                  {ADMIN_ROLES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Invite Admin
+                </button>
+              </form>
+
+              {message && <p className="mb-4 text-sm break-all">{message}</p>}
+              {error && <p className="mb-4 text-red-400">{error}</p>}
+
+              {/* Admin list */}
+              <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                    <tr>
+                      <th className="p-4 text-left">Name</th>
+                      <th className="p-4 text-left">Email</th>
+                      <th className="p-4 text-left">Role</th>
+                      <th className="p-4 text-left">Status</th>
+                      <th className="p-4 text-left">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {admins.map((admin) => (
+                      <tr key={admin.id} className="border-b hover:bg-gray-200 transition">
+                        <td className="p-4">{admin.name}</td>
+                        <td className="p-4">{admin.email}</td>
+                        <td className="p-4">
+                          <select
+                            value={admin.role}
+                            onChange={(e) => updateAdmin(admin.id, { role: e.target.value })}
+                            className="border rounded p-1"
+                          >
+                            {ADMIN_ROLES.map((r) => (
+                              <option key={r} value={r}>
+                                {r}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className={`p-4 font-medium ${admin.active ? "text-green-600" : "text-red-600"}`}>
+                          {admin.active ? "Active" : "Deactivated"}
+                          {admin.lockedUntil && (
+                            <span className="block text-xs text-orange-600">
+                              Locked until {new Date(admin.lockedUntil).toLocaleTimeString()}
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-4 flex gap-2">
+                          <button
+                            onClick={() => updateAdmin(admin.id, { active: !admin.active })}
+                            className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white transition"
+                          >
+                            {admin.active ? "Deactivate" : "Reactivate"}
+                          </button>
+                          <button
+                            onClick={() => resetPassword(admin)}
+                            className="px-3 py-1 rounded bg-yellow-600 hover:bg-yellow-700 text-white transition"
+                          >
+                            Reset Password
+                          </button>
+                          {admin.twoFactorEnabled && (
+                            <button
+                              onClick={() => updateAdmin(admin.id, { disableTwoFactor: true })}
+                              className="px-3 py-1 rounded bg-purple-600 hover:bg-purple-700 text-white transition"
+                            >
+                              Reset 2FA
+                            </button>
+                          )}
+                          {admin.lockedUntil && (
+                            <button
+                              onClick={() => unlockAdmin(admin)}
+                              className="px-3 py-1 rounded bg-orange-600 hover:bg-orange-700 text-white transition"
+                            >
+                              Unlock
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Recent login attempts */}
+              <h3 className="text-lg font-bold mt-8 mb-2">🔐 Recent Login Attempts</h3>
+              <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                    <tr>
+                      <th className="p-3 text-left">Time</th>
+                      <th className="p-3 text-left">Email</th>
+                      <th className="p-3 text-left">IP</th>
+                      <th className="p-3 text-left">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {attempts.length === 0 ? (
+                      <tr>
+                        <td colSpan="4" className="text-center p-4 text-gray-500 italic">
+                          No login attempts recorded.
+                        </td>
+                      </tr>
+                    ) : (
+                      attempts.map((a) => (
+                        <tr key={a._id} className="border-b">
+                          <td className="p-3">{new Date(a.createdAt).toLocaleString()}</td>
+                          <td className="p-3">{a.email || "-"}</td>
+                          <td className="p-3">{a.ip || "-"}</td>
+                          <td className={`p-3 font-medium ${a.success ? "text-green-600" : "text-red-600"}`}>
+                            {a.success ? "Success" : a.reason}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import AdminSidebar from "../../../components/AdminSidebar";
+import AdminHeader from "../../../components/AdminHeader";
+
+const ACTIONS = ["punch-in", "punch-out", "auto-close", "review", "manual-add", "edit", "void"];
+const EMPTY_FILTERS = { userId: "", from: "", to: "", action: "" };
+
+// "09:02:11 AM → 05:30:00 PM, 06:10:00 PM → …" for one snapshot
+function describeSessions(snapshot) {
+  if (!snapshot) return "—";
+  const sessions = snapshot.sessions?.length
+    ? snapshot.sessions
+    : snapshot.punchIn
+    ? [{ punchIn: snapshot.punchIn, punchOut: snapshot.punchOut }]
+    : [];
+  if (!sessions.length) return "no sessions";
+  return sessions.map((s) => `${s.punchIn || "—"} → ${s.punchOut || "…"}`).join(", ");
+}
+
+function describeActor(actor) {
+  if (!actor) return "—";
+  if (actor.type === "admin") return `admin ${actor.label || actor.adminId || ""}`.trim();
+  if (actor.type === "system") return `system (${actor.label || "job"})`;
+  return "kiosk scan";
+}
+
+function describeMatch(entry) {
+  if (typeof entry.similarity === "number") return `${entry.similarity.toFixed(1)}% similar`;
+  if (typeof entry.distance === "number") return `distance ${entry.distance}`;
+  return "—";
+}
+
+export default function AttendanceAuditPage() {
+  const [entries, setEntries] = useState([]);
+  const [spoofAttempts, setSpoofAttempts] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  // Linked from a student page as ?userId=
+  useEffect(() => {
+    const userId = new URLSearchParams(window.location.search).get("userId") || "";
+    setFilters({ ...EMPTY_FILTERS, userId });
+    setApplied({ ...EMPTY_FILTERS, userId });
+  }, []);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    if (!applied) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const query = new URLSearchParams(Object.entries(applied).filter(([, value]) => value));
+      const [json, spoofJson] = await Promise.all([
+        request(`/api/admin/attendance/audit?${query}`),
+        request("/api/admin/spoof-attempts?limit=50"),
+      ]);
+      setEntries(json.entries || []);
+      setSpoofAttempts(spoofJson.attempts || []);
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request, applied]);
+
+  useEffect(() => {
+    if (authChecked) fetchEntries();
+  }, [authChecked, fetchEntries]);
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setApplied({ ...filters });
+  };
+
+  if (!authChecked) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Attendance Audit Log"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          <form onSubmit={applyFilters} className="flex flex-wrap items-center gap-3 mb-6 text-gray-800">
+            <input
+              type="text"
+              placeholder="User ID"
+              value={filters.userId}
+              onChange={(e) => setFilters({ ...filters, userId: e.target.value })}
+              className="border rounded-lg p-2 shadow-sm"
+            />
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              title="From day"
+              className="border rounded-lg p-2 shadow-sm"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              title="To day"
+              className="border rounded-lg p-2 shadow-sm"
+            />
+            <select
+              value={filters.action}
+              onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+              className="border rounded-lg p-2 shadow-sm"
+            >
+              <option value="">All changes</option>
+              {ACTIONS.map((a) => (
+                <option key={a} value={a}>
+                  {a}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+            >
+              Filter
+            </button>
+          </form>
+
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">When</th>
+                  <th className="p-3 text-left">User</th>
+                  <th className="p-3 text-left">Day</th>
+                  <th className="p-3 text-left">Change</th>
+                  <th className="p-3 text-left">By</th>
+                  <th className="p-3 text-left">Before → After</th>
+                  <th className="p-3 text-left">Source</th>
+                  <th className="p-3 text-left">Face match</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="text-center p-4 text-gray-500 italic">
+                      Loading...
+                    </td>
+                  </tr>
+                ) : entries.length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="text-center p-4 text-gray-500 italic">
+                      No audit entries.
+                    </td>
+                  </tr>
+                ) : (
+                  entries.map((entry) => (
+                    <tr key={entry._id} className="border-b align-top">
+                      <td className="p-3 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td className="p-3">
+                        <Link href={`/admin/student/${entry.userId}`} className="text-blue-600 hover:underline">
+                          {entry.userId}
+                        </Link>
+                      </td>
+                      <td className="p-3 whitespace-nowrap">{entry.date}</td>
+                      <td className="p-3 font-medium">
+                        {entry.action}
+                        {entry.reason && <span className="block text-xs text-gray-500 font-normal">{entry.reason}</span>}
+                      </td>
+                      <td className="p-3">{describeActor(entry.actor)}</td>
+                      <td className="p-3 text-xs">
+                        <span className="block text-gray-500">{describeSessions(entry.before)}</span>
+                        <span className="block">{describeSessions(entry.after)}</span>
+                      </td>
+                      <td className="p-3 text-xs max-w-xs break-words">
+                        {entry.ip || "—"}
+                        {entry.userAgent && <span className="block text-gray-500">{entry.userAgent}</span>}
+                      </td>
+                      <td className="p-3">{describeMatch(entry)}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Scans the liveness check turned away (lib/liveness) */}
+          <h3 className="text-lg font-bold mt-8 mb-2">🛡️ Rejected Scans (liveness)</h3>
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">Time</th>
+                  <th className="p-3 text-left">Challenge</th>
+                  <th className="p-3 text-left">Reason</th>
+                  <th className="p-3 text-left">Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {spoofAttempts.length === 0 ? (
+                  <tr>
+                    <td colSpan="4" className="text-center p-4 text-gray-500 italic">
+                      No rejected scans recorded.
+                    </td>
+                  </tr>
+                ) : (
+                  spoofAttempts.map((a) => (
+                    <tr key={a._id} className="border-b">
+                      <td className="p-3">{new Date(a.createdAt).toLocaleString()}</td>
+                      <td className="p-3">{a.challenge || "-"}</td>
+                      <td className="p-3 text-red-600 font-medium">{a.reason}</td>
+                      <td className="p-3 text-xs max-w-xs break-words">
+                        {a.ip || "-"}
+                        {a.userAgent && <span className="block text-gray-500">{a.userAgent}</span>}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
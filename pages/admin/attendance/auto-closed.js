@@ -0,0 +1,184 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import AdminSidebar from "../../../components/AdminSidebar";
+import AdminHeader from "../../../components/AdminHeader";
+import useAdminRole from "../../../lib/useAdminRole";
+
+export default function AutoClosedPage() {
+  const [sessions, setSessions] = useState([]);
+  const [reviewed, setReviewed] = useState("false");
+  const [corrections, setCorrections] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const json = await request(`/api/admin/attendance/auto-closed?reviewed=${reviewed}`);
+      setSessions(json.sessions || []);
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request, reviewed]);
+
+  useEffect(() => {
+    if (authChecked) fetchSessions();
+  }, [authChecked, fetchSessions]);
+
+  const review = async (s, punchOut) => {
+    setMessage("");
+    try {
+      await request("/api/admin/attendance/auto-closed/review", {
+        method: "POST",
+        body: JSON.stringify({ recordId: s.recordId, index: s.index, punchOut }),
+      });
+      setMessage(punchOut ? `✅ Punch-out for ${s.name} corrected to ${punchOut}` : `✅ Confirmed ${s.name} (${s.date})`);
+      await fetchSessions();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const keyOf = (s) => `${s.recordId}-${s.index}`;
+
+  if (!authChecked) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Auto-closed Sessions"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          <div className="flex items-center gap-3 mb-6">
+            <select
+              value={reviewed}
+              onChange={(e) => setReviewed(e.target.value)}
+              className="border rounded-lg p-2 shadow-sm text-gray-800"
+            >
+              <option value="false">Needs review</option>
+              <option value="true">Reviewed</option>
+              <option value="all">All</option>
+            </select>
+            <span className="text-sm text-gray-300">
+              Sessions still open at the end-of-day cut-off are closed automatically.
+            </span>
+          </div>
+
+          {message && <p className="mb-4 text-sm">{message}</p>}
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">Date</th>
+                  <th className="p-3 text-left">Name</th>
+                  <th className="p-3 text-left">Punch In</th>
+                  <th className="p-3 text-left">Auto Punch Out</th>
+                  <th className="p-3 text-left">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="5" className="text-center p-4 text-gray-500 italic">
+                      Loading...
+                    </td>
+                  </tr>
+                ) : sessions.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="text-center p-4 text-gray-500 italic">
+                      No auto-closed sessions.
+                    </td>
+                  </tr>
+                ) : (
+                  sessions.map((s) => (
+                    <tr key={keyOf(s)} className="border-b">
+                      <td className="p-3">{s.date}</td>
+                      <td className="p-3">
+                        <Link href={`/admin/student/${s.userId}`} className="text-blue-600 hover:underline">
+                          {s.name}
+                        </Link>{" "}
+                        <span className="text-xs text-gray-500">({s.role})</span>
+                      </td>
+                      <td className="p-3">{s.punchIn}</td>
+                      <td className="p-3">
+                        {s.punchOut}
+                        {s.reviewedAt && (
+                          <span className="block text-xs text-green-600">
+                            reviewed {new Date(s.reviewedAt).toLocaleString()}
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-3">
+                        {can("attendance:edit") && !s.reviewedAt && (
+                          <div className="flex flex-wrap items-center gap-2">
+                            <button
+                              onClick={() => review(s)}
+                              className="px-3 py-1 rounded bg-green-600 hover:bg-green-700 text-white transition"
+                            >
+                              Confirm
+                            </button>
+                            <input
+                              type="time"
+                              value={corrections[keyOf(s)] || ""}
+                              onChange={(e) => setCorrections({ ...corrections, [keyOf(s)]: e.target.value })}
+                              className="border rounded p-1"
+                            />
+                            <button
+                              onClick={() => review(s, corrections[keyOf(s)])}
+                              disabled={!corrections[keyOf(s)]}
+                              className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white transition"
+                            >
+                              Correct
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const EMPTY_FORM = { date: "", endDate: "", name: "", kind: "holiday" };
+
+export default function CalendarPage() {
+  const [year, setYear] = useState("");
+  const [days, setDays] = useState([]);
+  const [weeklyOffDays, setWeeklyOffDays] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [importResult, setImportResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchCalendar = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      // No year yet: the API answers with the org's current year
+      const json = await request(`/api/admin/calendar${year ? `?year=${year}` : ""}`);
+      setYear(json.year);
+      setDays(json.days || []);
+      setWeeklyOffDays(json.weeklyOffDays || []);
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request, year]);
+
+  useEffect(() => {
+    if (authChecked) fetchCalendar();
+  }, [authChecked, fetchCalendar]);
+
+  const runAction = async (action) => {
+    setMessage("");
+    try {
+      const msg = await action();
+      if (msg) setMessage(msg);
+      await fetchCalendar();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const toggleWeeklyOff = (day) =>
+    runAction(async () => {
+      const next = weeklyOffDays.includes(day) ? weeklyOffDays.filter((d) => d !== day) : [...weeklyOffDays, day];
+      await request("/api/admin/settings/attendance", { method: "PUT", body: JSON.stringify({ weeklyOffDays: next }) });
+      return `✅ Weekly offs: ${next.length ? next.sort().map((d) => WEEKDAYS[d]).join(", ") : "none"}`;
+    });
+
+  const addDay = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const json = await request("/api/admin/calendar", { method: "POST", body: JSON.stringify(form) });
+      setForm(EMPTY_FORM);
+      return `✅ Saved ${json.saved} day(s)`;
+    });
+  };
+
+  const removeDay = (day) =>
+    runAction(async () => {
+      await request(`/api/admin/calendar/${day._id}`, { method: "DELETE" });
+      return `✅ ${day.date} removed`;
+    });
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setImportResult(null);
+    await runAction(async () => {
+      const format = /\.ics$/i.test(file.name) ? "ics" : "csv";
+      const json = await request("/api/admin/calendar/import", {
+        method: "POST",
+        body: JSON.stringify({ format, content: await file.text() }),
+      });
+      setImportResult(json);
+      return `✅ Imported ${json.imported} day(s) from ${file.name}`;
+    });
+  };
+
+  if (!authChecked || (loading && !year)) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Holiday Calendar"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          <div className="flex flex-wrap items-center gap-3 mb-6">
+            <select
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="border rounded-lg p-2 shadow-sm text-gray-800"
+            >
+              {[-1, 0, 1].map((offset) => {
+                const y = String(Number(year) + offset);
+                return (
+                  <option key={y} value={y}>
+                    {y}
+                  </option>
+                );
+              })}
+            </select>
+            <span className="text-sm text-gray-300">Weekly offs:</span>
+            {WEEKDAYS.map((label, day) => (
+              <label key={label} className="flex items-center gap-1 text-sm">
+                <input
+                  type="checkbox"
+                  checked={weeklyOffDays.includes(day)}
+                  disabled={!can("settings:manage")}
+                  onChange={() => toggleWeeklyOff(day)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {can("settings:manage") && (
+            <div className="bg-white text-black rounded-lg shadow p-4 mb-6 space-y-3">
+              <form onSubmit={addDay} className="flex flex-wrap gap-3 items-center">
+                <input
+                  type="date"
+                  value={form.date}
+                  onChange={(e) => setForm({ ...form, date: e.target.value })}
+                  required
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <input
+                  type="date"
+                  value={form.endDate}
+                  min={form.date}
+                  onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                  title="Optional: last day of a break"
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <input
+                  type="text"
+                  placeholder="Name (e.g. Diwali, Winter break)"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm flex-1"
+                />
+                <select
+                  value={form.kind}
+                  onChange={(e) => setForm({ ...form, kind: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm"
+                >
+                  <option value="holiday">Holiday</option>
+                  <option value="working">Working day</option>
+                </select>
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Add
+                </button>
+              </form>
+
+              <div className="border-t pt-3 text-sm">
+                <label className="font-medium">Import CSV / ICS: </label>
+                <input type="file" accept=".csv,.ics,text/csv,text/calendar" onChange={importFile} />
+                <p className="text-xs text-gray-500 mt-1">
+                  CSV columns: date, end (optional), name, kind (holiday / working). ICS events become holidays.
+                </p>
+                {importResult?.errors?.length > 0 && (
+                  <ul className="mt-2 text-xs text-red-600 space-y-1">
+                    {importResult.errors.map((err, i) => (
+                      <li key={i}>
+                        Line {err.line}: {err.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
+
+          {message && <p className="mb-4 text-sm">{message}</p>}
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">Date</th>
+                  <th className="p-3 text-left">Day</th>
+                  <th className="p-3 text-left">Name</th>
+                  <th className="p-3 text-left">Kind</th>
+                  <th className="p-3 text-left">Source</th>
+                  {can("settings:manage") && <th className="p-3 text-left">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {days.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="text-center p-4 text-gray-500 italic">
+                      No holidays or working-day overrides in {year}.
+                    </td>
+                  </tr>
+                ) : (
+                  days.map((day) => (
+                    <tr key={day._id} className="border-b">
+                      <td className="p-3">{day.date}</td>
+                      <td className="p-3">{WEEKDAYS[new Date(`${day.date}T00:00:00`).getDay()]}</td>
+                      <td className="p-3">{day.name || "—"}</td>
+                      <td className={`p-3 font-medium ${day.kind === "working" ? "text-green-600" : "text-red-600"}`}>
+                        {day.kind === "working" ? "Working day" : "Holiday"}
+                      </td>
+                      <td className="p-3 uppercase text-xs">{day.source}</td>
+                      {can("settings:manage") && (
+                        <td className="p-3">
+                          <button
+                            onClick={() => removeDay(day)}
+                            className="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white transition"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
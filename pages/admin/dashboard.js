@@ -123,6 +123,15 @@ export default function AdminDashboard() {
       <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white overflow-x-hidden">
         <AdminHeader showAbsent={"Dashboard"} />
         <main className="mt-16 p-6 bg-gradient-to-br from-gray-900 via-gray-800 to-black min-h-screen text-white">
+          {/* Today is a weekly off / holiday: nobody is marked absent */}
+          {data.todayCalendar && !data.todayCalendar.working && (
+            <div className="m-4 p-3 rounded-lg bg-blue-700 text-sm">
+              📅 Today is {data.todayCalendar.kind === "weekly-off" ? "a weekly off" : "a holiday"}
+              {data.todayCalendar.name && data.todayCalendar.kind !== "weekly-off" && ` — ${data.todayCalendar.name}`}. No
+              absences are counted.
+            </div>
+          )}
+
           {/* Weekly absentees slider */}
           <div className="m-4 max-w-full overflow-x-hidden">
             <div className="flex justify-between items-center mb-2">
@@ -189,6 +198,18 @@ export default function AdminDashboard() {
               {showAbsent ? "🚫 Absent Students" : "✅ Present Students"}
             </h2>
 
+            {/* Late / early-leave counts for the selected period (shift-assigned users only) */}
+            {!showAbsent && data.classificationCounts?.[view] && (
+              <div className="flex justify-center gap-3 mb-4 text-sm">
+                <span className="px-3 py-1 rounded bg-green-700">On time: {data.classificationCounts[view].onTime}</span>
+                <span className="px-3 py-1 rounded bg-yellow-600">Late: {data.classificationCounts[view].late}</span>
+                <span className="px-3 py-1 rounded bg-orange-600">
+                  Early leave: {data.classificationCounts[view].earlyLeave}
+                </span>
+                <span className="px-3 py-1 rounded bg-red-600">Half day: {data.classificationCounts[view].halfDay}</span>
+              </div>
+            )}
+
             {/* ✅ Search Bar */}
             <div className="flex justify-center mb-4">
               <input
@@ -0,0 +1,192 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+
+const STATUS_FILTERS = ["pending", "approved", "rejected", "all"];
+const STATUS_STYLES = {
+  pending: "text-yellow-600",
+  approved: "text-green-600",
+  rejected: "text-red-600",
+};
+
+export default function LeavesPage() {
+  const [leaves, setLeaves] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState("pending");
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchLeaves = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const json = await request(`/api/admin/leaves?status=${status}`);
+      setLeaves(json.leaves || []);
+      setCounts(json.counts || {});
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request, status]);
+
+  useEffect(() => {
+    if (authChecked) fetchLeaves();
+  }, [authChecked, fetchLeaves]);
+
+  const review = async (leave, decision) => {
+    setMessage("");
+    try {
+      await request(`/api/admin/leaves/${leave._id}/review`, {
+        method: "POST",
+        body: JSON.stringify({ decision, note: notes[leave._id] || "" }),
+      });
+      setMessage(`✅ ${decision === "approved" ? "Approved" : "Rejected"} leave for ${leave.name || leave.userId}`);
+      await fetchLeaves();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  if (!authChecked) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Leave Requests"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          <div className="flex items-center gap-3 mb-6">
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="border rounded-lg p-2 shadow-sm text-gray-800"
+            >
+              {STATUS_FILTERS.map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                  {counts[s] !== undefined ? ` (${counts[s]})` : ""}
+                </option>
+              ))}
+            </select>
+            <span className="text-sm text-gray-300">Approved leave shows as &quot;On Leave&quot; instead of Absent.</span>
+          </div>
+
+          {message && <p className="mb-4 text-sm">{message}</p>}
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">Name</th>
+                  <th className="p-3 text-left">Type</th>
+                  <th className="p-3 text-left">Dates</th>
+                  <th className="p-3 text-left">Reason</th>
+                  <th className="p-3 text-left">Status</th>
+                  <th className="p-3 text-left">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="6" className="text-center p-4 text-gray-500 italic">
+                      Loading...
+                    </td>
+                  </tr>
+                ) : leaves.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="text-center p-4 text-gray-500 italic">
+                      No leave requests.
+                    </td>
+                  </tr>
+                ) : (
+                  leaves.map((leave) => (
+                    <tr key={leave._id} className="border-b">
+                      <td className="p-3">
+                        <Link href={`/admin/student/${leave.userId}`} className="text-blue-600 hover:underline">
+                          {leave.name || leave.userId}
+                        </Link>{" "}
+                        <span className="text-xs text-gray-500">({leave.role})</span>
+                      </td>
+                      <td className="p-3">{leave.type}</td>
+                      <td className="p-3">{leave.from === leave.to ? leave.from : `${leave.from} → ${leave.to}`}</td>
+                      <td className="p-3 max-w-xs break-words">{leave.reason || "—"}</td>
+                      <td className={`p-3 font-medium ${STATUS_STYLES[leave.status] || ""}`}>
+                        {leave.status}
+                        {leave.reviewNote && (
+                          <span className="block text-xs text-gray-500 font-normal">{leave.reviewNote}</span>
+                        )}
+                      </td>
+                      <td className="p-3">
+                        {can("leaves:review") && leave.status === "pending" && (
+                          <div className="flex flex-wrap items-center gap-2">
+                            <input
+                              type="text"
+                              placeholder="Note (optional)"
+                              value={notes[leave._id] || ""}
+                              onChange={(e) => setNotes({ ...notes, [leave._id]: e.target.value })}
+                              className="border rounded p-1"
+                            />
+                            <button
+                              onClick={() => review(leave, "approved")}
+                              className="px-3 py-1 rounded bg-green-600 hover:bg-green-700 text-white transition"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => review(leave, "rejected")}
+                              className="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white transition"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,24 @@
 // pages/admin/login.js
 import { useState } from "react";
 import { useRouter } from "next/router";
+import Link from "next/link";
 
 export default function AdminLogin() {
   const router = useRouter();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [challengeToken, setChallengeToken] = useState("");
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [error, setError] = useState("");
 
+  const completeLogin = async (data) => {
+    localStorage.setItem("adminToken", data.token);
+    localStorage.setItem("adminTokenExpiresAt", data.expiresAt);
+    localStorage.setItem("adminRole", data.admin?.role || "");
+    await router.push("/admin/dashboard");
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -20,21 +31,59 @@ export default function AdminLogin() {
       });
 
       const data = await res.json();
-      console.log("Login API response:", data);
+
+      if (res.ok && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
 
       if (!res.ok || !data.token) {
         setError(data.error || "Invalid response from server");
         return;
       }
 
-      localStorage.setItem("adminToken", data.token);
-      await router.push("/admin/dashboard");
+      await completeLogin(data);
     } catch (err) {
       console.error("Login error:", err);
       setError("Server error");
     }
   };
 
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const res = await fetch("/api/admin/login/two-factor", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(
+          useRecoveryCode
+            ? { challengeToken, recoveryCode: code }
+            : { challengeToken, code }
+        ),
+      });
+
+      const data = await res.json();
+
+      if (data.expired) {
+        // Challenge expired — back to the password step
+        setChallengeToken("");
+        setCode("");
+      }
+
+      if (!res.ok || !data.token) {
+        setError(data.error || "Invalid response from server");
+        return;
+      }
+
+      await completeLogin(data);
+    } catch (err) {
+      console.error("Two-factor error:", err);
+      setError("Server error");
+    }
+  };
+
   return (
     <div className="flex min-h-screen items-center justify-center bg-gray-100 px-4">
       <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8">
@@ -42,42 +91,94 @@ export default function AdminLogin() {
           Admin Login
         </h2>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <input
-            type="email"
-            placeholder="Email"
-            value={email}
-            onChange={(e) => {
-              setEmail(e.target.value);
-              setError("");
-            }}
-            required
-            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
-          />
-
-          <input
-            type="password"
-            placeholder="Password"
-            value={password}
-            onChange={(e) => {
-              setPassword(e.target.value);
-              setError("");
-            }}
-            required
-            className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
-          />
-
-          {error && (
-            <p className="text-red-500 text-sm text-center">{error}</p>
-          )}
-
-          <button
-            type="submit"
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg font-medium transition duration-200"
-          >
-            Login
-          </button>
-        </form>
+        {challengeToken ? (
+          <form onSubmit={handleTwoFactor} className="space-y-4">
+            <p className="text-sm text-gray-600 text-center">
+              {useRecoveryCode
+                ? "Enter one of your recovery codes."
+                : "Enter the 6-digit code from your authenticator app."}
+            </p>
+            <input
+              type="text"
+              inputMode={useRecoveryCode ? "text" : "numeric"}
+              autoComplete="one-time-code"
+              placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                setError("");
+              }}
+              required
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300 text-center tracking-widest"
+            />
+
+            {error && (
+              <p className="text-red-500 text-sm text-center">{error}</p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg font-medium transition duration-200"
+            >
+              Verify
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode("");
+                setError("");
+              }}
+              className="w-full text-sm text-blue-600 hover:underline"
+            >
+              {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="email"
+              placeholder="Email"
+              value={email}
+              onChange={(e) => {
+                setEmail(e.target.value);
+                setError("");
+              }}
+              required
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
+            />
+
+            <input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                setError("");
+              }}
+              required
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
+            />
+
+            {error && (
+              <p className="text-red-500 text-sm text-center">{error}</p>
+            )}
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg font-medium transition duration-200"
+            >
+              Login
+            </button>
+
+            <Link
+              href="/admin/forgot-password"
+              className="block text-center text-sm text-blue-600 hover:underline"
+            >
+              Forgot password?
+            </Link>
+          </form>
+        )}
       </div>
     </div>
   );
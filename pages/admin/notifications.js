@@ -0,0 +1,184 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+
+const STATUS_FILTERS = ["", "pending", "sending", "sent", "dead"];
+const STATUS_COLORS = {
+  pending: "text-yellow-600",
+  sending: "text-blue-600",
+  sent: "text-green-600",
+  dead: "text-red-600",
+};
+
+export default function NotificationsPage() {
+  const [notifications, setNotifications] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState("dead");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { role, can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const json = await request(`/api/admin/notifications?status=${statusFilter}&limit=200`);
+      setNotifications(json.notifications || []);
+      setCounts(json.counts || {});
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request, statusFilter]);
+
+  useEffect(() => {
+    if (authChecked) fetchNotifications();
+  }, [authChecked, fetchNotifications]);
+
+  const retry = async (notification) => {
+    setMessage("");
+    try {
+      const json = await request(`/api/admin/notifications/${notification._id}/retry`, { method: "POST" });
+      setMessage(json.result === "sent" ? "✅ Delivered" : `⚠️ Retry queued (${json.result || "pending"})`);
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Retry failed"}`);
+    }
+    await fetchNotifications();
+  };
+
+  if (!authChecked) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Notifications"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          {role && !can("settings:manage") ? (
+            <p className="text-red-400">Only super-admins can manage notifications.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-3 mb-6">
+                {STATUS_FILTERS.map((s) => (
+                  <button
+                    key={s || "all"}
+                    onClick={() => setStatusFilter(s)}
+                    className={`px-3 py-1 rounded-lg shadow transition ${
+                      statusFilter === s ? "bg-blue-600 text-white" : "bg-white text-gray-800 hover:bg-gray-200"
+                    }`}
+                  >
+                    {s || "all"}
+                    {s && ` (${counts[s] || 0})`}
+                  </button>
+                ))}
+              </div>
+
+              {message && <p className="mb-4 text-sm">{message}</p>}
+              {error && <p className="mb-4 text-red-400">{error}</p>}
+
+              <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                    <tr>
+                      <th className="p-3 text-left">Created</th>
+                      <th className="p-3 text-left">Type</th>
+                      <th className="p-3 text-left">Details</th>
+                      <th className="p-3 text-left">Status</th>
+                      <th className="p-3 text-left">Attempts</th>
+                      <th className="p-3 text-left">Last Error</th>
+                      <th className="p-3 text-left">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="7" className="text-center p-4 text-gray-500 italic">
+                          Loading...
+                        </td>
+                      </tr>
+                    ) : notifications.length === 0 ? (
+                      <tr>
+                        <td colSpan="7" className="text-center p-4 text-gray-500 italic">
+                          No notifications.
+                        </td>
+                      </tr>
+                    ) : (
+                      notifications.map((n) => (
+                        <tr key={n._id} className="border-b">
+                          <td className="p-3">{new Date(n.createdAt).toLocaleString()}</td>
+                          <td className="p-3">{n.type}</td>
+                          <td className="p-3">
+                            {n.payload?.name} ({n.payload?.userId}) · {n.payload?.status}
+                            <span className="block text-xs text-gray-500">
+                              {n.payload?.date} {n.payload?.time}
+                            </span>
+                          </td>
+                          <td className={`p-3 font-medium ${STATUS_COLORS[n.status] || ""}`}>
+                            {n.status}
+                            {n.status === "pending" && n.attempts > 0 && (
+                              <span className="block text-xs text-gray-500">
+                                next try {new Date(n.nextAttemptAt).toLocaleTimeString()}
+                              </span>
+                            )}
+                          </td>
+                          <td className="p-3">
+                            {n.attempts}/{n.maxAttempts}
+                          </td>
+                          <td className="p-3 text-xs text-red-600 break-all">{n.lastError || "-"}</td>
+                          <td className="p-3">
+                            {(n.status === "dead" || n.status === "pending") && (
+                              <button
+                                onClick={() => retry(n)}
+                                className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white transition"
+                              >
+                                Retry now
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
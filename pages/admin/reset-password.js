@@ -0,0 +1,89 @@
+// pages/admin/reset-password.js
+import { useState } from "react";
+import { useRouter } from "next/router";
+import Link from "next/link";
+
+export default function ResetPassword() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    try {
+      const res = await fetch("/api/admin/password-reset/confirm", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, newPassword: password }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Invalid response from server");
+        return;
+      }
+      setDone(true);
+    } catch (err) {
+      console.error("Password reset error:", err);
+      setError("Server error");
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-100 px-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8">
+        <h2 className="text-2xl font-bold text-gray-800 text-center mb-6">
+          Choose a New Password
+        </h2>
+
+        {done ? (
+          <p className="text-green-600 text-center">
+            ✅ Password updated. You can now log in with your new password.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="password"
+              placeholder="New password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              required
+              className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 border-gray-300"
+            />
+
+            {error && <p className="text-red-500 text-sm text-center">{error}</p>}
+
+            <button
+              type="submit"
+              disabled={!token}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 rounded-lg font-medium transition duration-200 disabled:bg-blue-300"
+            >
+              Update Password
+            </button>
+          </form>
+        )}
+
+        <Link href="/admin/login" className="block text-center text-sm text-blue-600 hover:underline mt-4">
+          Back to login
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+
+export default function SecurityPage() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [message, setMessage] = useState("");
+  const [passwords, setPasswords] = useState({ currentPassword: "", newPassword: "" });
+  const [passwordMessage, setPasswordMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await request("/api/admin/two-factor"));
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (authChecked) fetchStatus();
+  }, [authChecked, fetchStatus]);
+
+  const runAction = async (action) => {
+    setMessage("");
+    try {
+      await action();
+      setCode("");
+      await fetchStatus();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const startSetup = () =>
+    runAction(async () => {
+      setRecoveryCodes([]);
+      setSetup(await request("/api/admin/two-factor/setup", { method: "POST" }));
+    });
+
+  const enable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const json = await request("/api/admin/two-factor/enable", {
+        method: "POST",
+        body: JSON.stringify({ code }),
+      });
+      setSetup(null);
+      setRecoveryCodes(json.recoveryCodes || []);
+      setMessage("✅ Two-factor authentication enabled");
+    });
+  };
+
+  const disable = () =>
+    runAction(async () => {
+      await request("/api/admin/two-factor/disable", {
+        method: "POST",
+        body: JSON.stringify({ code }),
+      });
+      setRecoveryCodes([]);
+      setMessage("✅ Two-factor authentication disabled");
+    });
+
+  const regenerate = () =>
+    runAction(async () => {
+      const json = await request("/api/admin/two-factor/recovery-codes", {
+        method: "POST",
+        body: JSON.stringify({ code }),
+      });
+      setRecoveryCodes(json.recoveryCodes || []);
+      setMessage("✅ New recovery codes generated");
+    });
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    setPasswordMessage("");
+    try {
+      const json = await request("/api/admin/change-password", {
+        method: "POST",
+        body: JSON.stringify(passwords),
+      });
+      // Other sessions were revoked; keep this one going with the new token
+      localStorage.setItem("adminToken", json.token);
+      localStorage.setItem("adminTokenExpiresAt", json.expiresAt);
+      setPasswords({ currentPassword: "", newPassword: "" });
+      setPasswordMessage("✅ Password changed. Other devices have been signed out.");
+    } catch (err) {
+      setPasswordMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  if (!authChecked || !status) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Security"} />
+        <main className="mt-16 p-6 min-h-screen">
+          <form
+            onSubmit={changePassword}
+            className="bg-white text-gray-900 rounded-lg shadow p-6 max-w-xl mb-6 space-y-3"
+          >
+            <h3 className="text-xl font-semibold mb-2">Change Password</h3>
+            <input
+              type="password"
+              placeholder="Current password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              required
+              className="w-full border rounded-lg p-2 shadow-sm"
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              value={passwords.newPassword}
+              onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+              required
+              className="w-full border rounded-lg p-2 shadow-sm"
+            />
+            <button
+              type="submit"
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+            >
+              Update Password
+            </button>
+            {passwordMessage && <p className="text-sm">{passwordMessage}</p>}
+          </form>
+
+          <div className="bg-white text-gray-900 rounded-lg shadow p-6 max-w-xl">
+            <h3 className="text-xl font-semibold mb-2">Two-Factor Authentication</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Status:{" "}
+              <span className={status.enabled ? "text-green-600 font-medium" : "text-red-600 font-medium"}>
+                {status.enabled ? "Enabled" : "Disabled"}
+              </span>
+              {status.enabled && ` · ${status.recoveryCodesRemaining} recovery code(s) left`}
+            </p>
+
+            {!status.enabled && !setup && (
+              <button
+                onClick={startSetup}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+              >
+                Set Up Authenticator App
+              </button>
+            )}
+
+            {!status.enabled && setup && (
+              <form onSubmit={enable} className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                </p>
+                <img src={setup.qrCode} alt="Authenticator QR code" className="w-48 h-48 border rounded" />
+                <p className="text-xs text-gray-500 break-all">Manual key: {setup.secret}</p>
+                <div className="flex gap-3">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    placeholder="123456"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                    className="border rounded-lg p-2 shadow-sm"
+                  />
+                  <button
+                    type="submit"
+                    className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    Enable
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {status.enabled && (
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  placeholder="Current 6-digit code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <div className="flex gap-3">
+                  <button
+                    onClick={regenerate}
+                    className="bg-gray-700 hover:bg-gray-800 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    New Recovery Codes
+                  </button>
+                  <button
+                    onClick={disable}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    Disable 2FA
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {recoveryCodes.length > 0 && (
+              <div className="mt-4 p-4 bg-yellow-50 border border-yellow-300 rounded">
+                <p className="text-sm font-medium mb-2">
+                  Save these recovery codes now — each works once and they won't be shown again.
+                </p>
+                <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+                  {recoveryCodes.map((c) => (
+                    <li key={c}>{c}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {message && <p className="text-sm mt-4">{message}</p>}
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
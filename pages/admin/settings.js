@@ -0,0 +1,338 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+
+const ROLE_ROUTES = ["student", "faculty"];
+const TIMEZONES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+
+const toRows = (map) => Object.entries(map || {}).map(([batch, chatId]) => ({ batch, chatId }));
+const fromRows = (rows) =>
+  Object.fromEntries(rows.filter((r) => r.batch.trim() && r.chatId.trim()).map((r) => [r.batch.trim(), r.chatId.trim()]));
+
+export default function SettingsPage() {
+  const [telegram, setTelegram] = useState(null);
+  const [botToken, setBotToken] = useState("");
+  const [defaultChatId, setDefaultChatId] = useState("");
+  const [roleChats, setRoleChats] = useState({});
+  const [batchRows, setBatchRows] = useState([]);
+  const [testChatId, setTestChatId] = useState("");
+  const [attendance, setAttendance] = useState(null);
+  const [attendanceMessage, setAttendanceMessage] = useState("");
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const applyConfig = (config) => {
+    setTelegram(config);
+    setBotToken("");
+    setDefaultChatId(config.defaultChatId || "");
+    setRoleChats(config.roleChats || {});
+    setBatchRows(toRows(config.batchChats));
+  };
+
+  useEffect(() => {
+    if (!authChecked) return;
+    request("/api/admin/settings/telegram")
+      .then(applyConfig)
+      .catch((err) => setMessage(`❌ ${err.message}`));
+    request("/api/admin/settings/attendance")
+      .then(setAttendance)
+      .catch((err) => setAttendanceMessage(`❌ ${err.message}`));
+  }, [authChecked, request]);
+
+  const save = async (e) => {
+    e.preventDefault();
+    setMessage("");
+    try {
+      const body = { defaultChatId, roleChats, batchChats: fromRows(batchRows) };
+      // Leave the token untouched unless a new one was typed
+      if (botToken.trim()) body.botToken = botToken.trim();
+      applyConfig(await request("/api/admin/settings/telegram", { method: "PUT", body: JSON.stringify(body) }));
+      setMessage("✅ Telegram settings saved");
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Save failed"}`);
+    }
+  };
+
+  const clearToken = async () => {
+    if (!confirm("Remove the stored bot token? The TELEGRAM_BOT_TOKEN env value will be used if set.")) return;
+    setMessage("");
+    try {
+      applyConfig(
+        await request("/api/admin/settings/telegram", {
+          method: "PUT",
+          body: JSON.stringify({ botToken: "", defaultChatId, roleChats, batchChats: fromRows(batchRows) }),
+        })
+      );
+      setMessage("✅ Stored bot token removed");
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const saveAttendance = async (e) => {
+    e.preventDefault();
+    setAttendanceMessage("");
+    try {
+      setAttendance(
+        await request("/api/admin/settings/attendance", {
+          method: "PUT",
+          body: JSON.stringify({ autoPunchOutTime: attendance.autoPunchOutTime, timezone: attendance.timezone }),
+        })
+      );
+      setAttendanceMessage("✅ Attendance settings saved");
+    } catch (err) {
+      setAttendanceMessage(`❌ ${err.message || "Save failed"}`);
+    }
+  };
+
+  const sendTest = async () => {
+    setMessage("");
+    try {
+      const json = await request("/api/admin/settings/telegram/test", {
+        method: "POST",
+        body: JSON.stringify(testChatId.trim() ? { chatId: testChatId.trim() } : {}),
+      });
+      setMessage(`✅ Test message sent to ${json.chatId}`);
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Test failed"}`);
+    }
+  };
+
+  if (!authChecked || (!telegram && !message)) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Settings"} />
+        <main className="mt-16 p-6 min-h-screen">
+          {!can("settings:manage") ? (
+            <p className="text-gray-300">You do not have access to settings.</p>
+          ) : (
+            <>
+              <form onSubmit={save} className="bg-white text-gray-900 rounded-lg shadow p-6 max-w-2xl space-y-4">
+                <div>
+                  <h3 className="text-xl font-semibold">Telegram Notifications</h3>
+                  {telegram && (
+                    <p className="text-sm mt-1">
+                      Status:{" "}
+                      <span className={telegram.configured ? "text-green-600 font-medium" : "text-red-600 font-medium"}>
+                        {telegram.configured ? "Configured" : "Not configured"}
+                      </span>
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Bot token</label>
+                  <div className="flex gap-3">
+                    <input
+                      type="password"
+                      autoComplete="off"
+                      placeholder={
+                        telegram?.botTokenFromEnv
+                          ? "Using TELEGRAM_BOT_TOKEN from env"
+                          : telegram?.botTokenSet
+                          ? "•••••••• (saved — type to replace)"
+                          : "123456:ABC-DEF..."
+                      }
+                      value={botToken}
+                      onChange={(e) => setBotToken(e.target.value)}
+                      className="flex-1 border rounded-lg p-2 shadow-sm"
+                    />
+                    {telegram?.botTokenSet && !telegram?.botTokenFromEnv && (
+                      <button
+                        type="button"
+                        onClick={clearToken}
+                        className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded-lg shadow transition-all"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Default chat id</label>
+                  <input
+                    type="text"
+                    placeholder={telegram?.effective?.defaultChatId || "Used when no role / batch route matches"}
+                    value={defaultChatId}
+                    onChange={(e) => setDefaultChatId(e.target.value)}
+                    className="w-full border rounded-lg p-2 shadow-sm"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Chat per role</label>
+                  <div className="grid grid-cols-2 gap-3">
+                    {ROLE_ROUTES.map((role) => (
+                      <input
+                        key={role}
+                        type="text"
+                        placeholder={`${role} — ${telegram?.effective?.roleChats?.[role] || "default chat"}`}
+                        value={roleChats[role] || ""}
+                        onChange={(e) => setRoleChats({ ...roleChats, [role]: e.target.value })}
+                        className="border rounded-lg p-2 shadow-sm"
+                      />
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium mb-1">Chat per batch (takes priority over role)</label>
+                  <div className="space-y-2">
+                    {batchRows.map((row, i) => (
+                      <div key={i} className="flex gap-3">
+                        <input
+                          type="text"
+                          placeholder="Batch"
+                          value={row.batch}
+                          onChange={(e) =>
+                            setBatchRows(batchRows.map((r, j) => (j === i ? { ...r, batch: e.target.value } : r)))
+                          }
+                          className="flex-1 border rounded-lg p-2 shadow-sm"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Chat id"
+                          value={row.chatId}
+                          onChange={(e) =>
+                            setBatchRows(batchRows.map((r, j) => (j === i ? { ...r, chatId: e.target.value } : r)))
+                          }
+                          className="flex-1 border rounded-lg p-2 shadow-sm"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setBatchRows(batchRows.filter((_, j) => j !== i))}
+                          className="text-red-600 hover:underline text-sm"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setBatchRows([...batchRows, { batch: "", chatId: "" }])}
+                      className="text-blue-600 hover:underline text-sm"
+                    >
+                      + Add batch route
+                    </button>
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Save
+                </button>
+
+                <div className="border-t pt-4 flex gap-3">
+                  <input
+                    type="text"
+                    placeholder="Chat id (blank = default chat)"
+                    value={testChatId}
+                    onChange={(e) => setTestChatId(e.target.value)}
+                    className="flex-1 border rounded-lg p-2 shadow-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={sendTest}
+                    disabled={!telegram?.configured}
+                    className="bg-gray-700 hover:bg-gray-800 disabled:opacity-50 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    Send Test Message
+                  </button>
+                </div>
+
+                {message && <p className="text-sm">{message}</p>}
+              </form>
+
+              {attendance && (
+                <form
+                  onSubmit={saveAttendance}
+                  className="bg-white text-gray-900 rounded-lg shadow p-6 max-w-2xl space-y-4 mt-6"
+                >
+                  <h3 className="text-xl font-semibold">Attendance</h3>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Organization timezone</label>
+                    <input
+                      type="text"
+                      list="timezones"
+                      placeholder={attendance.effective?.timezone}
+                      value={attendance.timezone}
+                      onChange={(e) => setAttendance({ ...attendance, timezone: e.target.value })}
+                      className="w-full border rounded-lg p-2 shadow-sm"
+                    />
+                    <datalist id="timezones">
+                      {TIMEZONES.map((tz) => (
+                        <option key={tz} value={tz} />
+                      ))}
+                    </datalist>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Decides which calendar day a punch belongs to and when shifts start. Currently{" "}
+                      {attendance.effective?.timezone}.
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-1">Automatic punch-out time</label>
+                    <input
+                      type="time"
+                      value={attendance.autoPunchOutTime}
+                      onChange={(e) => setAttendance({ ...attendance, autoPunchOutTime: e.target.value })}
+                      className="border rounded-lg p-2 shadow-sm"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Sessions still open at this time are closed and marked auto-closed. Currently{" "}
+                      {attendance.effective?.autoPunchOutTime}.
+                    </p>
+                  </div>
+                  <button
+                    type="submit"
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    Save
+                  </button>
+                  {attendanceMessage && <p className="text-sm">{attendanceMessage}</p>}
+                </form>
+              )}
+            </>
+          )}
+        </main>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import AdminSidebar from "../../components/AdminSidebar";
+import AdminHeader from "../../components/AdminHeader";
+import useAdminRole from "../../lib/useAdminRole";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const EMPTY_FORM = {
+  name: "",
+  kind: "shift",
+  startTime: "09:00",
+  endTime: "17:00",
+  graceInMinutes: 10,
+  graceOutMinutes: 10,
+  halfDayMinutes: "",
+  days: [1, 2, 3, 4, 5, 6],
+  roles: "",
+  batches: "",
+};
+
+export default function ShiftsPage() {
+  const [shifts, setShifts] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState("");
+  const [authChecked, setAuthChecked] = useState(false);
+  const router = useRouter();
+  const { can } = useAdminRole();
+
+  useEffect(() => {
+    const token = localStorage.getItem("adminToken");
+    if (!token) router.replace("/admin/login");
+    else setAuthChecked(true);
+  }, [router]);
+
+  const request = useCallback(async (url, options = {}) => {
+    const token = localStorage.getItem("adminToken");
+    const res = await fetch(url, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.message || res.statusText);
+    return json;
+  }, []);
+
+  const fetchShifts = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const json = await request("/api/admin/shifts");
+      setShifts(json.shifts || []);
+    } catch (err) {
+      setError(err.message || "Unknown error");
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    if (authChecked) fetchShifts();
+  }, [authChecked, fetchShifts]);
+
+  const runAction = async (action) => {
+    setMessage("");
+    try {
+      const msg = await action();
+      if (msg) setMessage(msg);
+      await fetchShifts();
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Request failed"}`);
+    }
+  };
+
+  const createShift = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await request("/api/admin/shifts", {
+        method: "POST",
+        body: JSON.stringify({ ...form, halfDayMinutes: form.halfDayMinutes === "" ? null : form.halfDayMinutes }),
+      });
+      setForm(EMPTY_FORM);
+      return `✅ ${form.kind === "class" ? "Class slot" : "Shift"} "${form.name}" created`;
+    });
+  };
+
+  const updateShift = (shift, body) =>
+    runAction(async () => {
+      await request(`/api/admin/shifts/${shift._id}`, { method: "PATCH", body: JSON.stringify(body) });
+      return `✅ "${shift.name}" updated`;
+    });
+
+  const deleteShift = (shift) =>
+    runAction(async () => {
+      if (!confirm(`Delete "${shift.name}"? Days already classified keep their classification.`)) return null;
+      await request(`/api/admin/shifts/${shift._id}`, { method: "DELETE" });
+      return `✅ "${shift.name}" deleted`;
+    });
+
+  const toggleDay = (day) =>
+    setForm({
+      ...form,
+      days: form.days.includes(day) ? form.days.filter((d) => d !== day) : [...form.days, day].sort(),
+    });
+
+  if (!authChecked || (loading && !shifts.length)) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-4 border-gray-800"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen">
+      <AdminSidebar />
+
+      <div className="ml-64 flex-1 flex flex-col bg-gradient-to-br from-gray-900 via-gray-800 to-black text-white">
+        <AdminHeader showAbsent={"Shifts & Timetable"} />
+        <main className="mt-16 p-6 min-h-screen text-white">
+          {can("settings:manage") && (
+            <form onSubmit={createShift} className="bg-white text-black rounded-lg shadow p-4 mb-6 space-y-3">
+              <div className="flex flex-wrap gap-3 items-center">
+                <input
+                  type="text"
+                  placeholder="Name (e.g. Morning Faculty, Lab A)"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  required
+                  className="border rounded-lg p-2 shadow-sm"
+                />
+                <select
+                  value={form.kind}
+                  onChange={(e) => setForm({ ...form, kind: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm"
+                >
+                  <option value="shift">Shift</option>
+                  <option value="class">Class slot</option>
+                </select>
+                <label className="text-sm">
+                  Start{" "}
+                  <input
+                    type="time"
+                    value={form.startTime}
+                    onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+                    required
+                    className="border rounded-lg p-2 shadow-sm"
+                  />
+                </label>
+                <label className="text-sm">
+                  End{" "}
+                  <input
+                    type="time"
+                    value={form.endTime}
+                    onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+                    required
+                    className="border rounded-lg p-2 shadow-sm"
+                  />
+                </label>
+              </div>
+
+              <div className="flex flex-wrap gap-3 items-center text-sm">
+                <label>
+                  Late grace (min){" "}
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.graceInMinutes}
+                    onChange={(e) => setForm({ ...form, graceInMinutes: e.target.value })}
+                    className="border rounded-lg p-2 shadow-sm w-20"
+                  />
+                </label>
+                <label>
+                  Early-leave grace (min){" "}
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.graceOutMinutes}
+                    onChange={(e) => setForm({ ...form, graceOutMinutes: e.target.value })}
+                    className="border rounded-lg p-2 shadow-sm w-20"
+                  />
+                </label>
+                <label>
+                  Half-day below (min){" "}
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="half shift"
+                    value={form.halfDayMinutes}
+                    onChange={(e) => setForm({ ...form, halfDayMinutes: e.target.value })}
+                    className="border rounded-lg p-2 shadow-sm w-28"
+                  />
+                </label>
+              </div>
+
+              <div className="flex flex-wrap gap-2 items-center text-sm">
+                {WEEKDAYS.map((label, day) => (
+                  <label key={label} className="flex items-center gap-1">
+                    <input type="checkbox" checked={form.days.includes(day)} onChange={() => toggleDay(day)} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap gap-3 items-center">
+                <input
+                  type="text"
+                  placeholder="Roles (comma separated: student, faculty)"
+                  value={form.roles}
+                  onChange={(e) => setForm({ ...form, roles: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm flex-1"
+                />
+                <input
+                  type="text"
+                  placeholder="Batches (comma separated)"
+                  value={form.batches}
+                  onChange={(e) => setForm({ ...form, batches: e.target.value })}
+                  className="border rounded-lg p-2 shadow-sm flex-1"
+                />
+                <button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Add
+                </button>
+              </div>
+            </form>
+          )}
+
+          {message && <p className="mb-4 text-sm">{message}</p>}
+          {error && <p className="mb-4 text-red-400">{error}</p>}
+
+          <div className="bg-gray-100 text-gray-800 rounded-xl shadow-xl overflow-hidden border border-gray-300">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gradient-to-r from-gray-800 to-gray-900 text-white">
+                <tr>
+                  <th className="p-3 text-left">Name</th>
+                  <th className="p-3 text-left">Time</th>
+                  <th className="p-3 text-left">Grace (in / out)</th>
+                  <th className="p-3 text-left">Days</th>
+                  <th className="p-3 text-left">Assigned To</th>
+                  <th className="p-3 text-left">Status</th>
+                  {can("settings:manage") && <th className="p-3 text-left">Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {shifts.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center p-4 text-gray-500 italic">
+                      No shifts defined — attendance is recorded without late / early classification.
+                    </td>
+                  </tr>
+                ) : (
+                  shifts.map((shift) => (
+                    <tr key={shift._id} className="border-b">
+                      <td className="p-3">
+                        {shift.name}
+                        <span className="block text-xs text-gray-500">{shift.kind === "class" ? "Class slot" : "Shift"}</span>
+                      </td>
+                      <td className="p-3">
+                        {shift.startTime} – {shift.endTime}
+                      </td>
+                      <td className="p-3">
+                        {shift.graceInMinutes} / {shift.graceOutMinutes} min
+                        {shift.halfDayMinutes != null && (
+                          <span className="block text-xs text-gray-500">half-day below {shift.halfDayMinutes} min</span>
+                        )}
+                      </td>
+                      <td className="p-3">{shift.days?.length ? shift.days.map((d) => WEEKDAYS[d]).join(", ") : "Every day"}</td>
+                      <td className="p-3">
+                        {[...(shift.batches || []).map((b) => `batch ${b}`), ...(shift.roles || [])].join(", ")}
+                      </td>
+                      <td className={`p-3 font-medium ${shift.active ? "text-green-600" : "text-gray-500"}`}>
+                        {shift.active ? "Active" : "Inactive"}
+                      </td>
+                      {can("settings:manage") && (
+                        <td className="p-3 flex gap-2">
+                          <button
+                            onClick={() => updateShift(shift, { active: !shift.active })}
+                            className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-white transition"
+                          >
+                            {shift.active ? "Deactivate" : "Activate"}
+                          </button>
+                          <button
+                            onClick={() => deleteShift(shift)}
+                            className="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white transition"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
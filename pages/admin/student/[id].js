@@ -1,13 +1,23 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useRouter } from "next/router";
+import Link from "next/link";
 // at top of the file
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
 
 import AdminSidebar from "../../../components/AdminSidebar"; // ✅ Import Sidebar
 import AdminHeader from "../../../components/AdminHeader"; // ✅ Import Sidebar
+import useAdminRole from "../../../lib/useAdminRole";
+import { sessionsOf, summarizeSessions, computeDurationSeconds, formatDuration } from "../../../lib/attendanceSessions";
+
+// "09:00 AM → 01:00 PM, 02:00 PM → …" for table cells
+const sessionsLabel = (r) =>
+  sessionsOf(r)
+    .map((s) => `${s.punchIn ?? "—"} → ${s.punchOut ?? "…"}${s.autoClosed ? " (auto)" : ""}`)
+    .join(", ") || "—";
+const totalLabel = (r) => formatDuration(summarizeSessions(sessionsOf(r)).durationSeconds) ?? "—";
 
 export default function StudentPage() {
   const router = useRouter();
@@ -28,6 +38,14 @@ export default function StudentPage() {
   const [tableRecords, setTableRecords] = useState([]);
   const [tableTitle, setTableTitle] = useState("");
   const [showNoDataModal, setShowNoDataModal] = useState(false);
+  const [editName, setEditName] = useState("");
+  const [editRole, setEditRole] = useState("student");
+  const [editBatch, setEditBatch] = useState("");
+  const [actionMessage, setActionMessage] = useState("");
+  // Manual entry / correction form: { mode: "add" | "edit" | "void", recordId?, index?, punchIn, punchOut, reason }
+  const [correction, setCorrection] = useState(null);
+  const [correctionMessage, setCorrectionMessage] = useState("");
+  const { can } = useAdminRole();
 
   const openNoDataModal = () => setShowNoDataModal(true);
   const closeNoDataModal = () => setShowNoDataModal(false);
@@ -54,6 +72,9 @@ export default function StudentPage() {
         if (!res.ok) throw new Error(`Error: ${res.statusText}`);
         const data = await res.json();
         setStudent(data);
+        setEditName(data.name || "");
+        setEditRole(data.role === "faculty" ? "faculty" : "student");
+        setEditBatch(data.batch || "");
       } catch (err) {
         setError(err.message || "Failed to load data");
       } finally {
@@ -65,11 +86,9 @@ export default function StudentPage() {
   }, [id, selectedMonth, router]);
 
   // Fetch punch-in/out for specific date
-  useEffect(() => {
-    if (!id || !selectedDate) return;
-
-    const token = localStorage.getItem("adminToken");
-    const fetchDayData = async () => {
+  const fetchDayData = useCallback(
+    async ({ quiet = false } = {}) => {
+      const token = localStorage.getItem("adminToken");
       try {
         const res = await fetch(
           `/api/admin/student/${id}?date=${selectedDate}`,
@@ -78,17 +97,56 @@ export default function StudentPage() {
           }
         );
         const data = await res.json();
-        if (!data.dayRecords || data.dayRecords.length === 0) {
+        if (!quiet && (!data.dayRecords || data.dayRecords.length === 0)) {
           openNoDataModal();
         }
         setDayRecords(data.dayRecords || []);
       } catch (err) {
         console.error(err);
       }
-    };
+    },
+    [id, selectedDate]
+  );
 
+  useEffect(() => {
+    if (!id || !selectedDate) return;
+    setCorrection(null);
     fetchDayData();
-  }, [selectedDate, id]);
+  }, [selectedDate, id, fetchDayData]);
+
+  // Add / edit / void a session; every change needs a reason
+  const submitCorrection = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem("adminToken");
+    const { mode, recordId, index, punchIn, punchOut, reason } = correction;
+    setCorrectionMessage("");
+    try {
+      const res = await fetch(
+        mode === "add" ? "/api/admin/attendance/records" : `/api/admin/attendance/records/${recordId}/sessions/${index}`,
+        {
+          method: mode === "add" ? "POST" : mode === "edit" ? "PATCH" : "DELETE",
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify(
+            mode === "add"
+              ? { userId: id, date: selectedDate, punchIn, punchOut: punchOut || undefined, reason }
+              : { punchIn: punchIn || undefined, punchOut: punchOut || undefined, reason }
+          ),
+        }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || res.statusText);
+      setCorrection(null);
+      setCorrectionMessage(
+        mode === "add" ? "✅ Manual punch added" : mode === "edit" ? "✅ Session corrected" : "✅ Session voided"
+      );
+      await fetchDayData({ quiet: true });
+    } catch (err) {
+      setCorrectionMessage(`❌ ${err.message || "Correction failed"}`);
+    }
+  };
 
   const fetchPrevAndCurrentWeek = async () => {
     const token = localStorage.getItem("adminToken");
@@ -124,6 +182,53 @@ export default function StudentPage() {
     setTableRecords(data.records || []);
   };
 
+  const saveUser = async () => {
+    const token = localStorage.getItem("adminToken");
+    setActionMessage("");
+    try {
+      const res = await fetch(`/api/admin/student/${id}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ name: editName, role: editRole, batch: editBatch }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || res.statusText);
+      setStudent((prev) => ({
+        ...prev,
+        name: data.user.name,
+        role: data.user.role,
+        batch: data.user.batch || "",
+      }));
+      setActionMessage("✅ User updated");
+    } catch (err) {
+      setActionMessage(`❌ ${err.message || "Update failed"}`);
+    }
+  };
+
+  const reindexFace = async () => {
+    if (!student?.imageUrl) return;
+    const token = localStorage.getItem("adminToken");
+    setActionMessage("");
+    try {
+      const res = await fetch("/api/index-face", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ userId: id, imageUrl: student.imageUrl }),
+      });
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.message || res.statusText);
+      setActionMessage(`✅ Face re-indexed (${data.faceIds?.length ?? 0} face(s))`);
+    } catch (err) {
+      setActionMessage(`❌ ${err.message || "Re-index failed"}`);
+    }
+  };
+
   const downloadPDF = () => {
     if (!tableRecords.length) return;
 
@@ -131,11 +236,14 @@ export default function StudentPage() {
     doc.text(tableTitle || "Attendance", 14, 12);
 
     autoTable(doc, {
-      head: [["Date", "Punch In", "Punch Out"]],
+      head: [["Date", "Punch In", "Punch Out", "Sessions", "Total", "Status"]],
       body: tableRecords.map((r) => [
         r.date,
         r.punchIn ?? "—",
         r.punchOut ?? "—",
+        sessionsLabel(r),
+        totalLabel(r),
+        r.classification ?? "—",
       ]),
       startY: 18,
     });
@@ -152,6 +260,9 @@ export default function StudentPage() {
           <th>Date</th>
           <th>Punch In</th>
           <th>Punch Out</th>
+          <th>Sessions</th>
+          <th>Total</th>
+          <th>Status</th>
         </tr>
         ${tableRecords
           .map(
@@ -159,6 +270,9 @@ export default function StudentPage() {
                     <td>${r.date}</td>
                     <td>${r.punchIn || "—"}</td>
                     <td>${r.punchOut || "—"}</td>
+                    <td>${sessionsLabel(r)}</td>
+                    <td>${totalLabel(r)}</td>
+                    <td>${r.classification || "—"}</td>
                   </tr>`
           )
           .join("")}
@@ -184,7 +298,7 @@ export default function StudentPage() {
       <p className="text-sm text-gray-500 mb-4">
         From {data.start} to {data.end}
       </p>
-      <div className="grid grid-cols-3 gap-4 text-center">
+      <div className="grid grid-cols-4 gap-4 text-center">
         <div className="p-4 bg-green-50 rounded-lg">
           <p className="text-3xl font-bold text-green-700">{data.present}</p>
           <p className="text-sm text-gray-500">Present</p>
@@ -193,6 +307,10 @@ export default function StudentPage() {
           <p className="text-3xl font-bold text-red-700">{data.absent}</p>
           <p className="text-sm text-gray-500">Absent</p>
         </div>
+        <div className="p-4 bg-yellow-50 rounded-lg">
+          <p className="text-3xl font-bold text-yellow-700">{data.onLeave ?? 0}</p>
+          <p className="text-sm text-gray-500">On Leave</p>
+        </div>
         <div className="p-4 bg-blue-50 rounded-lg">
           <p className="text-3xl font-bold text-blue-700">{data.total}</p>
           <p className="text-sm text-gray-500">Total</p>
@@ -217,8 +335,60 @@ export default function StudentPage() {
           <div className="mb-8">
             <h2 className="text-4xl font-bold text-gray-800">{student.name}</h2>
             <p className="text-lg text-gray-500">Role: {student.role}</p>
+            {student.batch && (
+              <p className="text-lg text-gray-500">Batch: {student.batch}</p>
+            )}
           </div>
 
+          {/* Manage User (registrars and super-admins only) */}
+          {(can("users:write") || can("faces:index")) && (
+            <div className="bg-white rounded-lg shadow p-4 mb-8">
+              <h3 className="text-lg font-semibold mb-3">Manage User</h3>
+              {can("users:write") && (
+                <div className="flex flex-wrap items-center gap-3 mb-3">
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    className="border rounded-lg p-2 shadow-sm"
+                  />
+                  <select
+                    value={editRole}
+                    onChange={(e) => setEditRole(e.target.value)}
+                    className="border rounded-lg p-2 shadow-sm"
+                  >
+                    <option value="student">Student</option>
+                    <option value="faculty">Faculty</option>
+                  </select>
+                  <input
+                    type="text"
+                    placeholder="Batch (optional)"
+                    value={editBatch}
+                    onChange={(e) => setEditBatch(e.target.value)}
+                    className="border rounded-lg p-2 shadow-sm"
+                  />
+                  <button
+                    onClick={saveUser}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                  >
+                    Save
+                  </button>
+                </div>
+              )}
+              {can("faces:index") && student.imageUrl && (
+                <button
+                  onClick={reindexFace}
+                  className="bg-gray-700 hover:bg-gray-800 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Re-index Face
+                </button>
+              )}
+              {actionMessage && (
+                <p className="text-sm text-gray-600 mt-3">{actionMessage}</p>
+              )}
+            </div>
+          )}
+
           {/* Summary Cards */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <SummaryCard title="Weekly Attendance" data={student.weekly} />
@@ -248,15 +418,82 @@ export default function StudentPage() {
               <table className="w-full border mb-4">
                 <thead>
                   <tr className="bg-gray-200">
+                    <th className="p-2 border">Session</th>
                     <th className="p-2 border">Punch In</th>
                     <th className="p-2 border">Punch Out</th>
+                    <th className="p-2 border">Duration</th>
+                    <th className="p-2 border">Notes</th>
                   </tr>
                 </thead>
                 <tbody>
+                  {dayRecords.flatMap((r, idx) =>
+                    sessionsOf(r).map((s, i) => (
+                      <tr key={`${idx}-${i}`}>
+                        <td className="p-2 border">{i + 1}</td>
+                        <td className="p-2 border">{s.punchIn || "—"}</td>
+                        <td className="p-2 border">
+                          {s.punchOut || "—"}
+                          {s.autoClosed && (
+                            <span className="ml-2 text-xs text-orange-600">
+                              auto-closed{s.reviewedAt ? " · reviewed" : ""}
+                            </span>
+                          )}
+                        </td>
+                        <td className="p-2 border">
+                          {s.punchOutAt
+                            ? formatDuration(computeDurationSeconds(s.punchInAt, s.punchOutAt))
+                            : "in progress"}
+                        </td>
+                        <td className="p-2 border text-xs">
+                          {s.source === "manual" && <span className="text-purple-700">manual entry</span>}
+                          {s.original && (
+                            <span className="text-purple-700">
+                              corrected (was {s.original.punchIn ?? "—"} → {s.original.punchOut ?? "…"})
+                            </span>
+                          )}
+                          {s.correctionReason && <span className="block text-gray-500">{s.correctionReason}</span>}
+                          {can("attendance:edit") && (
+                            <span className="block mt-1 space-x-2">
+                              <button
+                                onClick={() =>
+                                  setCorrection({ mode: "edit", recordId: r._id, index: i, punchIn: "", punchOut: "", reason: "" })
+                                }
+                                className="text-blue-600 hover:underline"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() =>
+                                  setCorrection({ mode: "void", recordId: r._id, index: i, punchIn: "", punchOut: "", reason: "" })
+                                }
+                                className="text-red-600 hover:underline"
+                              >
+                                Void
+                              </button>
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                  {dayRecords.flatMap((r, idx) =>
+                    (r.voidedSessions || []).map((v, i) => (
+                      <tr key={`void-${idx}-${i}`} className="text-gray-400">
+                        <td className="p-2 border">voided</td>
+                        <td className="p-2 border line-through">{v.session.punchIn || "—"}</td>
+                        <td className="p-2 border line-through">{v.session.punchOut || "—"}</td>
+                        <td className="p-2 border">—</td>
+                        <td className="p-2 border text-xs">{v.reason}</td>
+                      </tr>
+                    ))
+                  )}
                   {dayRecords.map((r, idx) => (
-                    <tr key={idx}>
-                      <td className="p-2 border">{r.punchIn || "—"}</td>
-                      <td className="p-2 border">{r.punchOut || "—"}</td>
+                    <tr key={`total-${idx}`} className="font-semibold">
+                      <td className="p-2 border" colSpan={3}>
+                        Total
+                      </td>
+                      <td className="p-2 border">{totalLabel(r)}</td>
+                      <td className="p-2 border">{r.classification || "—"}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -267,6 +504,79 @@ export default function StudentPage() {
               >
                 Print Records
               </button>
+              <Link
+                href={`/admin/attendance/audit?userId=${encodeURIComponent(id)}`}
+                className="ml-4 text-blue-600 hover:underline text-sm"
+              >
+                View change history
+              </Link>
+            </div>
+          )}
+
+          {/* Manual entry / correction (attendance editors only) */}
+          {selectedDate && can("attendance:edit") && (
+            <div className="bg-white rounded-lg shadow p-4 mb-6">
+              {correction ? (
+                <form onSubmit={submitCorrection} className="flex flex-wrap items-center gap-3">
+                  <span className="font-medium">
+                    {correction.mode === "add"
+                      ? `Add punch on ${selectedDate}`
+                      : correction.mode === "edit"
+                      ? `Correct session ${correction.index + 1}`
+                      : `Void session ${correction.index + 1}`}
+                  </span>
+                  {correction.mode !== "void" && (
+                    <>
+                      <label className="text-sm">
+                        In{" "}
+                        <input
+                          type="time"
+                          value={correction.punchIn}
+                          required={correction.mode === "add"}
+                          onChange={(e) => setCorrection({ ...correction, punchIn: e.target.value })}
+                          className="border rounded-lg p-2 shadow-sm"
+                        />
+                      </label>
+                      <label className="text-sm">
+                        Out{" "}
+                        <input
+                          type="time"
+                          value={correction.punchOut}
+                          onChange={(e) => setCorrection({ ...correction, punchOut: e.target.value })}
+                          className="border rounded-lg p-2 shadow-sm"
+                        />
+                      </label>
+                    </>
+                  )}
+                  <input
+                    type="text"
+                    placeholder="Reason (required)"
+                    value={correction.reason}
+                    required
+                    onChange={(e) => setCorrection({ ...correction, reason: e.target.value })}
+                    className="border rounded-lg p-2 shadow-sm flex-1"
+                  />
+                  <button
+                    type="submit"
+                    className={`${
+                      correction.mode === "void" ? "bg-red-600 hover:bg-red-700" : "bg-blue-600 hover:bg-blue-700"
+                    } text-white px-4 py-2 rounded-lg shadow transition-all`}
+                  >
+                    {correction.mode === "void" ? "Void" : "Save"}
+                  </button>
+                  <button type="button" onClick={() => setCorrection(null)} className="text-gray-600 hover:underline">
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <button
+                  onClick={() => setCorrection({ mode: "add", punchIn: "", punchOut: "", reason: "" })}
+                  className="bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded-lg shadow transition-all"
+                >
+                  Add Manual Punch for {selectedDate}
+                </button>
+              )}
+              {correctionMessage && <p className="text-sm text-gray-600 mt-3">{correctionMessage}</p>}
             </div>
           )}
 
@@ -308,6 +618,9 @@ export default function StudentPage() {
                     <th className="p-2 border">Date</th>
                     <th className="p-2 border">Punch In</th>
                     <th className="p-2 border">Punch Out</th>
+                    <th className="p-2 border">Sessions</th>
+                    <th className="p-2 border">Total</th>
+                    <th className="p-2 border">Status</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -316,6 +629,9 @@ export default function StudentPage() {
                       <td className="p-2 border">{r.date}</td>
                       <td className="p-2 border">{r.punchIn || "—"}</td>
                       <td className="p-2 border">{r.punchOut || "—"}</td>
+                      <td className="p-2 border text-sm">{sessionsLabel(r)}</td>
+                      <td className="p-2 border">{totalLabel(r)}</td>
+                      <td className="p-2 border">{r.classification || "—"}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -0,0 +1,65 @@
+import AdminUser from "../../../models/AdminUser";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import { toAdminProfile } from "../../../lib/adminSession";
+import { ADMIN_ROLES } from "../../../lib/adminRoles";
+import {
+  hashPassword,
+  generateTempPassword,
+  validatePassword,
+} from "../../../lib/adminPasswords";
+
+/**
+ * GET  /api/admin/admins -> list admins
+ * POST /api/admin/admins -> invite admin
+ *   Body: { email, name?, role, password? }
+ *   Without a password a temporary one is generated and returned once.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const admins = await AdminUser.find().sort({ createdAt: 1 });
+      return res.status(200).json({ admins: admins.map(toAdminProfile) });
+    }
+
+    if (req.method !== "POST") {
+      return res.status(405).json({ message: "Method Not Allowed" });
+    }
+
+    const { email, name, role, password } = req.body || {};
+    if (typeof email !== "string" || !email.includes("@")) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(", ")}` });
+    }
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) return res.status(400).json({ message: passwordError });
+    }
+
+    const existing = await AdminUser.findOne({ email: email.trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ message: "An admin with this email already exists" });
+    }
+
+    const tempPassword = password === undefined ? generateTempPassword() : null;
+    const admin = await AdminUser.create({
+      email,
+      name: typeof name === "string" && name.trim() ? name.trim() : undefined,
+      role,
+      passwordHash: await hashPassword(password ?? tempPassword),
+      invitedBy: req.admin._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      admin: toAdminProfile(admin),
+      tempPassword,
+    });
+  } catch (err) {
+    console.error("Admins API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "admins:manage" });
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import AdminUser from "../../../../models/AdminUser";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { toAdminProfile, revokeAllAdminSessions } from "../../../../lib/adminSession";
+import { ADMIN_ROLES } from "../../../../lib/adminRoles";
+
+// Never leave the portal without an active super-admin
+async function isLastActiveSuperAdmin(admin) {
+  if (admin.role !== "super-admin" || admin.active === false) return false;
+  const count = await AdminUser.countDocuments({ role: "super-admin", active: { $ne: false } });
+  return count <= 1;
+}
+
+/**
+ * GET    /api/admin/admins/:id -> one admin
+ * PATCH  /api/admin/admins/:id -> { name?, role?, active?, disableTwoFactor? }
+ * DELETE /api/admin/admins/:id -> remove admin and revoke their sessions
+ */
+async function handler(req, res) {
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid admin id" });
+  }
+
+  try {
+    const admin = await AdminUser.findById(id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+
+    const isSelf = String(admin._id) === String(req.admin._id);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ admin: toAdminProfile(admin) });
+    }
+
+    if (req.method === "PATCH") {
+      const { name, role, active, disableTwoFactor } = req.body || {};
+      let revokeSessions = false;
+
+      if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) {
+          return res.status(400).json({ message: "Name must be a non-empty string" });
+        }
+        admin.name = name.trim();
+      }
+
+      if (role !== undefined && role !== admin.role) {
+        if (!ADMIN_ROLES.includes(role)) {
+          return res.status(400).json({ message: `Role must be one of: ${ADMIN_ROLES.join(", ")}` });
+        }
+        if (isSelf) {
+          return res.status(400).json({ message: "You cannot change your own role" });
+        }
+        if (await isLastActiveSuperAdmin(admin)) {
+          return res.status(400).json({ message: "Cannot demote the last active super-admin" });
+        }
+        admin.role = role;
+      }
+
+      if (active !== undefined && Boolean(active) !== (admin.active !== false)) {
+        if (isSelf) {
+          return res.status(400).json({ message: "You cannot deactivate yourself" });
+        }
+        if (!active && (await isLastActiveSuperAdmin(admin))) {
+          return res.status(400).json({ message: "Cannot deactivate the last active super-admin" });
+        }
+        admin.active = Boolean(active);
+        admin.deactivatedAt = active ? null : new Date();
+        revokeSessions = !active;
+      }
+
+      // Lost authenticator: the admin re-enrols after their next login
+      if (disableTwoFactor && admin.totp?.enabled) {
+        admin.set("totp", { enabled: false, secret: null, pendingSecret: null, recoveryCodeHashes: [] });
+        revokeSessions = true;
+      }
+
+      await admin.save();
+      if (revokeSessions) await revokeAllAdminSessions(admin._id);
+
+      const updated = await AdminUser.findById(admin._id);
+      return res.status(200).json({ success: true, admin: toAdminProfile(updated) });
+    }
+
+    if (req.method === "DELETE") {
+      if (isSelf) {
+        return res.status(400).json({ message: "You cannot delete yourself" });
+      }
+      if (await isLastActiveSuperAdmin(admin)) {
+        return res.status(400).json({ message: "Cannot delete the last active super-admin" });
+      }
+      await revokeAllAdminSessions(admin._id);
+      await AdminUser.deleteOne({ _id: admin._id });
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ message: "Method Not Allowed" });
+  } catch (err) {
+    console.error("Admin API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "admins:manage" });
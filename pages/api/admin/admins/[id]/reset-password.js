@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import AdminUser from "../../../../../models/AdminUser";
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import { revokeAllAdminSessions } from "../../../../../lib/adminSession";
+import { hashPassword, generateTempPassword } from "../../../../../lib/adminPasswords";
+
+/**
+ * POST /api/admin/admins/:id/reset-password
+ * Sets a new temporary password (returned once) and signs the admin out everywhere.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid admin id" });
+  }
+
+  try {
+    const admin = await AdminUser.findById(id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+
+    const tempPassword = generateTempPassword();
+    admin.passwordHash = await hashPassword(tempPassword);
+    await admin.save();
+    await revokeAllAdminSessions(admin._id);
+
+    return res.status(200).json({ success: true, tempPassword });
+  } catch (err) {
+    console.error("Reset admin password error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "admins:manage" });
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import AdminUser from "../../../../../models/AdminUser";
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import { toAdminProfile } from "../../../../../lib/adminSession";
+import { unlockAdminAccount } from "../../../../../lib/loginThrottle";
+
+/**
+ * POST /api/admin/admins/:id/unlock
+ * Clears a lockout caused by repeated failed logins.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid admin id" });
+  }
+
+  try {
+    const admin = await AdminUser.findById(id);
+    if (!admin) return res.status(404).json({ message: "Admin not found" });
+
+    await unlockAdminAccount(admin);
+
+    const updated = await AdminUser.findById(admin._id);
+    return res.status(200).json({ success: true, admin: toAdminProfile(updated) });
+  } catch (err) {
+    console.error("Unlock admin error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "admins:manage" });
@@ -1,81 +1,58 @@
 import connectDB from "../../../lib/mongodb";
 import Attendance from "../../../models/Attendance";
 import Student from "../../../models/User";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import { countClassifications } from "../../../lib/shifts";
+import { getTimezone, todayKey, periodStartKey, toDateKey } from "../../../lib/dates";
+import { loadWorkCalendar } from "../../../lib/workCalendar";
+import { loadApprovedLeaves } from "../../../lib/leaves";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
   try {
-    // ✅ Admin token auth
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Unauthorized: No token provided" });
-    }
-    const token = authHeader.split(" ")[1];
-    if (token !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ message: "Unauthorized: Invalid token" });
-    }
-
     await connectDB();
 
     // Fetch all students and attendance records
     const allStudents = await Student.find().lean();
     const allAttendance = await Attendance.find().lean();
 
-    // Date helpers
-    const toYMD = (d) => {
-      const y = d.getFullYear();
-      const m = String(d.getMonth() + 1).padStart(2, "0");
-      const day = String(d.getDate()).padStart(2, "0");
-      return `${y}-${m}-${day}`;
-    };
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - today.getDay());
-    startOfWeek.setHours(0, 0, 0, 0);
+    // Date helpers — "today" is the org timezone's calendar day, not the server's
+    const timezone = await getTimezone();
+    const today = todayKey(timezone);
+    const startOfWeek = periodStartKey(timezone, "week");
+    const startOfMonth = periodStartKey(timezone, "month");
 
-    const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    startOfMonth.setHours(0, 0, 0, 0);
+    // Weekly offs and holidays are never absences
+    const rangeStart = startOfWeek < startOfMonth ? startOfWeek : startOfMonth;
+    const calendar = await loadWorkCalendar(rangeStart, today);
+    // ...and neither is approved leave
+    const leaves = await loadApprovedLeaves(rangeStart, today);
 
-    const enumerateDaysYMD = (start, end) => {
-      const days = [];
-      const d = new Date(start);
-      while (d <= end) {
-        days.push(toYMD(d));
-        d.setDate(d.getDate() + 1);
-      }
-      return days;
-    };
+    // Legacy rows may still carry a Date in `date`
+    const dateKeyOf = (r) => (typeof r.date === "string" ? r.date : toDateKey(r.date, timezone));
 
     const filterByDate = (records, start, end) =>
       records.filter((r) => {
-        const recDate =
-          r.date instanceof Date ? new Date(r.date) : new Date(r.date);
-        recDate.setHours(0, 0, 0, 0);
+        const recDate = dateKeyOf(r);
         return recDate >= start && recDate <= end;
       });
 
     const getAbsentStudentsForDay = (ymd) => {
-      const dayRecords = allAttendance.filter((r) => {
-        if (typeof r.date === "string") return r.date === ymd;
-        return toYMD(new Date(r.date)) === ymd;
-      });
+      const dayRecords = allAttendance.filter((r) => dateKeyOf(r) === ymd);
 
       const presentIds = new Set(
         dayRecords.filter((r) => r.punchIn).map((r) => r.userId)
       );
 
-      return allStudents.filter((s) => !presentIds.has(s.userId));
+      return allStudents.filter((s) => !presentIds.has(s.userId) && !leaves.leaveOn(s.userId, ymd));
     };
 
     // 🔄 NEW: Get all absentees sorted (no limit)
     const getAbsenteesSortedBetween = (start, end) => {
-      const days = enumerateDaysYMD(start, end);
+      const days = calendar.workingDays(start, end);
       const counts = {};
 
       days.forEach((ymd) => {
@@ -102,7 +79,9 @@ export default async function handler(req, res) {
     const weekRecords = filterByDate(allAttendance, startOfWeek, today);
     const monthRecords = filterByDate(allAttendance, startOfMonth, today);
 
-    const getAbsentStudents = (records) => {
+    // Nobody is absent over a stretch with no working day in it
+    const getAbsentStudents = (records, start, end) => {
+      if (!calendar.workingDays(start, end).length) return [];
       const presentIds = new Set(
         records.filter((r) => r.punchIn).map((r) => r.userId)
       );
@@ -110,18 +89,28 @@ export default async function handler(req, res) {
     };
 
     res.status(200).json({
+      timezone,
+      today,
+      todayCalendar: calendar.dayInfo(today),
       allStudents,
       daily: todayRecords.filter((r) => r.punchIn),
       weekly: weekRecords.filter((r) => r.punchIn),
       monthly: monthRecords.filter((r) => r.punchIn),
-      absentDaily: getAbsentStudents(todayRecords),
-      absentWeekly: getAbsentStudents(weekRecords),
-      absentMonthly: getAbsentStudents(monthRecords),
+      absentDaily: calendar.isWorkingDay(today) ? getAbsentStudentsForDay(today) : [],
+      absentWeekly: getAbsentStudents(weekRecords, startOfWeek, today),
+      absentMonthly: getAbsentStudents(monthRecords, startOfMonth, today),
       absenteesWeek: getAbsenteesSortedBetween(startOfWeek, today),
       absenteesMonth: getAbsenteesSortedBetween(startOfMonth, today),
+      classificationCounts: {
+        daily: countClassifications(todayRecords),
+        weekly: countClassifications(weekRecords),
+        monthly: countClassifications(monthRecords),
+      },
     });
   } catch (error) {
     console.error("API error:", error);
     res.status(500).json({ message: "Server Error", error: error.message });
   }
 }
+
+export default withAdminAuth(handler, { permission: "reports:read" });
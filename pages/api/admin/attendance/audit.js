@@ -0,0 +1,42 @@
+import moment from "moment-timezone";
+import AttendanceAudit, { AUDIT_ACTIONS } from "../../../../models/AttendanceAudit";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { DATE_KEY_FORMAT } from "../../../../lib/dates";
+
+const isDateKey = (value) => moment.utc(value, DATE_KEY_FORMAT, true).isValid();
+
+/**
+ * GET /api/admin/attendance/audit?userId=&from=YYYY-MM-DD&to=YYYY-MM-DD&action=&limit=200
+ * Attendance audit log, newest first. from / to filter on the attendance
+ * day, not on when the change was made.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { userId, from, to, action, limit } = req.query;
+  if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+    return res.status(400).json({ message: "from and to must be YYYY-MM-DD" });
+  }
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ message: `action must be one of: ${AUDIT_ACTIONS.join(", ")}` });
+  }
+
+  try {
+    const filter = {};
+    if (userId) filter.userId = String(userId).trim();
+    if (from || to) filter.date = { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+    if (action) filter.action = action;
+
+    const max = Math.min(1000, Math.max(1, Number(limit) || 200));
+    const entries = await AttendanceAudit.find(filter).sort({ createdAt: -1 }).limit(max).lean();
+
+    return res.status(200).json({ entries });
+  } catch (err) {
+    console.error("Attendance audit API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "reports:read" });
@@ -0,0 +1,53 @@
+import Attendance from "../../../../models/Attendance";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+
+/**
+ * GET /api/admin/attendance/auto-closed?reviewed=false|true|all&limit=200
+ * Sessions closed by the end-of-day job, newest day first. Defaults to the
+ * ones still waiting for review.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const { reviewed = "false", limit } = req.query;
+    const match = { autoClosed: true };
+    if (reviewed === "false") match.reviewedAt = null;
+    if (reviewed === "true") match.reviewedAt = { $ne: null };
+
+    const max = Math.min(1000, Math.max(1, Number(limit) || 200));
+    const records = await Attendance.find({ sessions: { $elemMatch: match } })
+      .select("-imageData")
+      .sort({ date: -1 })
+      .limit(max)
+      .lean();
+
+    const sessions = records.flatMap((r) =>
+      r.sessions
+        .map((s, index) => ({ ...s, index }))
+        .filter((s) => s.autoClosed && (reviewed === "all" || Boolean(s.reviewedAt) === (reviewed === "true")))
+        .map((s) => ({
+          recordId: r._id,
+          index: s.index,
+          userId: r.userId,
+          name: r.name,
+          role: r.role,
+          date: r.date,
+          punchIn: s.punchIn,
+          punchInAt: s.punchInAt,
+          punchOut: s.punchOut,
+          punchOutAt: s.punchOutAt,
+          reviewedAt: s.reviewedAt,
+        }))
+    );
+
+    return res.status(200).json({ sessions });
+  } catch (err) {
+    console.error("Auto-closed API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "reports:read" });
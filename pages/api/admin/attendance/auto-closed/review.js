@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import Attendance from "../../../../../models/Attendance";
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import { reclassifyRecord } from "../../../../../lib/shifts";
+import { atLocalTime, getTimezone } from "../../../../../lib/dates";
+import { adminActor, auditAttendanceChange } from "../../../../../lib/attendanceAudit";
+import { saveCorrection } from "../../../../../lib/attendanceCorrections";
+
+/**
+ * POST /api/admin/attendance/auto-closed/review
+ * Body: { recordId, index, punchOut? }
+ *
+ * Without punchOut the automatic time is confirmed as-is; with punchOut
+ * ("HH:mm" on the record's day, org timezone) the session end is corrected.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { recordId, index, punchOut } = req.body || {};
+  if (!mongoose.isValidObjectId(recordId) || !Number.isInteger(index)) {
+    return res.status(400).json({ message: "recordId and index are required" });
+  }
+
+  try {
+    const record = await Attendance.findById(recordId);
+    const session = record?.sessions?.[index];
+    if (!session || !session.autoClosed) {
+      return res.status(404).json({ message: "Auto-closed session not found" });
+    }
+
+    const before = record.toObject();
+    if (punchOut !== undefined && punchOut !== null && punchOut !== "") {
+      const corrected = atLocalTime(record.date, String(punchOut), await getTimezone());
+      if (!corrected.isValid()) {
+        return res.status(400).json({ message: "punchOut must be HH:mm" });
+      }
+      const next = record.sessions[index + 1];
+      if (!corrected.isAfter(session.punchInAt) || (next && !corrected.isBefore(next.punchInAt))) {
+        return res.status(400).json({ message: "Punch-out must fall between this session's punch-in and the next one" });
+      }
+      session.punchOutAt = corrected.toDate();
+      session.punchOut = corrected.format("hh:mm:ss A");
+      // A new end time can change late / early-leave / half-day
+      await reclassifyRecord(record);
+    }
+
+    session.reviewedBy = req.admin._id;
+    session.reviewedAt = new Date();
+    // Guarded against a scan landing between the read and this write
+    const saved = await saveCorrection(record, before);
+    await auditAttendanceChange({ record: saved, action: "review", actor: adminActor(req.admin), before, req });
+
+    return res.status(200).json({ success: true, session: saved.sessions[index] });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Auto-closed review error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "attendance:edit" });
@@ -1,8 +1,13 @@
 import connectDB from "../../../../lib/mongodb";
 import Attendance from "../../../../models/Attendance";
 import moment from "moment";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { countClassifications } from "../../../../lib/shifts";
+import { getTimezone, periodStartKey } from "../../../../lib/dates";
+import { loadWorkCalendar } from "../../../../lib/workCalendar";
+import { loadApprovedLeaves } from "../../../../lib/leaves";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -31,6 +36,7 @@ export default async function handler(req, res) {
       grouped[key].records.push({
         date: moment(rec.date).format("YYYY-MM-DD"),
         status: rec.punchIn || rec.punchOut ? "Present" : "Absent",
+        classification: rec.classification || null,
       });
     }
 
@@ -38,7 +44,7 @@ export default async function handler(req, res) {
 
     // ---- MONTH RANGE LOGIC ----
     const showPrevMonth = req.query.month === "prev"; // ?month=prev
-    const baseMonth = moment().startOf("month");
+    const baseMonth = moment(periodStartKey(await getTimezone(), "month"), "YYYY-MM-DD");
 
     const monthStart = showPrevMonth
       ? moment(baseMonth).subtract(1, "month")
@@ -46,10 +52,17 @@ export default async function handler(req, res) {
 
     const monthEnd = moment(monthStart).endOf("month");
 
+    // Weekly offs and holidays are never counted as absences
+    const calendar = await loadWorkCalendar(monthStart.format("YYYY-MM-DD"), monthEnd.format("YYYY-MM-DD"));
+    // Approved leave is counted as "On Leave", not absent
+    const leaves = await loadApprovedLeaves(monthStart.format("YYYY-MM-DD"), monthEnd.format("YYYY-MM-DD"));
+
     // ---- ATTENDANCE CALCULATION ----
     const results = students.map((student) => {
       let presents = 0;
       let absents = 0;
+      let onLeave = 0;
+      const presentRecords = [];
 
       for (
         let day = monthStart.clone();
@@ -62,11 +75,15 @@ export default async function handler(req, res) {
 
         if (rec && rec.status === "Present") {
           presents++;
-        } else {
-          absents++;
+          presentRecords.push(rec);
+        } else if (calendar.isWorkingDay(dayKey)) {
+          if (leaves.leaveOn(student.userId, dayKey)) onLeave++;
+          else absents++;
         }
       }
 
+      const { late, earlyLeave, halfDay } = countClassifications(presentRecords);
+
       return {
         _id: student._id,
         name: student.name,
@@ -74,6 +91,10 @@ export default async function handler(req, res) {
         userId: student.userId,
         presents,
         absents,
+        onLeave,
+        late,
+        earlyLeave,
+        halfDay,
       };
     });
 
@@ -84,9 +105,12 @@ export default async function handler(req, res) {
       month: showPrevMonth ? "previous" : "current",
       start: monthStart.format("YYYY-MM-DD"),
       end: monthEnd.format("YYYY-MM-DD"),
+      workingDays: calendar.workingDays(monthStart.format("YYYY-MM-DD"), monthEnd.format("YYYY-MM-DD")).length,
       data: results,
     });
   } catch (err) {
     res.status(500).json({ message: err.message || "Server error" });
   }
 }
+
+export default withAdminAuth(handler, { permission: "reports:read" });
@@ -0,0 +1,56 @@
+import moment from "moment-timezone";
+import Attendance from "../../../../models/Attendance";
+import User from "../../../../models/User";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { addManualSession, saveCorrection } from "../../../../lib/attendanceCorrections";
+import { reclassifyRecord } from "../../../../lib/shifts";
+import { DATE_KEY_FORMAT, getTimezone } from "../../../../lib/dates";
+import { adminActor, auditAttendanceChange } from "../../../../lib/attendanceAudit";
+
+/**
+ * POST /api/admin/attendance/records
+ * Body: { userId, date: "YYYY-MM-DD", punchIn: "HH:mm", punchOut?: "HH:mm", reason }
+ *
+ * Adds a manual session, creating the day's record when there is none.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { userId, date, punchIn, punchOut, reason } = req.body || {};
+  if (!userId || !moment.utc(date, DATE_KEY_FORMAT, true).isValid()) {
+    return res.status(400).json({ message: "userId and date (YYYY-MM-DD) are required" });
+  }
+
+  try {
+    let record = await Attendance.findOne({ userId: String(userId), date });
+    if (!record) {
+      const user = await User.findOne({ userId: String(userId) }).select("name role").lean();
+      if (!user) return res.status(404).json({ message: "User not found" });
+      record = new Attendance({ userId: String(userId), name: user.name, role: user.role, date });
+    }
+    const before = record.isNew ? null : record.toObject();
+
+    addManualSession(record, { punchIn, punchOut }, { reason, adminId: req.admin._id, timezone: await getTimezone() });
+    await reclassifyRecord(record);
+    // Guarded against a scan landing between the read and this write
+    const saved = await saveCorrection(record, before);
+    await auditAttendanceChange({
+      record: saved,
+      action: "manual-add",
+      actor: adminActor(req.admin),
+      before,
+      req,
+      reason: String(reason).trim(),
+    });
+
+    return res.status(201).json({ success: true, recordId: saved._id, sessions: saved.sessions });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Manual attendance error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "attendance:edit" });
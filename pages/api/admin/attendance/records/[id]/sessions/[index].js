@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import Attendance from "../../../../../../../models/Attendance";
+import { withAdminAuth } from "../../../../../../../lib/adminAuth";
+import { editSession, voidSession, saveCorrection } from "../../../../../../../lib/attendanceCorrections";
+import { reclassifyRecord } from "../../../../../../../lib/shifts";
+import { getTimezone } from "../../../../../../../lib/dates";
+import { adminActor, auditAttendanceChange } from "../../../../../../../lib/attendanceAudit";
+
+/**
+ * PATCH  /api/admin/attendance/records/:id/sessions/:index
+ *        Body: { punchIn?: "HH:mm", punchOut?: "HH:mm", reason }
+ * DELETE /api/admin/attendance/records/:id/sessions/:index
+ *        Body: { reason } — voids the session (kept in voidedSessions)
+ */
+async function handler(req, res) {
+  if (req.method !== "PATCH" && req.method !== "DELETE") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  const index = Number(req.query.index);
+  if (!mongoose.isValidObjectId(id) || !Number.isInteger(index) || index < 0) {
+    return res.status(400).json({ message: "Invalid record id or session index" });
+  }
+
+  try {
+    const record = await Attendance.findById(id);
+    if (!record) return res.status(404).json({ message: "Attendance record not found" });
+
+    const before = record.toObject();
+    const { punchIn, punchOut, reason } = req.body || {};
+    const context = { reason, adminId: req.admin._id, timezone: await getTimezone() };
+    if (req.method === "PATCH") editSession(record, index, { punchIn, punchOut }, context);
+    else voidSession(record, index, context);
+
+    await reclassifyRecord(record);
+    // Guarded against a scan landing between the read and this write
+    const saved = await saveCorrection(record, before);
+    await auditAttendanceChange({
+      record: saved,
+      action: req.method === "PATCH" ? "edit" : "void",
+      actor: adminActor(req.admin),
+      before,
+      req,
+      reason: String(reason).trim(),
+    });
+
+    return res.status(200).json({ success: true, sessions: saved.sessions, voidedSessions: saved.voidedSessions });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error("Attendance correction error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "attendance:edit" });
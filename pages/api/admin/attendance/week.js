@@ -1,8 +1,13 @@
 import connectDB from "../../../../lib/mongodb";
 import Attendance from "../../../../models/Attendance";
 import moment from "moment";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { countClassifications } from "../../../../lib/shifts";
+import { getTimezone, periodStartKey } from "../../../../lib/dates";
+import { loadWorkCalendar } from "../../../../lib/workCalendar";
+import { loadApprovedLeaves } from "../../../../lib/leaves";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -33,6 +38,7 @@ export default async function handler(req, res) {
         punchIn: rec.punchIn || "-",
         punchOut: rec.punchOut || "-",
         status: rec.punchIn || rec.punchOut ? "Present" : "Absent",
+        classification: rec.classification || null,
       });
     }
 
@@ -40,37 +46,67 @@ export default async function handler(req, res) {
 
     // ---- WEEK RANGE LOGIC ----
     const showPrevWeek = req.query.week === "prev"; // ?week=prev
-    const baseMonday = moment().startOf("isoWeek");
+    const baseMonday = moment(periodStartKey(await getTimezone(), "isoWeek"), "YYYY-MM-DD");
 
     const monday = showPrevWeek
       ? moment(baseMonday).subtract(1, "week")
       : baseMonday;
 
-    const saturday = moment(monday).add(5, "days").endOf("day");
+    const sunday = moment(monday).add(6, "days").endOf("day");
+
+    // Weekly offs and holidays are listed but never counted as absences
+    const calendar = await loadWorkCalendar(monday.format("YYYY-MM-DD"), sunday.format("YYYY-MM-DD"));
+    // Approved leave turns a missing working day into "On Leave"
+    const leaves = await loadApprovedLeaves(monday.format("YYYY-MM-DD"), sunday.format("YYYY-MM-DD"));
 
     // ---- ATTENDANCE CALCULATION ----
     const results = students.map((student) => {
       let presents = 0;
       let absents = 0;
+      let onLeave = 0;
+      const presentRecords = [];
       const daily = [];
 
       for (
         let day = monday.clone();
-        day.isSameOrBefore(saturday, "day");
+        day.isSameOrBefore(sunday, "day");
         day.add(1, "day")
       ) {
         const dayKey = day.format("YYYY-MM-DD");
 
-        // Find attendance record for that day
+        // Find attendance record (or approved leave) for that day
         const rec = student.records.find((r) => r.date === dayKey);
+        const leave = leaves.leaveOn(student.userId, dayKey);
 
         if (rec && rec.status === "Present") {
           presents++;
+          presentRecords.push(rec);
           daily.push({
             date: dayKey,
             status: "Present",
             punchIn: rec.punchIn,
             punchOut: rec.punchOut,
+            classification: rec.classification,
+          });
+        } else if (!calendar.isWorkingDay(dayKey)) {
+          const { kind, name } = calendar.dayInfo(dayKey);
+          daily.push({
+            date: dayKey,
+            status: kind === "weekly-off" ? "Weekly Off" : "Holiday",
+            holiday: name,
+            punchIn: "-",
+            punchOut: "-",
+            classification: null,
+          });
+        } else if (leave) {
+          onLeave++;
+          daily.push({
+            date: dayKey,
+            status: "On Leave",
+            leaveType: leave.type,
+            punchIn: "-",
+            punchOut: "-",
+            classification: null,
           });
         } else {
           absents++;
@@ -79,10 +115,13 @@ export default async function handler(req, res) {
             status: "Absent",
             punchIn: "-",
             punchOut: "-",
+            classification: null,
           });
         }
       }
 
+      const { late, earlyLeave, halfDay } = countClassifications(presentRecords);
+
       return {
         _id: student._id,
         name: student.name,
@@ -90,6 +129,10 @@ export default async function handler(req, res) {
         userId: student.userId,
         presents,
         absents,
+        onLeave,
+        late,
+        earlyLeave,
+        halfDay,
         records: daily,
       };
     });
@@ -100,10 +143,12 @@ export default async function handler(req, res) {
     res.status(200).json({
       week: showPrevWeek ? "previous" : "current",
       start: monday.format("YYYY-MM-DD"),
-      end: saturday.format("YYYY-MM-DD"),
+      end: sunday.format("YYYY-MM-DD"),
       data: results,
     });
   } catch (err) {
     res.status(500).json({ message: err.message || "Server error" });
   }
 }
+
+export default withAdminAuth(handler, { permission: "reports:read" });
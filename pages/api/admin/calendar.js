@@ -0,0 +1,39 @@
+import CalendarDay from "../../../models/CalendarDay";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import { getTimezone, todayKey } from "../../../lib/dates";
+import { expandCalendarEntry, getWeeklyOffDays, saveCalendarDays } from "../../../lib/workCalendar";
+
+/**
+ * GET  /api/admin/calendar?year=2026  → { weeklyOffDays, days }
+ * POST /api/admin/calendar            → { date, endDate?, name, kind? }
+ *
+ * A POST covering days that already have an entry replaces them.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const year = /^\d{4}$/.test(req.query.year || "") ? req.query.year : todayKey(await getTimezone()).slice(0, 4);
+      const days = await CalendarDay.find({ date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } })
+        .sort({ date: 1 })
+        .lean();
+      return res.status(200).json({ year, weeklyOffDays: await getWeeklyOffDays(), days });
+    }
+
+    if (req.method === "POST") {
+      const { days, error } = expandCalendarEntry(req.body || {});
+      if (error) return res.status(400).json({ message: error });
+
+      const saved = await saveCalendarDays(days, { source: "manual", adminId: req.admin._id });
+      return res.status(201).json({ success: true, saved });
+    }
+
+    return res.status(405).json({ message: "Method Not Allowed" });
+  } catch (err) {
+    console.error("Calendar API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, {
+  permission: (req) => (req.method === "GET" ? "reports:read" : "settings:manage"),
+});
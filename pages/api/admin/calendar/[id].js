@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import CalendarDay from "../../../../models/CalendarDay";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+
+/**
+ * DELETE /api/admin/calendar/:id  → the day falls back to the weekly-off rule
+ */
+async function handler(req, res) {
+  if (req.method !== "DELETE") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid calendar entry id" });
+  }
+
+  try {
+    const deleted = await CalendarDay.findByIdAndDelete(id);
+    if (!deleted) return res.status(404).json({ message: "Calendar entry not found" });
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("Calendar API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
@@ -0,0 +1,42 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { getTimezone } from "../../../../lib/dates";
+import { parseCalendarCsv, parseCalendarIcs, saveCalendarDays } from "../../../../lib/workCalendar";
+
+/**
+ * POST /api/admin/calendar/import
+ * Body: { format: "csv" | "ics", content, dryRun? }
+ *
+ * Valid rows are stored even when others fail; the response lists the
+ * failures by line. With dryRun nothing is written.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { format, content, dryRun } = req.body || {};
+  if (!["csv", "ics"].includes(format) || typeof content !== "string" || !content.trim()) {
+    return res.status(400).json({ message: "format (csv or ics) and file content are required" });
+  }
+
+  try {
+    const { days, errors } =
+      format === "ics" ? parseCalendarIcs(content, await getTimezone()) : parseCalendarCsv(content);
+
+    const imported = dryRun ? 0 : await saveCalendarDays(days, { source: format, adminId: req.admin._id });
+    return res.status(200).json({ success: true, parsed: days.length, imported, errors, ...(dryRun ? { days } : {}) });
+  } catch (err) {
+    console.error("Calendar import error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "2mb",
+    },
+  },
+};
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
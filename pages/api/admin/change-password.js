@@ -0,0 +1,47 @@
+import bcrypt from "bcryptjs";
+import AdminUser from "../../../models/AdminUser";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import {
+  createAdminSession,
+  revokeAllAdminSessions,
+  toAdminProfile,
+} from "../../../lib/adminSession";
+import { hashPassword, validatePassword } from "../../../lib/adminPasswords";
+
+/**
+ * POST /api/admin/change-password
+ * Body: { currentPassword, newPassword }
+ * Signs the admin out everywhere else and returns a fresh token for this client.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { currentPassword, newPassword } = req.body || {};
+
+  try {
+    const admin = req.admin;
+    const isMatch = await bcrypt.compare(String(currentPassword || ""), admin.passwordHash);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) return res.status(400).json({ message: passwordError });
+
+    admin.passwordHash = await hashPassword(newPassword);
+    await admin.save();
+    await revokeAllAdminSessions(admin._id);
+
+    const updated = await AdminUser.findById(admin._id);
+    const { token, expiresAt } = await createAdminSession(updated, req);
+
+    return res.status(200).json({ success: true, token, expiresAt, admin: toAdminProfile(updated) });
+  } catch (err) {
+    console.error("Change password error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler);
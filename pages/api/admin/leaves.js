@@ -0,0 +1,35 @@
+import Leave, { LEAVE_STATUSES } from "../../../models/Leave";
+import { withAdminAuth } from "../../../lib/adminAuth";
+
+/**
+ * GET /api/admin/leaves?status=pending|approved|rejected|all
+ * → { leaves, counts } (pending oldest first, otherwise latest first)
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const { status: filter } = req.query;
+    const status = filter === "all" ? null : LEAVE_STATUSES.includes(filter) ? filter : "pending";
+
+    const [leaves, grouped] = await Promise.all([
+      Leave.find(status ? { status } : {})
+        .sort(status === "pending" ? { createdAt: 1 } : { createdAt: -1 })
+        .limit(200)
+        .lean(),
+      Leave.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = Object.fromEntries(LEAVE_STATUSES.map((s) => [s, 0]));
+    for (const g of grouped) counts[g._id] = g.count;
+
+    return res.status(200).json({ leaves, counts });
+  } catch (err) {
+    console.error("Leaves API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "reports:read" });
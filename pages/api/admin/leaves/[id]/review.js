@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import Leave from "../../../../../models/Leave";
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import { findOverlappingLeave } from "../../../../../lib/leaves";
+
+/**
+ * POST /api/admin/leaves/:id/review
+ * Body: { decision: "approved" | "rejected", note? }
+ *
+ * Only pending requests can be decided; the update is conditional so two
+ * reviewers cannot both decide the same request. A request overlapping leave
+ * already approved for the same user cannot be approved.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid leave id" });
+  }
+
+  const { decision, note } = req.body || {};
+  if (!["approved", "rejected"].includes(decision)) {
+    return res.status(400).json({ message: "decision must be approved or rejected" });
+  }
+
+  try {
+    if (decision === "approved") {
+      const pending = await Leave.findOne({ _id: id, status: "pending" }).lean();
+      const overlap = pending && (await findOverlappingLeave(pending.userId, pending.from, pending.to));
+      if (overlap) {
+        return res.status(409).json({
+          message: `${pending.name || pending.userId} already has approved leave from ${overlap.from} to ${overlap.to}`,
+        });
+      }
+    }
+
+    const leave = await Leave.findOneAndUpdate(
+      { _id: id, status: "pending" },
+      {
+        $set: {
+          status: decision,
+          reviewNote: typeof note === "string" ? note.trim().slice(0, 500) : "",
+          reviewedBy: req.admin._id,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!leave) {
+      const exists = await Leave.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ message: "This request has already been reviewed" })
+        : res.status(404).json({ message: "Leave request not found" });
+    }
+
+    return res.status(200).json({ success: true, leave });
+  } catch (err) {
+    console.error("Leave review error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "leaves:review" });
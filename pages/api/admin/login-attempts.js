@@ -0,0 +1,30 @@
+import AdminLoginAttempt from "../../../models/AdminLoginAttempt";
+import { withAdminAuth } from "../../../lib/adminAuth";
+
+/**
+ * GET /api/admin/login-attempts?email=&ip=&success=true|false&limit=100
+ * Most recent first.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const { email, ip, success, limit } = req.query;
+    const filter = {};
+    if (email) filter.email = String(email).trim().toLowerCase();
+    if (ip) filter.ip = String(ip);
+    if (success === "true" || success === "false") filter.success = success === "true";
+
+    const max = Math.min(500, Math.max(1, Number(limit) || 100));
+    const attempts = await AdminLoginAttempt.find(filter).sort({ createdAt: -1 }).limit(max).lean();
+
+    return res.status(200).json({ attempts });
+  } catch (err) {
+    console.error("Login attempts API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "admins:manage" });
@@ -1,6 +1,15 @@
 import bcrypt from "bcryptjs";
 import connectDB from "../../../lib/mongodb";
 import AdminUser from "../../../models/AdminUser";
+import AdminLoginAttempt from "../../../models/AdminLoginAttempt";
+import { createAdminSession, toAdminProfile } from "../../../lib/adminSession";
+import {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../../../lib/loginThrottle";
+import { createTwoFactorChallenge } from "../../../lib/adminTwoFactor";
+import getClientIp from "../../../lib/clientIp";
 
 export default async function handler(req, res) {
   if (req.method !== "POST")
@@ -9,24 +18,82 @@ export default async function handler(req, res) {
   await connectDB();
 
   const { email, password } = req.body;
+  const normalizedEmail = String(email || "").trim().toLowerCase();
+  const ip = getClientIp(req);
+
+  const logAttempt = (success, reason, adminId = null) =>
+    AdminLoginAttempt.create({
+      email: normalizedEmail,
+      adminId,
+      ip,
+      userAgent: req.headers["user-agent"] || null,
+      success,
+      reason,
+    }).catch((err) => console.error("Login attempt log error:", err));
 
   try {
-    const user = await AdminUser.findOne({ email });
-    if (!user)
-      return res.status(401).json({ error: "Invalid email or password" });
+    // 🛑 Throttle before touching the password hash
+    const block = await getLoginBlock({ ip, email: normalizedEmail });
+    if (block) {
+      await logAttempt(false, block.scope === "account" ? "locked" : "throttled");
+      res.setHeader("Retry-After", String(block.retryAfter));
+      return res.status(block.scope === "account" ? 423 : 429).json({
+        error:
+          block.scope === "account"
+            ? "Account temporarily locked after repeated failed logins"
+            : "Too many login attempts. Please try again later",
+        retryAfter: block.retryAfter,
+      });
+    }
+
+    const user = await AdminUser.findOne({ email: normalizedEmail });
+    const isMatch = user ? await bcrypt.compare(String(password || ""), user.passwordHash) : false;
 
-    const isMatch = await bcrypt.compare(password, user.passwordHash);
-    if (!isMatch)
+    if (!isMatch) {
+      const lockedUntil = await recordLoginFailure({ ip, email: normalizedEmail });
+      await logAttempt(false, "bad-credentials", user?._id);
+      if (lockedUntil)
+        return res.status(423).json({
+          error: "Account temporarily locked after repeated failed logins",
+        });
       return res.status(401).json({ error: "Invalid email or password" });
+    }
 
-    // ✅ Use exact token from .env
-    const token = process.env.ADMIN_TOKEN;
-    if (!token)
+    // Locked by an earlier run of failures (and not yet unlocked by an admin)
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      await logAttempt(false, "locked", user._id);
+      return res
+        .status(423)
+        .json({ error: "Account temporarily locked after repeated failed logins" });
+    }
+
+    if (user.active === false) {
+      await logAttempt(false, "deactivated", user._id);
+      return res.status(403).json({ error: "This admin account is deactivated" });
+    }
+
+    if (!process.env.ADMIN_JWT_SECRET)
       return res
         .status(500)
-        .json({ error: "Server error: ADMIN_TOKEN not set in .env" });
+        .json({ error: "Server error: ADMIN_JWT_SECRET not set in .env" });
+
+    // 🔑 Second step required: no session until /api/admin/login/two-factor
+    if (user.totp?.enabled)
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallenge(user),
+      });
+
+    await clearLoginFailures(normalizedEmail);
+
+    // ✅ Per-admin signed session token
+    const { token, expiresAt } = await createAdminSession(user, req);
+    await logAttempt(true, "ok", user._id);
 
-    return res.status(200).json({ success: true, token });
+    return res
+      .status(200)
+      .json({ success: true, token, expiresAt, admin: toAdminProfile(user) });
   } catch (err) {
     console.error("Login API error:", err);
     return res.status(500).json({ error: "Server error" });
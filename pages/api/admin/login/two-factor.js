@@ -0,0 +1,74 @@
+import connectDB from "../../../../lib/mongodb";
+import AdminLoginAttempt from "../../../../models/AdminLoginAttempt";
+import { createAdminSession, toAdminProfile } from "../../../../lib/adminSession";
+import {
+  verifyTwoFactorChallenge,
+  verifySecondFactor,
+} from "../../../../lib/adminTwoFactor";
+import {
+  getLoginBlock,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../../../../lib/loginThrottle";
+import getClientIp from "../../../../lib/clientIp";
+
+/**
+ * POST /api/admin/login/two-factor
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  await connectDB();
+
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  const ip = getClientIp(req);
+
+  try {
+    const admin = await verifyTwoFactorChallenge(challengeToken);
+    if (!admin)
+      return res
+        .status(401)
+        .json({ error: "Login step expired. Please sign in again", expired: true });
+
+    const logAttempt = (success, reason) =>
+      AdminLoginAttempt.create({
+        email: admin.email,
+        adminId: admin._id,
+        ip,
+        userAgent: req.headers["user-agent"] || null,
+        success,
+        reason,
+      }).catch((err) => console.error("Login attempt log error:", err));
+
+    // Same counters as the password step, so codes can't be brute-forced
+    const block = await getLoginBlock({ ip, email: admin.email });
+    if (block) {
+      await logAttempt(false, block.scope === "account" ? "locked" : "throttled");
+      res.setHeader("Retry-After", String(block.retryAfter));
+      return res
+        .status(block.scope === "account" ? 423 : 429)
+        .json({ error: "Too many login attempts. Please try again later" });
+    }
+
+    const method = await verifySecondFactor(admin, { code, recoveryCode });
+    if (!method) {
+      await recordLoginFailure({ ip, email: admin.email });
+      await logAttempt(false, "bad-2fa-code");
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    await clearLoginFailures(admin.email);
+
+    const { token, expiresAt } = await createAdminSession(admin, req);
+    await logAttempt(true, method === "recovery" ? "ok-recovery-code" : "ok");
+
+    return res
+      .status(200)
+      .json({ success: true, token, expiresAt, admin: toAdminProfile(admin) });
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
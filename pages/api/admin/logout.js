@@ -0,0 +1,35 @@
+import connectDB from "../../../lib/mongodb";
+import {
+  getBearerToken,
+  verifyAdminToken,
+  revokeAdminSession,
+  revokeAllAdminSessions,
+} from "../../../lib/adminSession";
+
+/**
+ * POST /api/admin/logout
+ * Body (optional): { all: true } -> sign this admin out on every device
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    await connectDB();
+
+    const current = await verifyAdminToken(getBearerToken(req));
+    // Nothing to revoke — the client is already logged out
+    if (!current) return res.status(200).json({ success: true });
+
+    if (req.body?.all) {
+      await revokeAllAdminSessions(current.admin._id);
+    } else {
+      await revokeAdminSession(current.session._id);
+    }
+
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("Logout API error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,35 @@
+import Notification, { NOTIFICATION_STATUSES } from "../../../models/Notification";
+import { withAdminAuth } from "../../../lib/adminAuth";
+
+/**
+ * GET /api/admin/notifications?status=dead&limit=100
+ * Outbox entries, most recent first, plus a count per status.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const { status, limit } = req.query;
+    const filter = {};
+    if (NOTIFICATION_STATUSES.includes(status)) filter.status = status;
+
+    const max = Math.min(500, Math.max(1, Number(limit) || 100));
+    const [notifications, counts] = await Promise.all([
+      // The captured photo is only needed for delivery
+      Notification.find(filter).select("-payload.imageData").sort({ createdAt: -1 }).limit(max).lean(),
+      Notification.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    return res.status(200).json({
+      notifications,
+      counts: Object.fromEntries(counts.map((c) => [c._id, c.count])),
+    });
+  } catch (err) {
+    console.error("Notifications API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
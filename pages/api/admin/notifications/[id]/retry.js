@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import { retryNotification, deliverNotification } from "../../../../../lib/notificationOutbox";
+// Registers the outbox handlers
+import "../../../../../lib/telegramNotifier";
+
+/**
+ * POST /api/admin/notifications/:id/retry
+ * Re-queues a dead or pending notification and tries it straight away.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid notification id" });
+  }
+
+  try {
+    const notification = await retryNotification(id);
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found or already delivered" });
+    }
+
+    const result = await deliverNotification(notification._id);
+    return res.status(200).json({ success: true, result });
+  } catch (err) {
+    console.error("Retry notification error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
@@ -0,0 +1,33 @@
+import connectDB from "../../../../lib/mongodb";
+import { completePasswordReset } from "../../../../lib/passwordReset";
+import { validatePassword } from "../../../../lib/adminPasswords";
+
+/**
+ * POST /api/admin/password-reset/confirm
+ * Body: { token, newPassword }
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const { token, newPassword } = req.body || {};
+  if (!token) return res.status(400).json({ error: "Missing reset token" });
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  try {
+    await connectDB();
+
+    const ok = await completePasswordReset(token, newPassword);
+    if (!ok)
+      return res
+        .status(400)
+        .json({ error: "Reset link is invalid or has expired" });
+
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("Password reset confirm error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
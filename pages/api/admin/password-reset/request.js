@@ -0,0 +1,34 @@
+import connectDB from "../../../../lib/mongodb";
+import AdminUser from "../../../../models/AdminUser";
+import { requestPasswordReset, assertPasswordResetConfigured } from "../../../../lib/passwordReset";
+
+/**
+ * POST /api/admin/password-reset/request
+ * Body: { email }
+ * Always answers the same way so it can't be used to probe for admin emails.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const email = String(req.body?.email || "").trim().toLowerCase();
+
+  try {
+    // Misconfiguration fails every request alike, before any lookup
+    assertPasswordResetConfigured();
+    await connectDB();
+
+    const admin = email ? await AdminUser.findOne({ email }) : null;
+    if (admin && admin.active !== false) {
+      await requestPasswordReset(admin, req);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "If that email belongs to an admin, a reset link has been sent.",
+    });
+  } catch (err) {
+    console.error("Password reset request error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
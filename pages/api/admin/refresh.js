@@ -0,0 +1,30 @@
+import connectDB from "../../../lib/mongodb";
+import {
+  getBearerToken,
+  verifyAdminToken,
+  refreshAdminSession,
+  toAdminProfile,
+} from "../../../lib/adminSession";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  try {
+    await connectDB();
+
+    const current = await verifyAdminToken(getBearerToken(req));
+    if (!current)
+      return res.status(401).json({ error: "Session expired or revoked" });
+
+    // Old token stops working as soon as the new one is issued
+    const { token, expiresAt } = await refreshAdminSession(current, req);
+
+    return res
+      .status(200)
+      .json({ success: true, token, expiresAt, admin: toAdminProfile(current.admin) });
+  } catch (err) {
+    console.error("Refresh API error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,70 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { getSetting, setSetting } from "../../../../lib/settings";
+import { getAutoPunchOutTime } from "../../../../lib/autoPunchOut";
+import { getTimezone, isValidTimezone } from "../../../../lib/dates";
+import { getWeeklyOffDays } from "../../../../lib/workCalendar";
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function describe() {
+  const stored = (await getSetting("attendance", {})) || {};
+  return {
+    autoPunchOutTime: stored.autoPunchOutTime || "",
+    timezone: stored.timezone || "",
+    weeklyOffDays: await getWeeklyOffDays(),
+    effective: { autoPunchOutTime: await getAutoPunchOutTime(), timezone: await getTimezone() },
+  };
+}
+
+/**
+ * GET /api/admin/settings/attendance  → { autoPunchOutTime, timezone, weeklyOffDays, effective }
+ * PUT /api/admin/settings/attendance  → { autoPunchOutTime?: "HH:mm" | "", timezone?: IANA name | "",
+ *                                        weeklyOffDays?: [0-6] }
+ *
+ * Omitted fields are left as they are. Empty values fall back to
+ * AUTO_PUNCH_OUT_TIME / 23:59 and APP_TIMEZONE / Asia/Kolkata.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json(await describe());
+    }
+
+    if (req.method === "PUT") {
+      const { autoPunchOutTime, timezone, weeklyOffDays } = req.body || {};
+      const update = {};
+
+      if (autoPunchOutTime !== undefined) {
+        update.autoPunchOutTime = String(autoPunchOutTime ?? "").trim();
+        if (update.autoPunchOutTime && !TIME_RE.test(update.autoPunchOutTime)) {
+          return res.status(400).json({ message: "autoPunchOutTime must be HH:mm (24-hour)" });
+        }
+      }
+      if (timezone !== undefined) {
+        update.timezone = String(timezone ?? "").trim();
+        if (update.timezone && !isValidTimezone(update.timezone)) {
+          return res.status(400).json({ message: `Unknown timezone: ${update.timezone}` });
+        }
+      }
+
+      if (weeklyOffDays !== undefined) {
+        if (!Array.isArray(weeklyOffDays) || !weeklyOffDays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+          return res.status(400).json({ message: "weeklyOffDays must be a list of weekdays (0 = Sunday … 6 = Saturday)" });
+        }
+        update.weeklyOffDays = [...new Set(weeklyOffDays)].sort();
+      }
+
+      const current = (await getSetting("attendance", {})) || {};
+      await setSetting("attendance", { ...current, ...update }, req.admin._id);
+
+      return res.status(200).json(await describe());
+    }
+
+    return res.status(405).json({ message: "Method Not Allowed" });
+  } catch (err) {
+    console.error("Attendance settings error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
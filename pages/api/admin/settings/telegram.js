@@ -0,0 +1,69 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { getSetting, setSetting, sealSecret, openSecret } from "../../../../lib/settings";
+import { getTelegramConfig, isTelegramConfigured } from "../../../../lib/telegram";
+
+// Never send the bot token back to the browser
+function toPublicConfig(stored, effective) {
+  return {
+    botTokenSet: Boolean(effective.botToken),
+    botTokenFromEnv: !stored.botToken && Boolean(process.env.TELEGRAM_BOT_TOKEN),
+    defaultChatId: stored.defaultChatId || "",
+    roleChats: stored.roleChats || {},
+    batchChats: stored.batchChats || {},
+    effective: {
+      defaultChatId: effective.defaultChatId,
+      roleChats: effective.roleChats,
+      batchChats: effective.batchChats,
+    },
+    configured: isTelegramConfigured(effective),
+  };
+}
+
+function cleanRoutes(routes) {
+  const out = {};
+  if (!routes || typeof routes !== "object") return out;
+  for (const [key, chatId] of Object.entries(routes)) {
+    const k = String(key).trim();
+    const v = String(chatId ?? "").trim();
+    if (k && v) out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * GET /api/admin/settings/telegram  → stored + effective Telegram config
+ * PUT /api/admin/settings/telegram  → { botToken?, defaultChatId, roleChats, batchChats }
+ *
+ * Omit botToken to keep the current one; send "" to clear it (falls back to env).
+ * It is stored encrypted; one saved in plain text is encrypted on the next PUT.
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const stored = (await getSetting("telegram", {})) || {};
+      return res.status(200).json(toPublicConfig(stored, await getTelegramConfig()));
+    }
+
+    if (req.method === "PUT") {
+      const { botToken, defaultChatId, roleChats, batchChats } = req.body || {};
+      const current = (await getSetting("telegram", {})) || {};
+
+      const next = {
+        botToken: sealSecret(botToken === undefined ? openSecret(current.botToken) : String(botToken).trim()),
+        defaultChatId: String(defaultChatId ?? "").trim(),
+        roleChats: cleanRoutes(roleChats),
+        batchChats: cleanRoutes(batchChats),
+      };
+
+      await setSetting("telegram", next, req.admin._id);
+      return res.status(200).json(toPublicConfig(next, await getTelegramConfig()));
+    }
+
+    return res.status(405).json({ message: "Method Not Allowed" });
+  } catch (err) {
+    console.error("Telegram settings error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
@@ -0,0 +1,46 @@
+import { withAdminAuth } from "../../../../../lib/adminAuth";
+import {
+  getTelegramConfig,
+  isTelegramConfigured,
+  resolveChatId,
+  sendTelegramMessage,
+} from "../../../../../lib/telegram";
+
+/**
+ * POST /api/admin/settings/telegram/test
+ * Body: { chatId? } or { role?, batch? } — defaults to the default chat.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const config = await getTelegramConfig();
+    if (!isTelegramConfigured(config)) {
+      return res.status(503).json({ message: "Telegram notifications are not configured" });
+    }
+
+    const { chatId, role, batch } = req.body || {};
+    const target = chatId ? String(chatId).trim() : resolveChatId(config, { role, batch });
+    if (!target) {
+      return res.status(400).json({ message: "No chat id to send the test message to" });
+    }
+
+    await sendTelegramMessage(config, {
+      chatId: target,
+      text: `✅ Test message from the attendance admin panel (sent by ${req.admin.email}).`,
+    });
+
+    return res.status(200).json({ success: true, chatId: target });
+  } catch (err) {
+    console.error("Telegram test error:", err);
+    // Surface Telegram's own rejection (bad token, unknown chat) to the admin
+    if (err.status) {
+      return res.status(502).json({ message: err.message, error: err.details });
+    }
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
@@ -0,0 +1,33 @@
+import Shift from "../../../models/Shift";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import { parseShiftInput } from "../../../lib/shifts";
+
+/**
+ * GET  /api/admin/shifts  → all shifts / class slots
+ * POST /api/admin/shifts  → create one
+ */
+async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const shifts = await Shift.find().sort({ kind: 1, startTime: 1 }).lean();
+      return res.status(200).json({ shifts });
+    }
+
+    if (req.method === "POST") {
+      const { data, error } = parseShiftInput(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const shift = await Shift.create(data);
+      return res.status(201).json({ success: true, shift });
+    }
+
+    return res.status(405).json({ message: "Method Not Allowed" });
+  } catch (err) {
+    console.error("Shifts API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, {
+  permission: (req) => (req.method === "GET" ? "reports:read" : "settings:manage"),
+});
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import Shift from "../../../../models/Shift";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { parseShiftInput, shiftTimesError } from "../../../../lib/shifts";
+
+/**
+ * PATCH  /api/admin/shifts/:id  → update any shift field
+ * DELETE /api/admin/shifts/:id  → remove it (past classifications are kept)
+ */
+async function handler(req, res) {
+  if (req.method !== "PATCH" && req.method !== "DELETE") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.query;
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json({ message: "Invalid shift id" });
+  }
+
+  try {
+    if (req.method === "DELETE") {
+      const deleted = await Shift.findByIdAndDelete(id);
+      if (!deleted) return res.status(404).json({ message: "Shift not found" });
+      return res.status(200).json({ success: true });
+    }
+
+    const { data, error } = parseShiftInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+
+    // Changing one end of the shift: check it against the stored other end
+    if (Boolean(data.startTime) !== Boolean(data.endTime)) {
+      const existing = await Shift.findById(id).select("startTime endTime").lean();
+      if (!existing) return res.status(404).json({ message: "Shift not found" });
+      const timesError = shiftTimesError(data.startTime ?? existing.startTime, data.endTime ?? existing.endTime);
+      if (timesError) return res.status(400).json({ message: timesError });
+    }
+
+    const shift = await Shift.findByIdAndUpdate(id, { $set: data }, { new: true, runValidators: true });
+    if (!shift) return res.status(404).json({ message: "Shift not found" });
+    return res.status(200).json({ success: true, shift });
+  } catch (err) {
+    console.error("Shift API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "settings:manage" });
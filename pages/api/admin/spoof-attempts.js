@@ -0,0 +1,28 @@
+import SpoofAttempt from "../../../models/SpoofAttempt";
+import { withAdminAuth } from "../../../lib/adminAuth";
+
+/**
+ * GET /api/admin/spoof-attempts?ip=&limit=50
+ * Kiosk scans rejected by the liveness check, most recent first.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const { ip, limit } = req.query;
+    const filter = {};
+    if (ip) filter.ip = String(ip);
+
+    const max = Math.min(500, Math.max(1, Number(limit) || 50));
+    const attempts = await SpoofAttempt.find(filter).select("-details").sort({ createdAt: -1 }).limit(max).lean();
+
+    return res.status(200).json({ attempts });
+  } catch (err) {
+    console.error("Spoof attempts API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler, { permission: "reports:read" });
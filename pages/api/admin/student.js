@@ -1,8 +1,9 @@
 import connectDB from "../../../lib/mongodb";
 import Attendance from "../../../models/Attendance";
+import { withAdminAuth } from "../../../lib/adminAuth";
+import { sessionsOf, summarizeSessions } from "../../../lib/attendanceSessions";
 
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "GET") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -10,16 +11,6 @@ export default async function handler(req, res) {
   const { id } = req.query;
 
   try {
-    // Token check
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith("Bearer ")) {
-      return res.status(401).json({ message: "Unauthorized: No token provided" });
-    }
-    const token = authHeader.split(" ")[1];
-    if (token !== "some-admin-token") {
-      return res.status(401).json({ message: "Unauthorized: Invalid token" });
-    }
-
     // DB connect
     await connectDB();
 
@@ -36,7 +27,15 @@ export default async function handler(req, res) {
       attendance: records.map(r => ({
         date: r.date,
         punchIn: r.punchIn || null,
-        punchOut: r.punchOut || null
+        punchOut: r.punchOut || null,
+        sessions: sessionsOf(r).map(({ punchIn, punchOut, punchInAt, punchOutAt }) => ({
+          punchIn,
+          punchOut,
+          punchInAt,
+          punchOutAt,
+        })),
+        durationSeconds: summarizeSessions(sessionsOf(r)).durationSeconds,
+        classification: r.classification || null
       }))
     };
 
@@ -46,3 +45,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ message: "Server Error" });
   }
 }
+
+export default withAdminAuth(handler, { permission: "reports:read" });
@@ -1,29 +1,64 @@
 import connectDB from "../../../../lib/mongodb";
 import Attendance from "../../../../models/Attendance";
+import User from "../../../../models/User";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { getTimezone, todayKey, periodStartKey, addToDateKey } from "../../../../lib/dates";
+import { loadWorkCalendar } from "../../../../lib/workCalendar";
+import { loadApprovedLeaves } from "../../../../lib/leaves";
+
+const EDITABLE_USER_ROLES = ["student", "faculty"];
+
+// PATCH: edit the registered user's profile (name / role / batch)
+async function updateUser(req, res, studentId) {
+  const { name, role, batch } = req.body || {};
+  const update = {};
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ message: "Name must be a non-empty string" });
+    }
+    update.name = name.trim();
+  }
+  if (role !== undefined) {
+    if (!EDITABLE_USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${EDITABLE_USER_ROLES.join(", ")}` });
+    }
+    update.role = role;
+  }
+  if (batch !== undefined) {
+    // Batch drives Telegram chat routing; empty string clears it
+    if (batch !== null && typeof batch !== "string") {
+      return res.status(400).json({ message: "Batch must be a string" });
+    }
+    update.batch = (batch || "").trim();
+  }
+  if (!Object.keys(update).length) {
+    return res.status(400).json({ message: "Nothing to update" });
+  }
+
+  const user = await User.findOneAndUpdate({ userId: studentId }, { $set: update }, { new: true }).lean();
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+
+  return res.status(200).json({ success: true, user });
+}
 
-export default async function handler(req, res) {
-  if (req.method !== "GET") {
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "PATCH") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
   try {
-    // Auth check
-    const authHeader = req.headers.authorization;
-    if (!authHeader?.startsWith("Bearer ")) {
-      return res
-        .status(401)
-        .json({ message: "Unauthorized: No token provided" });
-    }
-    const token = authHeader.split(" ")[1];
-    if (token !== process.env.ADMIN_TOKEN) {
-      return res.status(401).json({ message: "Unauthorized: Invalid token" });
-    }
-
     await connectDB();
 
     const { id, month, date, prevWeek, allDays } = req.query;
     const studentId = Array.isArray(id) ? id[0] : id;
 
+    if (req.method === "PATCH") {
+      return updateUser(req, res, studentId);
+    }
+
     const toYMD = (d) => {
       const y = d.getFullYear();
       const m = String(d.getMonth() + 1).padStart(2, "0");
@@ -31,15 +66,6 @@ export default async function handler(req, res) {
       return `${y}-${m}-${day}`;
     };
 
-    const daysBetweenInclusive = (startYMD, endYMD) => {
-      const [ys, ms, ds] = startYMD.split("-").map(Number);
-      const [ye, me, de] = endYMD.split("-").map(Number);
-      const start = new Date(ys, ms - 1, ds);
-      const end = new Date(ye, me - 1, de);
-      const diff = Math.floor((end - start) / 86400000) + 1;
-      return diff < 0 ? 0 : diff;
-    };
-
     const filterByYMDRange = (records, startYMD, endYMD) =>
       records.filter((r) => r?.date && r.date >= startYMD && r.date <= endYMD);
 
@@ -55,22 +81,15 @@ export default async function handler(req, res) {
     // In your prevWeek=true section inside handler:
 
     if (prevWeek === "true") {
-      const today = new Date();
+      const timezone = await getTimezone();
 
-      // Current week range (Sunday to today)
-      const startOfCurrentWeek = new Date(today);
-      startOfCurrentWeek.setDate(today.getDate() - today.getDay());
-      const startCurrentYMD = toYMD(startOfCurrentWeek);
-      const endCurrentYMD = toYMD(today);
+      // Current week range (Sunday to today, org timezone)
+      const startCurrentYMD = periodStartKey(timezone, "week");
+      const endCurrentYMD = todayKey(timezone);
 
       // Previous week range (Sunday to Saturday)
-      const endOfPrevWeek = new Date(startOfCurrentWeek);
-      endOfPrevWeek.setDate(startOfCurrentWeek.getDate() - 1);
-      const startOfPrevWeek = new Date(endOfPrevWeek);
-      startOfPrevWeek.setDate(endOfPrevWeek.getDate() - 6);
-
-      const startPrevYMD = toYMD(startOfPrevWeek);
-      const endPrevYMD = toYMD(endOfPrevWeek);
+      const startPrevYMD = addToDateKey(startCurrentYMD, -7, "day");
+      const endPrevYMD = addToDateKey(startCurrentYMD, -1, "day");
 
       const records = await Attendance.find({ userId: studentId }).lean();
 
@@ -116,14 +135,10 @@ export default async function handler(req, res) {
       return res.status(400).json({ message: "Month (YYYY-MM) is required" });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayYMD = toYMD(today);
-
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - today.getDay());
-    startOfWeek.setHours(0, 0, 0, 0);
-    const startOfWeekYMD = toYMD(startOfWeek);
+    // "Today" and the current week follow the org timezone, not the server's
+    const timezone = await getTimezone();
+    const todayYMD = todayKey(timezone);
+    const startOfWeekYMD = periodStartKey(timezone, "week");
 
     const [year, monthNum] = month.split("-").map(Number);
     const startOfMonth = new Date(year, monthNum - 1, 1);
@@ -132,6 +147,7 @@ export default async function handler(req, res) {
     const endOfMonthYMD = toYMD(endOfMonth);
 
     const allRecords = await Attendance.find({ userId: studentId }).lean();
+    const user = await User.findOne({ userId: studentId }).lean();
 
     const weeklyRecords = filterByYMDRange(
       allRecords,
@@ -144,19 +160,33 @@ export default async function handler(req, res) {
       endOfMonthYMD
     );
 
-    const countPresentDays = (records) => {
+    const presentDaysOf = (records) => {
       const presentDays = new Set();
       for (const r of records) {
         if (r?.punchIn && r?.date) presentDays.add(r.date);
       }
-      return presentDays.size;
+      return presentDays;
     };
 
+    // total = working days; weekly offs and holidays are never absences
+    // and approved leave counts as onLeave instead of absent
+    const rangeStart = startOfWeekYMD < startOfMonthYMD ? startOfWeekYMD : startOfMonthYMD;
+    const rangeEnd = todayYMD > endOfMonthYMD ? todayYMD : endOfMonthYMD;
+    const calendar = await loadWorkCalendar(rangeStart, rangeEnd);
+    const leaves = await loadApprovedLeaves(rangeStart, rangeEnd);
     const summarize = (records, startYMD, endYMD) => {
-      const total = daysBetweenInclusive(startYMD, endYMD);
-      const present = countPresentDays(records);
-      const absent = Math.max(0, total - present);
-      return { present, absent, total, start: startYMD, end: endYMD };
+      const workingDays = calendar.workingDays(startYMD, endYMD);
+      const presentDays = presentDaysOf(records);
+      const missed = workingDays.filter((d) => !presentDays.has(d));
+      const onLeave = missed.filter((d) => leaves.leaveOn(studentId, d)).length;
+      return {
+        present: presentDays.size,
+        absent: missed.length - onLeave,
+        onLeave,
+        total: workingDays.length,
+        start: startYMD,
+        end: endYMD,
+      };
     };
 
     const weekly = summarize(weeklyRecords, startOfWeekYMD, todayYMD);
@@ -164,8 +194,10 @@ export default async function handler(req, res) {
 
     const studentData = {
       userId: studentId,
-      name: allRecords[0]?.name || "Unknown",
-      role: allRecords[0]?.role || "Unknown",
+      name: user?.name || allRecords[0]?.name || "Unknown",
+      role: user?.role || allRecords[0]?.role || "Unknown",
+      batch: user?.batch || "",
+      imageUrl: user?.imageUrl || null,
       weekly,
       monthly,
     };
@@ -178,3 +210,7 @@ export default async function handler(req, res) {
       .json({ message: "Server Error", error: err.message });
   }
 }
+
+export default withAdminAuth(handler, {
+  permission: (req) => (req.method === "PATCH" ? "users:write" : "reports:read"),
+});
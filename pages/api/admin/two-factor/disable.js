@@ -0,0 +1,34 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { verifySecondFactor } from "../../../../lib/adminTwoFactor";
+
+/**
+ * POST /api/admin/two-factor/disable
+ * Body: { code } or { recoveryCode }
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const admin = req.admin;
+    if (!admin.totp?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const method = await verifySecondFactor(admin, req.body || {});
+    if (!method) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    admin.set("totp", { enabled: false, secret: null, pendingSecret: null, recoveryCodeHashes: [] });
+    await admin.save();
+
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler);
@@ -0,0 +1,51 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import {
+  verifyTotp,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../../../../lib/totp";
+
+/**
+ * POST /api/admin/two-factor/enable
+ * Body: { code } from the authenticator app.
+ * Returns one-time recovery codes — they are never shown again.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const admin = req.admin;
+    if (admin.totp?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!admin.totp?.pendingSecret) {
+      return res.status(400).json({ message: "Start setup first" });
+    }
+
+    const step = verifyTotp(decryptSecret(admin.totp.pendingSecret), req.body?.code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    admin.set("totp", {
+      enabled: true,
+      secret: admin.totp.pendingSecret,
+      pendingSecret: null,
+      lastUsedStep: step,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+      enabledAt: new Date(),
+    });
+    await admin.save();
+
+    return res.status(200).json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler);
@@ -0,0 +1,17 @@
+import { withAdminAuth } from "../../../../lib/adminAuth";
+
+// GET /api/admin/two-factor -> 2FA status for the logged-in admin
+async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const totp = req.admin.totp || {};
+  return res.status(200).json({
+    enabled: Boolean(totp.enabled),
+    enabledAt: totp.enabledAt ?? null,
+    recoveryCodesRemaining: totp.enabled ? (totp.recoveryCodeHashes || []).length : 0,
+  });
+}
+
+export default withAdminAuth(handler);
@@ -0,0 +1,39 @@
+import AdminUser from "../../../../models/AdminUser";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { verifySecondFactor } from "../../../../lib/adminTwoFactor";
+import { generateRecoveryCodes, hashRecoveryCode } from "../../../../lib/totp";
+
+/**
+ * POST /api/admin/two-factor/recovery-codes
+ * Body: { code } — replaces every existing recovery code with a fresh set.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const admin = req.admin;
+    if (!admin.totp?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const method = await verifySecondFactor(admin, { code: req.body?.code });
+    if (!method) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await AdminUser.updateOne(
+      { _id: admin._id },
+      { $set: { "totp.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    return res.status(200).json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler);
@@ -0,0 +1,35 @@
+import QRCode from "qrcode";
+import { withAdminAuth } from "../../../../lib/adminAuth";
+import { generateTotpSecret, totpUri, encryptSecret } from "../../../../lib/totp";
+
+/**
+ * POST /api/admin/two-factor/setup
+ * Starts enrolment: returns a new secret as an otpauth:// URI and QR code.
+ * Nothing changes for login until /enable confirms a code from the app.
+ */
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const admin = req.admin;
+    if (admin.totp?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUrl = totpUri(secret, admin.email);
+
+    admin.set("totp.pendingSecret", encryptSecret(secret));
+    await admin.save();
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    return res.status(200).json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withAdminAuth(handler);
@@ -1,27 +1,19 @@
 // pages/api/create-collection.js
-import {
-  RekognitionClient,
-  CreateCollectionCommand,
-  DescribeCollectionCommand,
-} from "@aws-sdk/client-rekognition";
-import connectDB from "../../lib/mongodb";
+import { CreateCollectionCommand, DescribeCollectionCommand } from "@aws-sdk/client-rekognition";
+import { withAdminAuth } from "../../lib/adminAuth";
+import { getRekognitionClient, REKOGNITION_REGION as REGION, REKOGNITION_COLLECTION as DEFAULT_COLLECTION } from "../../lib/faceRekognition";
 
-const REGION = process.env.AWS_REGION || "ap-south-1";
-const DEFAULT_COLLECTION = process.env.REKOGNITION_COLLECTION || process.env.REKOG_COLLECTION || "students-collection";
-const rekClient = new RekognitionClient({ region: REGION });
-
-export default async function handler(req, res) {
-  // Basic safety: require POST for create and allow GET to inspect status
-  const adminToken = process.env.DEV_ADMIN_TOKEN;
+const rekClient = getRekognitionClient();
 
+// Admin only: POST creates the collection, GET inspects which one would be used
+async function handler(req, res) {
   if (req.method === "GET") {
     // Return which collection name would be used and region (no secret exposure)
     return res.status(200).json({
       ok: true,
       region: REGION,
       collection: DEFAULT_COLLECTION,
-      message: "Send POST to create. Provide x-admin-token header if DEV_ADMIN_TOKEN is set.",
-      devAdminTokenSet: !!adminToken,
+      message: "Send POST to create.",
     });
   }
 
@@ -29,20 +21,7 @@ export default async function handler(req, res) {
     return res.status(405).json({ ok: false, message: "Method Not Allowed - use POST" });
   }
 
-  // If adminToken is set in env, require matching header for safety in dev
-  if (adminToken && req.headers["x-admin-token"] !== adminToken) {
-    return res.status(403).json({ ok: false, message: "Forbidden - invalid admin token" });
-  }
-
   try {
-    // optional DB connect if you want to log/persist collection creation - safe no-op if not needed
-    try {
-      await connectDB();
-    } catch (dbErr) {
-      // don't fail just because DB connect isn't available; just log
-      console.warn("create-collection: DB connect failed (continuing):", dbErr?.message || dbErr);
-    }
-
     const { collectionId } = req.body || {};
     const col = (collectionId || DEFAULT_COLLECTION).toString();
 
@@ -83,3 +62,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ ok: false, message: "Could not create collection", error: msg });
   }
 }
+
+export default withAdminAuth(handler, { permission: "faces:index" });
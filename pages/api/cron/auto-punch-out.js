@@ -0,0 +1,23 @@
+import { withCronAuth } from "../../../lib/cronAuth";
+import { closeOpenSessions } from "../../../lib/autoPunchOut";
+
+/**
+ * GET|POST /api/cron/auto-punch-out
+ * Closes sessions still open at the end-of-day cut-off (marked "auto-closed").
+ * Safe to call more often than daily: only due, still-open sessions change.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const summary = await closeOpenSessions();
+    return res.status(200).json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Auto punch-out error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withCronAuth(handler);
@@ -0,0 +1,25 @@
+import { withCronAuth } from "../../../lib/cronAuth";
+import { deliverDueNotifications } from "../../../lib/notificationOutbox";
+// Registers the outbox handlers
+import "../../../lib/telegramNotifier";
+
+/**
+ * GET|POST /api/cron/deliver-notifications?limit=25
+ * Outbox worker: delivers due notifications and reschedules failures.
+ */
+async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 25));
+    const summary = await deliverDueNotifications({ limit });
+    return res.status(200).json({ success: true, ...summary });
+  } catch (err) {
+    console.error("Deliver notifications error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
+
+export default withCronAuth(handler);
@@ -0,0 +1,59 @@
+import connectDB from "../../lib/mongodb";
+import User from "../../models/User";
+import Leave from "../../models/Leave";
+import { parseLeaveRequest, findOverlappingLeave } from "../../lib/leaves";
+
+const SENT = { success: true, message: "Leave request sent for approval" };
+
+/**
+ * PWA leave requests, keyed by the registered userId.
+ *
+ * GET  /api/leave?userId=…  → { leaves } (latest first)
+ * POST /api/leave           → { userId, type, from, to?, reason? }
+ *
+ * Nothing here proves who the caller is, so responses carry dates and status
+ * only; the reason and review note are for admins (/api/admin/leaves). An
+ * unknown userId gets the same answers as a registered one with no leave,
+ * and only approved leave blocks a request, so a pending request filed by
+ * someone else can't lock the user out of their own dates.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    await connectDB();
+
+    const userId = String((req.method === "GET" ? req.query.userId : req.body?.userId) ?? "").trim();
+    if (!userId) return res.status(400).json({ message: "Missing userId" });
+
+    if (req.method === "GET") {
+      const leaves = await Leave.find({ userId })
+        .select("type from to status reviewedAt createdAt")
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .lean();
+      return res.status(200).json({ leaves });
+    }
+
+    const { data, error } = parseLeaveRequest(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const user = await User.findOne({ userId }).select("name role").lean();
+    if (!user) return res.status(202).json(SENT);
+
+    const overlap = await findOverlappingLeave(userId, data.from, data.to);
+    if (overlap) {
+      return res.status(409).json({
+        message: `You already have approved leave from ${overlap.from} to ${overlap.to}`,
+      });
+    }
+
+    await Leave.create({ ...data, userId, name: user.name, role: user.role });
+    return res.status(202).json(SENT);
+  } catch (err) {
+    console.error("Leave API error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
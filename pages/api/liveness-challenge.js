@@ -0,0 +1,21 @@
+import { issueLivenessChallenge } from "../../lib/liveness";
+
+/**
+ * POST /api/liveness-challenge
+ * The challenge for the next kiosk scan: { required: false } when liveness
+ * is off, else { required, kind, instruction, action, frames, intervalMs,
+ * startInMs, cueFrame, challenge } (lib/liveness#issueLivenessChallenge).
+ * POST so the service worker never serves a cached challenge.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  try {
+    return res.status(200).json(issueLivenessChallenge());
+  } catch (err) {
+    console.error("Liveness challenge error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
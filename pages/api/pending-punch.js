@@ -0,0 +1,41 @@
+import connectDB from "../../lib/mongodb";
+import { findPendingPunch } from "../../lib/pendingPunch";
+
+/**
+ * POST /api/pending-punch
+ * Body: { id }
+ *
+ * The verified scan behind /success?id=, for display before it is confirmed
+ * via /api/submit-attendance. POST so the service worker never caches the
+ * captured photo.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ message: "Method Not Allowed" });
+  }
+
+  const { id } = req.body || {};
+  if (!id || typeof id !== "string") {
+    return res.status(400).json({ message: "Missing id" });
+  }
+
+  try {
+    await connectDB();
+    const pending = await findPendingPunch(id);
+    if (!pending) {
+      return res.status(404).json({ message: "Scan expired or already recorded, please scan again" });
+    }
+
+    return res.status(200).json({
+      userId: pending.userId,
+      name: pending.name,
+      role: pending.role,
+      imageUrl: pending.imageUrl,
+      imageData: pending.imageData,
+      expiresAt: pending.expiresAt,
+    });
+  } catch (err) {
+    console.error("Pending punch error:", err);
+    return res.status(500).json({ message: "Server Error", error: err.message });
+  }
+}
@@ -3,10 +3,8 @@ import connectDB from "../../lib/mongodb";
 import User from "../../models/User";
 import { v2 as cloudinary } from "cloudinary";
 import axios from "axios";
-import {
-  RekognitionClient,
-  IndexFacesCommand
-} from "@aws-sdk/client-rekognition";
+import { getFaceService } from "../../lib/faceService";
+import { withAdminAuth } from "../../lib/adminAuth";
 
 // Cloudinary configuration
 cloudinary.config({
@@ -15,53 +13,19 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-// Rekognition config
-const REGION = process.env.AWS_REGION || "ap-south-1";
-const REK_COLLECTION =
-  process.env.REKOGNITION_COLLECTION || process.env.REKOG_COLLECTION || "students-collection";
-const rekClient = new RekognitionClient({ region: REGION });
-
 /**
  * Register endpoint:
  * - Body: { name, userId, role, imageData (dataURL) }
  * - Uploads image to Cloudinary
  * - Creates user document
- * - Indexes face into Rekognition (retries up to 3 times)
- * - Updates user.rekognition with indexing results (or returns rekognitionError)
+ * - Indexes the face in the active face backend (lib/faceService)
+ * - Returns faceIndexError when indexing failed (the user is still created)
+ *
+ * Registrars and super-admins only (users:write): requires an admin session
+ * bearer token.
  */
 
-async function indexFaceWithRetries(buffer, userId, maxAttempts = 3) {
-  let attempt = 0;
-  let lastErr = null;
-
-  while (attempt < maxAttempts) {
-    try {
-      const cmd = new IndexFacesCommand({
-        CollectionId: REK_COLLECTION,
-        Image: { Bytes: buffer },
-        ExternalImageId: String(userId),
-        DetectionAttributes: [],
-        MaxFaces: 1,
-      });
-
-      const out = await rekClient.send(cmd);
-      return { success: true, out };
-    } catch (err) {
-      lastErr = err;
-      // If collection not found, don't retry — return immediately
-      if (err?.name === "ResourceNotFoundException" || (err?.message && err.message.includes("Collection"))) {
-        return { success: false, fatal: true, error: err };
-      }
-      attempt += 1;
-      // simple backoff
-      await new Promise((r) => setTimeout(r, 500 * attempt));
-    }
-  }
-
-  return { success: false, fatal: false, error: lastErr };
-}
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
@@ -129,56 +93,15 @@ export default async function handler(req, res) {
     const newUser = await User.create(newUserData);
     console.log("✅ User created (DB):", newUser._id);
 
-    // Download the uploaded image into buffer for Rekognition
+    // Download the uploaded image and index it
     try {
       const resp = await axios.get(imageUrl, {
         responseType: "arraybuffer",
         timeout: 20000,
       });
-      const buffer = Buffer.from(resp.data);
-
-      // Index into Rekognition with retries
-      const idxResult = await indexFaceWithRetries(buffer, userId, 3);
-
-      if (!idxResult.success) {
-        // fatal error (e.g., collection missing)
-        if (idxResult.fatal) {
-          console.error("❌ Rekognition fatal error:", idxResult.error);
-          const createdUser = await User.findById(newUser._id).lean();
-          return res.status(200).json({
-            message: "User created but Rekognition indexing failed",
-            user: createdUser,
-            rekognitionError:
-              `Rekognition collection '${REK_COLLECTION}' not found. Create it via /api/create-collection or AWS console. ` +
-              `AWS message: ${idxResult.error?.message ?? String(idxResult.error)}`,
-          });
-        }
-
-        // non-fatal after retries
-        console.error("❌ Rekognition indexing failed after retries:", idxResult.error);
-        const createdUser = await User.findById(newUser._id).lean();
-        return res.status(200).json({
-          message: "User created but Rekognition indexing failed after retries",
-          user: createdUser,
-          rekognitionError: idxResult.error?.message || String(idxResult.error),
-        });
-      }
-
-      // Success: parse IndexFaces output
-      const out = idxResult.out;
-      const faceRecords = out.FaceRecords || [];
-      const faceIds = faceRecords.map((r) => r.Face && r.Face.FaceId).filter(Boolean);
-
-      // Prepare rekognition update object
-      const rekUpdate = {
-        "rekognition.externalImageId": String(userId),
-        "rekognition.faceIds": faceIds,
-        "rekognition.lastIndexedAt": new Date(),
-        "rekognition.indexResponse": out, // store raw response (schema allows Mixed)
-      };
-
-      await User.updateOne({ _id: newUser._id }, { $set: rekUpdate });
+      const image = Buffer.from(resp.data);
 
+      const { faceIds, raw } = await getFaceService().indexFace({ userId, image });
       const updatedUser = await User.findById(newUser._id).lean();
 
       console.log("✅ Indexed face for user:", userId, "faceIds:", faceIds);
@@ -186,15 +109,15 @@ export default async function handler(req, res) {
       return res.status(200).json({
         message: "Success",
         user: updatedUser,
-        rekognition: { faceIds, raw: out },
+        faceIndex: { faceIds, raw },
       });
-    } catch (downloadErr) {
-      console.error("❌ Error downloading image for Rekognition:", downloadErr);
+    } catch (indexErr) {
+      console.error("❌ Face indexing failed:", indexErr);
       const createdUser = await User.findById(newUser._id).lean();
       return res.status(200).json({
-        message: "User created but Rekognition indexing failed (image download error)",
+        message: "User created but face indexing failed",
         user: createdUser,
-        rekognitionError: downloadErr?.message || String(downloadErr),
+        faceIndexError: indexErr?.message || String(indexErr),
       });
     }
   } catch (error) {
@@ -206,6 +129,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAdminAuth(handler, { permission: "users:write" });
+
 // Allow large payloads (images)
 export const config = {
   api: {
@@ -1,214 +1,138 @@
 // pages/api/verify-face.js
 import connectDB from "../../lib/mongodb";
 import User from "../../models/User";
-import axios from "axios";
-import { RekognitionClient, SearchFacesByImageCommand } from "@aws-sdk/client-rekognition";
-
-// ----------------- Configuration / ENV -----------------
-const MATCH_THRESHOLD = Number(process.env.MATCH_THRESHOLD ?? 0.45); // descriptor fallback (0..1)
-const REGION = process.env.AWS_REGION || "ap-south-1";
-const REK_COLLECTION = process.env.REKOGNITION_COLLECTION || process.env.REKOG_COLLECTION || "students-collection";
-const REKOGNITION_SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD ?? 85); // 0..100 (AWS)
-const REKOGNITION_MAX_FACES = Number(process.env.REKOG_MAX_FACES ?? 3);
-const REKOG_CONCURRENCY = Math.max(1, Number(process.env.REKOG_CONCURRENCY ?? 4));
-
-// AWS Rekognition client (server-side)
-const rekClient = new RekognitionClient({ region: REGION });
-
-// ----------------- helper math functions (unchanged) -----------------
-function l2Normalize(arr) {
-  let sumSq = 0;
-  for (let i = 0; i < arr.length; i++) sumSq += arr[i] * arr[i];
-  const norm = Math.sqrt(sumSq) || 1;
-  const out = new Array(arr.length);
-  for (let i = 0; i < arr.length; i++) out[i] = arr[i] / norm;
-  return out;
-}
-
-function euclideanDistance(a, b) {
-  let s = 0;
-  for (let i = 0; i < a.length; i++) {
-    const d = a[i] - b[i];
-    s += d * d;
-  }
-  return Math.sqrt(s);
-}
-
-function bestDistanceToUser(queryDesc, user) {
-  const pool = Array.isArray(user.faceDescriptors) && user.faceDescriptors.length
-    ? user.faceDescriptors
-    : user.faceDescriptor
-    ? [user.faceDescriptor]
-    : [];
-
-  let best = Infinity;
-  for (const d of pool) {
-    if (!Array.isArray(d) || d.length !== queryDesc.length) continue;
-    const dist = euclideanDistance(queryDesc, l2Normalize(d));
-    if (dist < best) best = dist;
-  }
-  return best;
-}
-
-// ----------------- Rekognition helpers -----------------
-async function getImageBuffer({ imageData, imageUrl }) {
-  if (imageData) {
-    const m = imageData.match(/^data:.+;base64,(.*)$/);
-    if (!m) throw new Error("Invalid imageData (expected dataURL)");
-    return Buffer.from(m[1], "base64");
-  }
-  if (imageUrl) {
-    const resp = await axios.get(imageUrl, { responseType: "arraybuffer", timeout: 15000 });
-    return Buffer.from(resp.data);
-  }
-  throw new Error("No imageData or imageUrl provided");
-}
-
-async function rekognitionSearch(buffer) {
-  const cmd = new SearchFacesByImageCommand({
-    CollectionId: REK_COLLECTION,
-    Image: { Bytes: buffer },
-    FaceMatchThreshold: REKOGNITION_SIMILARITY_THRESHOLD,
-    MaxFaces: REKOGNITION_MAX_FACES,
-  });
-  const out = await rekClient.send(cmd);
-  const matches = out.FaceMatches || [];
-  if (!matches.length) return { found: false, raw: out };
-  return { found: true, topMatch: matches[0], raw: out };
+import { getFaceService, contendingFaces } from "../../lib/faceService";
+import { issueVerificationTicket, hashImage } from "../../lib/verificationTicket";
+import { createPendingPunch } from "../../lib/pendingPunch";
+import { checkLiveness, matchBurst } from "../../lib/liveness";
+
+// A liveness burst is several JPEG frames
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "6mb",
+    },
+  },
+};
+
+function getImageBuffer(imageData) {
+  const m = typeof imageData === "string" ? imageData.match(/^data:.+;base64,(.*)$/) : null;
+  if (!m) throw new Error("Invalid imageData (expected dataURL)");
+  return Buffer.from(m[1], "base64");
 }
 
 // ----------------- API handler -----------------
+// Body: { frames + challenge } with liveness on (lib/liveness), else
+// { imageData }. Only an image captured at the kiosk is matched: a ticket
+// is always bound to its bytes, and the server fetches no caller-supplied
+// URLs. Matching goes through lib/faceService.
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ message: "Method Not Allowed" });
   }
 
   try {
-    const { imageData, imageUrl, descriptor } = req.body;
-
-    // If image provided, prefer Rekognition flow
-    if (imageData || imageUrl) {
-      // prepare image buffer
-      let buffer;
-      try {
-        buffer = await getImageBuffer({ imageData, imageUrl });
-      } catch (err) {
-        console.error("Image buffer error:", err);
-        return res.status(400).json({ message: "Invalid imageData or imageUrl", error: err.message });
+    // Liveness first: with a provider configured only a frame burst that
+    // performed the challenge gets matched
+    await connectDB();
+    const liveness = await checkLiveness(req);
+    if (!liveness.ok) {
+      return res.status(liveness.status).json({ success: false, liveness: false, message: liveness.message });
+    }
+    const faceService = getFaceService();
+
+    // The frame that is matched, ticketed and kept with the punch: the last
+    // of a burst that matched the person (frames with eyes shut or the head
+    // turned may match nobody), else the last frame or the single image
+    let imageData = liveness.imageData;
+    let image;
+    let faces;
+    let match;
+    if (liveness.frames) {
+      // A live burst is matched frame by frame and must not show two people
+      const burst = await matchBurst(req, liveness);
+      if (!burst.ok) return res.status(burst.status).json({ success: false, liveness: false, message: burst.message });
+      const frame = burst.frame ?? liveness.frames.length - 1;
+      match = burst.match;
+      imageData = liveness.frameData[frame];
+      image = liveness.frames[frame];
+      faces = liveness.frameFaces?.[frame];
+    } else {
+      if (!imageData) {
+        return res.status(400).json({ message: "Provide imageData" });
       }
-
-      // ensure DB connection available
-      await connectDB();
-
-      // call Rekognition
-      let rk;
       try {
-        rk = await rekognitionSearch(buffer);
-      } catch (rkErr) {
-        console.error("Rekognition error:", rkErr);
-        // If Rekognition failed and descriptor exists, fall back to descriptor path below.
-        if (!descriptor) {
-          return res.status(500).json({ message: "Rekognition error", error: rkErr.message });
-        }
-      }
-
-      if (rk && rk.found) {
-        const top = rk.topMatch;
-        const similarity = typeof top.Similarity === "number" ? top.Similarity : null; // 0..100
-        const rekFace = top.Face || {};
-
-        // Map Rekognition match to local user:
-        // prefer ExternalImageId (set during IndexFaces), else try FaceId mapping
-        let user = null;
-        if (rekFace.ExternalImageId) {
-          user = await User.findOne({ "rekognition.externalImageId": rekFace.ExternalImageId }).lean();
-        }
-        if (!user && rekFace.FaceId) {
-          user = await User.findOne({ "rekognition.faceIds": rekFace.FaceId }).lean();
-        }
-
-        if (!user) {
-          // matched in collection but no mapping in DB
-          return res.status(200).json({
-            success: false,
-            message: "Face matched in Rekognition but no local user mapping found",
-            rawMatch: top,
-            similarity,
-          });
-        }
-
-        // convert similarity -> "distance" (lower is better) to match existing client expectations
-        const matchDistance = similarity === null ? null : Number((1 - similarity / 100).toFixed(4));
-        const confidence = similarity === null
-          ? null
-          : Number(((similarity - REKOGNITION_SIMILARITY_THRESHOLD) / (100 - REKOGNITION_SIMILARITY_THRESHOLD)).toFixed(3));
-
-        return res.status(200).json({
-          success: true,
-          distance: matchDistance, // lower is better (0..1)
-          similarity, // Rekognition similarity (0..100)
-          confidence, // rough 0..1 confidence relative to threshold
-          user: {
-            name: user.name,
-            role: user.role || "student",
-            userId: String(user.userId ?? user._id),
-            imageUrl: user.imageUrl || null,
-          },
-          rawMatch: top,
-        });
+        image = getImageBuffer(imageData);
+      } catch (err) {
+        return res.status(400).json({ message: "Invalid imageData", error: err.message });
       }
-
-      // Rekognition ran but no match
-      return res.status(200).json({ success: false, message: "No Rekognition match", raw: rk ? rk.raw : null });
     }
 
-    // ---------------- FALLBACK: descriptor-based matching (original behavior) ----------------
-    if (!descriptor || !Array.isArray(descriptor)) {
-      return res.status(400).json({ message: "Provide imageData/imageUrl OR descriptor" });
+    // Every face in the frame: a backend searches only one, so a frame with
+    // two comparable faces is ambiguous and must not be matched. A backend
+    // that can't tell how many faces there are can't be used for this.
+    // The liveness check has already looked at every frame of a burst.
+    faces ||= await faceService.detectFaces(image);
+    if (!faces) {
+      return res.status(503).json({ success: false, message: "Face detection is not available with this face backend" });
     }
-
-    if (descriptor.length < 64) {
-      return res.status(400).json({ message: "Descriptor too short" });
+    const contenders = contendingFaces(faces);
+    if (contenders.length !== 1) {
+      return res.status(200).json({
+        success: false,
+        multipleFaces: contenders.length > 1,
+        message: contenders.length ? "More than one face in view, one person at a time please" : "No face detected",
+        faces, // every detected face, bounding boxes as ratios of the frame size
+      });
     }
 
-    // Normalize the incoming embedding
-    const query = l2Normalize(descriptor);
-
-    await connectDB();
-
-    // Only fetch what we need
-    const users = await User.find({}, "name role userId imageUrl faceDescriptor faceDescriptors").lean();
-
-    let globalBest = { user: null, distance: Infinity };
-
-    for (const user of users) {
-      const dist = bestDistanceToUser(query, user);
-      if (Number.isFinite(dist) && dist < globalBest.distance) {
-        globalBest = { user, distance: dist };
-      }
+    if (!liveness.frames) match = await faceService.searchFace({ image });
+    if (!match) {
+      return res.status(200).json({ success: false, message: "No face match", faces });
     }
 
-    if (globalBest.user && globalBest.distance < MATCH_THRESHOLD) {
-      const confidence = Math.max(0, Math.min(1, 1 - globalBest.distance / MATCH_THRESHOLD));
-
+    const user = await User.findOne({ userId: match.userId }).select("name role userId imageUrl").lean();
+    if (!user) {
+      // matched by the backend but no such user in DB
       return res.status(200).json({
-        success: true,
-        distance: Number(globalBest.distance.toFixed(4)),
-        confidence: Number(confidence.toFixed(3)),
-        user: {
-          name: globalBest.user.name,
-          role: globalBest.user.role,
-          userId: String(globalBest.user.userId ?? globalBest.user._id),
-          imageUrl: globalBest.user.imageUrl || null,
-        },
+        success: false,
+        message: "Face matched but no local user mapping found",
+        rawMatch: match.raw,
+        similarity: match.similarity,
       });
     }
 
+    const matched = {
+      name: user.name,
+      role: user.role || "student",
+      userId: String(user.userId ?? user._id),
+      imageUrl: user.imageUrl || null,
+    };
+    // The scan waits server-side for /success; its ticket is bound to this
+    // user and the captured image
+    const pendingId = await createPendingPunch({
+      user: matched,
+      imageData,
+      ticket: issueVerificationTicket({
+        userId: matched.userId,
+        imageHash: hashImage(image),
+        similarity: match.similarity,
+        distance: match.distance,
+      }),
+    });
+
     return res.status(200).json({
-      success: false,
-      distance: Number.isFinite(globalBest.distance) ? Number(globalBest.distance.toFixed(4)) : null,
+      success: true,
+      distance: match.distance, // lower is better (0..1)
+      similarity: match.similarity, // backend similarity (0..100)
+      confidence: match.confidence, // rough 0..1 confidence relative to threshold
+      user: matched,
+      pendingId, // open /success?id=<pendingId> to record the punch
+      faces,
+      rawMatch: match.raw,
     });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     console.error("Face verification error:", error);
     return res.status(500).json({ message: "Server error", error: error.message });
   }
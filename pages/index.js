@@ -10,6 +10,7 @@ export default function Home() {
   const [showPopup, setShowPopup] = useState(false);
   const [loading, setLoading] = useState(false);
   const [videoReady, setVideoReady] = useState(false);
+  const [instruction, setInstruction] = useState("");
   const videoRef = useRef(null);
   const detectTimer = useRef(null);
   const runningDetection = useRef(false);
@@ -116,20 +117,53 @@ export default function Home() {
         return;
       }
 
-      console.log("▶️ Capturing image for verification...");
-
-      const imageData = captureImage();
+      // Liveness: the server picks a single-use challenge (blink / head turn
+      // at a cue frame) and checks that the captured burst performs it
+      const challengeRes = await fetch("/api/liveness-challenge", { method: "POST" });
+      const liveness = await challengeRes.json();
+      if (!challengeRes.ok) throw new Error(liveness?.message || "Liveness challenge failed");
+
+      let body;
+      if (liveness.required) {
+        // Hold still until the cue frame, then do the action; the server
+        // checks both and that the burst took as long as this schedule
+        setInstruction(liveness.instruction);
+        await new Promise((resolve) => setTimeout(resolve, liveness.startInMs));
+        console.log(`▶️ Capturing ${liveness.frames} frames for the "${liveness.kind}" challenge...`);
+        const frames = [];
+        for (let i = 0; i < liveness.frames; i++) {
+          if (i) await new Promise((resolve) => setTimeout(resolve, liveness.intervalMs));
+          if (i === liveness.cueFrame) setInstruction(liveness.action);
+          frames.push(captureImage());
+        }
+        setInstruction("");
+        body = { frames, challenge: liveness.challenge };
+      } else {
+        console.log("▶️ Capturing image for verification...");
+        body = { imageData: captureImage() };
+      }
 
       console.log("📤 Sending image to backend for verification...");
       const res = await fetch("/api/verify-face", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ imageData }),
+        body: JSON.stringify(body),
       });
 
       const result = await res.json();
       console.log("💻 Verification result from server:", result);
 
+      if (result.liveness === false) {
+        console.warn("⚠️ Liveness check failed:", result.message);
+        alert(`${result.message}. Please try again.`);
+        return;
+      }
+      if (result.multipleFaces) {
+        console.warn("⚠️ Several faces in view:", result.faces);
+        alert("More than one face in view. Please scan one person at a time.");
+        return;
+      }
+
       const serverDistance =
         typeof result?.distance === "number"
           ? result.distance
@@ -144,7 +178,7 @@ export default function Home() {
       const distanceOk = serverDistance === null ? true : serverDistance < 0.45;
 
       if (result.success && result.user && distanceOk) {
-        const { name, role, userId, imageUrl } = result.user;
+        const { name, role, userId } = result.user;
         console.log("🎯 Match confirmed:", { name, role, userId });
 
         // Save uid locally
@@ -154,23 +188,12 @@ export default function Home() {
           /* ignore localStorage errors */
         }
 
-        // Optional: notify Telegram (fire-and-forget)
-        fetch("/api/send-telegram", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ name, role, userId, imageData }),
-        }).catch(() => {});
-
-        // Redirect to Success page (this page now only shows preview/details; it will not auto-submit attendance)
-        const url = `/success?name=${encodeURIComponent(
-          name
-        )}&role=${encodeURIComponent(role)}&userId=${encodeURIComponent(
-          userId
-        )}&image=${encodeURIComponent(imageUrl || "")}&imageData=${encodeURIComponent(
-          imageData
-        )}`;
-
-        console.log("➡️ Redirecting to:", url);
+        // Redirect to Success page — it confirms the server-side pending punch via
+        // /api/submit-attendance, which also triggers the Telegram notification.
+        // Only the opaque id goes in the URL, never the identity or the photo.
+        const url = `/success?id=${encodeURIComponent(result.pendingId)}`;
+
+        console.log("➡️ Redirecting to success page");
         router.push(url);
       } else {
         console.warn("⚠️ User not recognized or distance too high", {
@@ -184,6 +207,7 @@ export default function Home() {
       alert("Error occurred during attendance.");
     } finally {
       setLoading(false);
+      setInstruction("");
       runningDetection.current = false;
       console.log("🔄 Detection cycle completed");
     }
@@ -269,6 +293,10 @@ export default function Home() {
         )}
       </div>
 
+      {instruction && (
+        <p className="text-lg font-semibold text-blue-700 mb-4 animate-pulse">👁️ {instruction}</p>
+      )}
+
       <h2 className="text-2xl font-bold text-gray-800 mb-6 leading-snug">
         Welcome <br /> to <br /> DESINERZ ACADEMY
       </h2>
@@ -281,6 +309,10 @@ export default function Home() {
         {loading ? "Detecting..." : "Mark Your Daily Attendance"}
       </button>
 
+      <Link href="/leave" className="text-blue-600 hover:underline text-sm mb-4">
+        Apply for leave
+      </Link>
+
       {!isInstalled && installPrompt && (
         <button
           onClick={handleInstall}
@@ -0,0 +1,162 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+
+const LEAVE_TYPES = [
+  { value: "sick", label: "Sick leave" },
+  { value: "casual", label: "Casual leave" },
+  { value: "official-duty", label: "Official duty" },
+];
+
+const STATUS_STYLES = {
+  pending: "text-yellow-600",
+  approved: "text-green-600",
+  rejected: "text-red-600",
+};
+
+export default function LeavePage() {
+  const [userId, setUserId] = useState("");
+  const [form, setForm] = useState({ type: "sick", from: "", to: "", reason: "" });
+  const [leaves, setLeaves] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState("");
+
+  // The ID saved by the last successful face match
+  useEffect(() => {
+    try {
+      setUserId(localStorage.getItem("uid") || "");
+    } catch (e) {
+      /* ignore localStorage errors */
+    }
+  }, []);
+
+  const fetchLeaves = useCallback(async (uid) => {
+    if (!uid) return setLeaves([]);
+    try {
+      const resp = await fetch(`/api/leave?userId=${encodeURIComponent(uid)}`);
+      const data = await resp.json();
+      setLeaves(resp.ok ? data.leaves || [] : []);
+    } catch (err) {
+      console.error("Leave list error:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLeaves(userId.trim());
+  }, [userId, fetchLeaves]);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage("");
+    try {
+      const resp = await fetch("/api/leave", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userId: userId.trim(), ...form }),
+      });
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data?.message || `Server returned ${resp.status}`);
+
+      try {
+        localStorage.setItem("uid", userId.trim());
+      } catch (e) {
+        /* ignore localStorage errors */
+      }
+      setForm({ type: form.type, from: "", to: "", reason: "" });
+      setMessage("✅ Leave request sent for approval");
+      await fetchLeaves(userId.trim());
+    } catch (err) {
+      setMessage(`❌ ${err.message || "Network error. Please try again."}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main className="min-h-screen w-full flex items-center justify-center bg-gradient-to-br from-blue-50 to-gray-100 px-4 py-6">
+      <div className="bg-white shadow-xl rounded-2xl max-w-md w-full p-6 border border-gray-200">
+        <h1 className="text-2xl font-bold text-gray-800 mb-6 text-center">📝 Apply for Leave</h1>
+
+        <form onSubmit={submit} className="space-y-3 text-gray-700">
+          <input
+            type="text"
+            placeholder="Your ID"
+            value={userId}
+            onChange={(e) => setUserId(e.target.value)}
+            required
+            className="w-full border rounded-lg p-2"
+          />
+          <select
+            value={form.type}
+            onChange={(e) => setForm({ ...form, type: e.target.value })}
+            className="w-full border rounded-lg p-2"
+          >
+            {LEAVE_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-3">
+            <label className="flex-1 text-sm">
+              From
+              <input
+                type="date"
+                value={form.from}
+                onChange={(e) => setForm({ ...form, from: e.target.value })}
+                required
+                className="w-full border rounded-lg p-2"
+              />
+            </label>
+            <label className="flex-1 text-sm">
+              To (optional)
+              <input
+                type="date"
+                value={form.to}
+                min={form.from}
+                onChange={(e) => setForm({ ...form, to: e.target.value })}
+                className="w-full border rounded-lg p-2"
+              />
+            </label>
+          </div>
+          <textarea
+            placeholder="Reason"
+            value={form.reason}
+            maxLength={500}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="w-full border rounded-lg p-2"
+            rows={3}
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition disabled:bg-blue-400"
+          >
+            {submitting ? "Sending..." : "Submit Request"}
+          </button>
+        </form>
+
+        {message && <p className="text-sm mt-3">{message}</p>}
+
+        {leaves.length > 0 && (
+          <div className="mt-6">
+            <h2 className="font-semibold text-gray-800 mb-2">My requests</h2>
+            <ul className="text-sm text-gray-700 space-y-2">
+              {leaves.map((l) => (
+                <li key={l._id} className="border rounded-md p-2">
+                  <span className="font-medium">{LEAVE_TYPES.find((t) => t.value === l.type)?.label || l.type}</span>:{" "}
+                  {l.from === l.to ? l.from : `${l.from} → ${l.to}`}{" "}
+                  <span className={`font-semibold ${STATUS_STYLES[l.status] || ""}`}>({l.status})</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <Link href="/" className="mt-6 inline-block text-blue-500 hover:underline text-sm font-medium">🏠 Back to Home</Link>
+      </div>
+    </main>
+  );
+}
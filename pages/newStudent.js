@@ -22,6 +22,11 @@ export default function Register() {
     return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 9)}`;
   }
 
+  // Registering is an admin action (users:write); the API checks the role
+  useEffect(() => {
+    if (!localStorage.getItem("adminToken")) router.replace("/admin/login");
+  }, [router]);
+
   useEffect(() => {
     let mounted = true;
     setUserId((prev) => (prev && prev.length ? prev : generateUniqueId()));
@@ -97,20 +102,27 @@ export default function Register() {
     try {
       const res = await fetch("/api/register", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${localStorage.getItem("adminToken")}`,
+        },
         body: JSON.stringify({ name, userId, role, imageData }),
       });
 
+      if (res.status === 401) {
+        router.replace("/admin/login");
+        return;
+      }
       const json = await res.json();
 
       if (res.ok) {
-        if (json.rekognitionError) {
-          alert("Registered, but Rekognition indexing failed: " + json.rekognitionError);
+        if (json.faceIndexError) {
+          alert("Registered, but face indexing failed: " + json.faceIndexError);
+        } else {
+          alert("✅ Registered! Scan your face to mark attendance.");
         }
-        router.push({
-          pathname: "/success",
-          query: { name, role, imageData, userId },
-        });
+        // Punches only go through a verified scan on the scanner page
+        router.push("/");
       } else {
         const msg = json?.message || "Registration failed";
         alert("Server error: " + msg);
@@ -25,14 +25,10 @@ export default function SuccessPage() {
     }
   };
 
-  const submitAttendance = async ({ userId, name, role, imageData }) => {
+  // Confirms the verified scan; the server records it at most once
+  const submitAttendance = async (pendingId) => {
     if (submitting || alreadySubmittedRef.current) return;
 
-    if (!userId || !name || !role || !imageData) {
-      setError("Missing data. Please register again.");
-      return;
-    }
-
     alreadySubmittedRef.current = true;
     setSubmitting(true);
     setError("");
@@ -42,7 +38,7 @@ export default function SuccessPage() {
       const resp = await fetch("/api/submit-attendance", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userId, name, role, imageData }),
+        body: JSON.stringify({ pendingId }),
       });
 
       const data = await safeParseJson(resp);
@@ -61,32 +57,40 @@ export default function SuccessPage() {
       setError("Network error. Please try again.");
     } finally {
       setSubmitting(false);
-      setTimeout(() => {
-        alreadySubmittedRef.current = false;
-      }, 5000);
     }
   };
 
   useEffect(() => {
     (async () => {
       try {
-        const params = new URLSearchParams(window.location.search);
-        const uid = params.get("userId");
-        const uname = params.get("name");
-        const urole = params.get("role");
-        const img = params.get("imageData");
-
-        if (uid && uname && urole && img) {
-          setUserId(uid);
-          setName(uname);
-          setRole(urole);
-          setImageData(img);
-
-          await submitAttendance({ userId: uid, name: uname, role: urole, imageData: img });
-        } else {
-          alert("⚠️ Missing data. Please register again.");
+        // Only an opaque id is in the URL; the scan itself is held by the server
+        const pendingId = new URLSearchParams(window.location.search).get("id");
+        if (!pendingId) {
+          alert("⚠️ Missing scan. Please scan again.");
           router.push("/");
+          return;
+        }
+
+        const resp = await fetch("/api/pending-punch", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ id: pendingId }),
+        });
+        const pending = await safeParseJson(resp);
+        if (!resp.ok) {
+          setError(pending?.message || `Server returned ${resp.status}`);
+          return;
         }
+
+        setUserId(pending.userId);
+        setName(pending.name);
+        setRole(pending.role);
+        setImageData(pending.imageData || pending.imageUrl || "");
+
+        await submitAttendance(pendingId);
+      } catch (err) {
+        console.error("Pending punch error:", err);
+        setError("Network error. Please try again.");
       } finally {
         setLoading(false);
       }
@@ -102,13 +106,6 @@ export default function SuccessPage() {
     );
   }
 
-  let previewSrc = imageData;
-  try {
-    previewSrc = decodeURIComponent(imageData);
-  } catch {
-    previewSrc = imageData;
-  }
-
   return (
     <main className="min-h-screen w-full flex items-center justify-center bg-gradient-to-br from-blue-50 to-gray-100 px-4 py-6">
       <div className="bg-white shadow-xl rounded-2xl max-w-md w-full p-6 text-center border border-gray-200">
@@ -119,7 +116,7 @@ export default function SuccessPage() {
         {imageData && (
           <div className="flex justify-center mb-4">
             <img
-              src={previewSrc}
+              src={imageData}
               alt="Captured Face"
               className="w-40 h-40 object-cover rounded-full border-4 border-blue-200 shadow-md"
             />
@@ -139,6 +136,25 @@ export default function SuccessPage() {
             <p className="text-sm"><span className="font-medium">Punch In:</span> {attendanceResult.punchIn ?? "—"}</p>
             <p className="text-sm"><span className="font-medium">Punch Out:</span> {attendanceResult.punchOut ?? "—"}</p>
             {attendanceResult.duration && <p className="text-sm"><span className="font-medium">Duration:</span> {attendanceResult.duration}</p>}
+            {attendanceResult.sessions?.length > 1 && (
+              <div className="mt-3">
+                <p className="text-sm font-medium mb-1">Today&apos;s Sessions</p>
+                <ul className="text-xs text-gray-700 space-y-1">
+                  {attendanceResult.sessions.map((s, i) => (
+                    <li key={i}>
+                      {i + 1}. {s.punchIn ?? "—"} → {s.punchOut ?? "in progress"}
+                      {s.duration && ` (${s.duration})`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {attendanceResult.totalDuration && attendanceResult.sessions?.length > 1 && (
+              <p className="text-sm mt-2"><span className="font-medium">Total Today:</span> {attendanceResult.totalDuration}</p>
+            )}
+            {attendanceResult.classification && (
+              <p className="text-sm mt-2"><span className="font-medium">Shift:</span> {attendanceResult.classification}</p>
+            )}
             {attendanceResult.message && <p className="text-xs text-gray-600 mt-2">{attendanceResult.message}</p>}
           </div>
         ) : (